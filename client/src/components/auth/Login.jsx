@@ -5,9 +5,20 @@ import { useAuth } from '../../context/AuthContext';
 const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, user, loading, error: authError } = useAuth();
+  const {
+    login,
+    loginAsGuest,
+    user,
+    loading,
+    error: authError,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    cancelTwoFactor
+  } = useAuth();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [error, setError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -26,6 +37,20 @@ const Login = () => {
     }
   }, [user, loading, isSubmitting, navigate, from]);
 
+  const handleGuestLogin = async () => {
+    setError('');
+    setIsSubmitting(true);
+
+    try {
+      const { success, error: guestError } = await loginAsGuest();
+      if (!success) {
+        setError(guestError || 'Guest login failed');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -38,7 +63,17 @@ const Login = () => {
         timestamp: new Date().toISOString()
       });
 
-      const { success, error: loginError, user: loginUser } = await login(email, password);
+      const {
+        success,
+        error: loginError,
+        user: loginUser,
+        twoFactorRequired
+      } = await login(email, password);
+
+      // The form switches to the code step via twoFactorChallenge
+      if (twoFactorRequired) {
+        return;
+      }
       
       if (!success) {
         console.error('Login failed:', {
@@ -64,6 +99,107 @@ const Login = () => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+
+    try {
+      const { success, error: verifyError } = await verifyTwoFactor(
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      );
+
+      if (!success) {
+        setError(verifyError || 'Verification failed');
+        setCode('');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancelCode = () => {
+    cancelTwoFactor();
+    setCode('');
+    setError('');
+    setUseRecoveryCode(false);
+  };
+
+  // Second step for accounts with two-factor authentication
+  if (twoFactorChallenge) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+          <form className="mt-8 space-y-6" onSubmit={handleCodeSubmit}>
+            {error && (
+              <div className="rounded-md bg-red-50 p-4">
+                <div className="text-sm text-red-700">{error}</div>
+              </div>
+            )}
+            <div>
+              <label htmlFor="code" className="sr-only">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoFocus
+                required
+                className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 text-center tracking-widest focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+
+            <div className="flex justify-between text-sm">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode('');
+                }}
+                className="font-medium text-blue-600 hover:text-blue-500"
+              >
+                {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                onClick={handleCancelCode}
+                className="font-medium text-gray-600 hover:text-gray-500"
+              >
+                Back to sign in
+              </button>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                {isSubmitting ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -119,6 +255,12 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="text-sm text-right">
+            <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
@@ -137,6 +279,17 @@ const Login = () => {
               )}
             </button>
           </div>
+
+          <div>
+            <button
+              type="button"
+              onClick={handleGuestLogin}
+              disabled={isSubmitting}
+              className="w-full flex justify-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Continue as guest
+            </button>
+          </div>
         </form>
       </div>
     </div>
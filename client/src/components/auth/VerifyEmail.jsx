@@ -0,0 +1,52 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { axios } from '../../context/AuthContext';
+
+export const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? '' : 'This verification link is missing its token');
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so only send it once even if the effect re-runs
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    axios.post('/api/auth/verify-email', { token }, { skipAuthRefresh: true })
+      .then(() => setStatus('verified'))
+      .catch((err) => {
+        console.error('Email verification failed:', {
+          error: err.response?.data?.error || err.message,
+          timestamp: new Date().toISOString()
+        });
+        setError(err.response?.data?.error || 'Could not verify your email');
+        setStatus('error');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 text-center">
+        <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+          Email verification
+        </h2>
+        {status === 'verifying' && (
+          <p className="text-sm text-gray-600">Verifying your email address...</p>
+        )}
+        {status === 'verified' && (
+          <div className="rounded-md bg-green-50 p-4 text-sm text-green-700">
+            Your email address has been verified.
+          </div>
+        )}
+        {status === 'error' && (
+          <div className="rounded-md bg-red-50 p-4 text-sm text-red-700">{error}</div>
+        )}
+        <Link to="/" className="font-medium text-blue-600 hover:text-blue-500">
+          Continue to the metaverse
+        </Link>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,91 @@
+// Buffers server snapshots for a remote player and samples them slightly in
+// the past so movement stays smooth when packets arrive unevenly.
+export default class InterpolationBuffer {
+  constructor(options = {}) {
+    this.maxExtrapolation = options.maxExtrapolation ?? 250; // ms past the last snapshot
+    this.snapDistance = options.snapDistance ?? 150; // px jump treated as a teleport
+    this.maxSnapshots = options.maxSnapshots ?? 30;
+    this.snapshots = [];
+  }
+
+  push(timestamp, position) {
+    const last = this.snapshots[this.snapshots.length - 1];
+
+    // Ignore out-of-order snapshots
+    if (last && timestamp <= last.timestamp) return;
+
+    // Large jumps are teleports, so drop history instead of sliding across the map
+    if (last) {
+      const dx = position.x - last.x;
+      const dy = position.y - last.y;
+      if (Math.sqrt(dx * dx + dy * dy) > this.snapDistance) {
+        this.snapshots = [];
+      }
+    }
+
+    this.snapshots.push({ timestamp, x: position.x, y: position.y });
+    if (this.snapshots.length > this.maxSnapshots) {
+      this.snapshots.shift();
+    }
+  }
+
+  // Replace history with a single authoritative position (join or resync)
+  reset(timestamp, position) {
+    this.snapshots = [{ timestamp, x: position.x, y: position.y }];
+  }
+
+  sample(renderTime) {
+    const count = this.snapshots.length;
+    if (count === 0) return null;
+
+    const first = this.snapshots[0];
+    const last = this.snapshots[count - 1];
+
+    if (renderTime <= first.timestamp) {
+      return { x: first.x, y: first.y };
+    }
+
+    if (renderTime >= last.timestamp) {
+      if (count === 1) return { x: last.x, y: last.y };
+
+      // Extrapolate along the last known velocity for short gaps, then ease
+      // back over the same time and hold the last known position, so a
+      // player who stopped is not left drawn past where they stopped
+      const prev = this.snapshots[count - 2];
+      const span = last.timestamp - prev.timestamp;
+      const elapsed = renderTime - last.timestamp;
+      const ahead = elapsed <= this.maxExtrapolation
+        ? elapsed
+        : 2 * this.maxExtrapolation - elapsed;
+      if (span <= 0 || ahead <= 0) return { x: last.x, y: last.y };
+
+      return {
+        x: last.x + ((last.x - prev.x) / span) * ahead,
+        y: last.y + ((last.y - prev.y) / span) * ahead
+      };
+    }
+
+    // Interpolate between the two snapshots surrounding renderTime
+    let index = count - 1;
+    while (index > 0 && this.snapshots[index - 1].timestamp > renderTime) {
+      index--;
+    }
+    const from = this.snapshots[index - 1];
+    const to = this.snapshots[index];
+    const t = (renderTime - from.timestamp) / (to.timestamp - from.timestamp);
+
+    // Snapshots older than the one we are interpolating from are no longer needed
+    if (index > 1) {
+      this.snapshots.splice(0, index - 1);
+    }
+
+    return {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t
+    };
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
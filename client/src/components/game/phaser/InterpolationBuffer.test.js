@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import InterpolationBuffer from './InterpolationBuffer.js';
+
+// A player walking right at 180 px/s who stops at x=190
+const walkThenStop = () => {
+  const buffer = new InterpolationBuffer();
+  buffer.push(0, { x: 100, y: 50 });
+  buffer.push(250, { x: 145, y: 50 });
+  buffer.push(500, { x: 190, y: 50 });
+  return buffer;
+};
+
+describe('InterpolationBuffer', () => {
+  it('should interpolate between the snapshots around the render time', () => {
+    const buffer = walkThenStop();
+
+    assert.deepEqual(buffer.sample(125), { x: 122.5, y: 50 });
+  });
+
+  it('should extrapolate briefly past the last snapshot', () => {
+    const buffer = walkThenStop();
+
+    assert.deepEqual(buffer.sample(600), { x: 208, y: 50 });
+    assert.deepEqual(buffer.sample(750), { x: 235, y: 50 });
+  });
+
+  it('should return to where a stopped player is and stay there', () => {
+    const buffer = walkThenStop();
+
+    const easing = buffer.sample(875);
+    assert.ok(easing.x > 190 && easing.x < 235);
+    assert.deepEqual(buffer.sample(1000), { x: 190, y: 50 });
+    assert.deepEqual(buffer.sample(5500), { x: 190, y: 50 });
+  });
+});
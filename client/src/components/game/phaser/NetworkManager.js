@@ -1,3 +1,5 @@
+import { decode, encode } from 'metaverse-shared';
+
 export default class NetworkManager {
   constructor(scene, socket, user) {
     if (!user || !user._id) {
@@ -10,6 +12,18 @@ export default class NetworkManager {
     this.user = user;
     this.lastUpdateTime = 0;
     this.updateThrottle = 50;
+    this.lastSequences = new Map();
+    this.inputSequence = 0;
+    this.pendingInputs = [];
+    this.maxPendingInputs = 100;
+    this.lastSentPosition = null;
+    this.serverTimeOffset = null;
+    this.socketHandlers = [];
+    this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = 10;
+    this.reconnectBaseDelay = 500;
+    this.reconnectMaxDelay = 15000;
+    this.reconnectTimer = null;
     this.isDestroyed = false;
 
     if (this.socket) {
@@ -17,20 +31,29 @@ export default class NetworkManager {
     }
   }
 
+  // Register a socket handler so destroy() only removes our own listeners
+  listen(event, handler) {
+    this.socket.on(event, handler);
+    this.socketHandlers.push([event, handler]);
+  }
+
   setupSocketHandlers() {
     if (!this.socket || this.isDestroyed) return;
 
     // Handle connection events
-    this.socket.on('connect', () => {
+    this.listen('connect', () => {
       console.log('NetworkManager: Socket connected', {
         socketId: this.socket.id,
         userId: this.user._id,
         timestamp: new Date().toISOString()
       });
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      this.reconnectAttempts = 0;
       this.scene.events.emit('connectionStatusChanged', true);
     });
 
-    this.socket.on('disconnect', (reason) => {
+    this.listen('disconnect', (reason) => {
       console.log('NetworkManager: Socket disconnected', {
         reason,
         socketId: this.socket.id,
@@ -38,9 +61,14 @@ export default class NetworkManager {
         timestamp: new Date().toISOString()
       });
       this.scene.events.emit('connectionStatusChanged', false);
+
+      // Deliberate disconnects (logout, kicked by the server) are final
+      if (reason !== 'io client disconnect' && reason !== 'io server disconnect') {
+        this.scheduleReconnect();
+      }
     });
 
-    this.socket.on('connect_error', (error) => {
+    this.listen('connect_error', (error) => {
       console.error('NetworkManager: Socket connection error', {
         error: error.message,
         socketId: this.socket.id,
@@ -48,10 +76,12 @@ export default class NetworkManager {
         timestamp: new Date().toISOString()
       });
       this.scene.events.emit('connectionStatusChanged', false);
+      this.scheduleReconnect();
     });
 
     // Handle room state updates
-    this.socket.on('roomState', (state) => {
+    this.listen('roomState', (data) => {
+      const state = decode('roomState', data);
       if (!state || !state.participants || !Array.isArray(state.participants)) {
         console.warn('NetworkManager: Invalid room state received', { 
           state,
@@ -62,6 +92,9 @@ export default class NetworkManager {
         return;
       }
 
+      // Tick numbers restart with the room's tick loop, so a snapshot resets them
+      this.lastSequences.clear();
+
       try {
         const remoteParticipants = state.participants.filter(p => {
           if (!p) return false;
@@ -99,22 +132,183 @@ export default class NetworkManager {
         });
       }
     });
-    this.socket.on('playerMoved', (data) => {
+    // One batch per server tick with every nearby player that moved
+    this.listen('playersMoved', (data) => {
+      const batch = decode('playersMoved', data);
+      if (!batch || !Array.isArray(batch.updates)) return;
+
+      this.updateServerClock(batch.timestamp);
+
+      batch.updates.forEach(update => {
+        if (!update || !update.userId || update.userId === this.user._id) return;
+
+        // Drop updates older than the last tick applied for this player
+        const lastTick = this.lastSequences.get(update.userId) || 0;
+        if (batch.tick <= lastTick) return;
+        this.lastSequences.set(update.userId, batch.tick);
+
+        this.scene.events.emit('playerMoved', {
+          userId: update.userId,
+          position: update.position,
+          seq: batch.tick,
+          timestamp: batch.timestamp
+        });
+      });
+    });
+
+    this.listen('moveAck', (data) => {
+      if (!data || typeof data.ack !== 'number') return;
+      this.acknowledge(data.ack);
+    });
+
+    this.listen('positionCorrected', (data) => {
+      if (!data || !data.position) return;
+      this.scene.events.emit('positionCorrected', data);
+    });
+
+    // Players joining the room or walking into our area of interest
+    const handlePlayerAppeared = (data) => {
+      if (!data || !data.userId || data.userId === this.user._id || !data.position) return;
+      this.scene.events.emit('playerJoined', {
+        user: {
+          _id: data.userId,
+          username: data.username,
+          avatar: data.avatar
+        },
+        position: data.position
+      });
+    };
+
+    // Players leaving the room or walking out of our area of interest
+    const handlePlayerDisappeared = (data) => {
       if (!data || !data.userId || data.userId === this.user._id) return;
-      this.scene.events.emit('playerMoved', data);
+      this.lastSequences.delete(data.userId);
+      this.scene.events.emit('playerLeft', data.userId);
+    };
+
+    this.listen('userJoined', handlePlayerAppeared);
+    this.listen('playerEntered', handlePlayerAppeared);
+    this.listen('userLeft', handlePlayerDisappeared);
+    this.listen('playerExited', handlePlayerDisappeared);
+
+    // Players whose connection dropped stay in the room during the server's grace period
+    this.listen('playerReconnecting', (data) => {
+      if (!data || !data.userId || data.userId === this.user._id) return;
+      this.scene.events.emit('playerConnectionChanged', { userId: data.userId, reconnecting: true });
     });
 
-    this.socket.on('playerJoined', (data) => {
-      if (!data || !data.user || !data.user._id || data.user._id === this.user._id) return;
-      this.scene.events.emit('playerJoined', data);
+    this.listen('playerReconnected', (data) => {
+      if (!data || !data.userId || data.userId === this.user._id) return;
+      this.scene.events.emit('playerConnectionChanged', { userId: data.userId, reconnecting: false });
     });
 
-    this.socket.on('playerLeft', (userId) => {
-      if (!userId || userId === this.user._id) return;
-      this.scene.events.emit('playerLeft', userId);
+    // Name and avatar changes, including our own from another tab or device
+    this.listen('participantUpdated', (data) => {
+      if (!data || !data.userId) return;
+      this.scene.events.emit('playerUpdated', data);
     });
   }
 
+  // Reconnect with exponential backoff and jitter. The server keeps our place
+  // in the room for a grace period and resumes the session on authenticate.
+  scheduleReconnect() {
+    if (!this.socket || this.isDestroyed || this.reconnectTimer) return;
+
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.error('NetworkManager: Giving up reconnecting', {
+        attempts: this.reconnectAttempts,
+        userId: this.user._id,
+        timestamp: new Date().toISOString()
+      });
+      this.scene.events.emit('reconnectFailed');
+      return;
+    }
+
+    const backoff = Math.min(
+      this.reconnectMaxDelay,
+      this.reconnectBaseDelay * 2 ** this.reconnectAttempts
+    );
+    const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+    this.reconnectAttempts++;
+
+    console.log('NetworkManager: Scheduling reconnect', {
+      attempt: this.reconnectAttempts,
+      delay,
+      timestamp: new Date().toISOString()
+    });
+    this.scene.events.emit('reconnecting', {
+      attempt: this.reconnectAttempts,
+      maxAttempts: this.maxReconnectAttempts,
+      delay
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.socket || this.isDestroyed || this.socket.connected) return;
+      this.socket.connect();
+    }, delay);
+  }
+
+  // Track the offset between the server clock and ours from delta timestamps
+  updateServerClock(timestamp) {
+    if (typeof timestamp !== 'number') return;
+    const offset = timestamp - Date.now();
+    this.serverTimeOffset = this.serverTimeOffset === null ?
+      offset :
+      this.serverTimeOffset + (offset - this.serverTimeOffset) * 0.1;
+  }
+
+  getServerTime() {
+    return Date.now() + (this.serverTimeOffset || 0);
+  }
+
+  requestRoomState() {
+    if (!this.socket || !this.socket.connected || this.isDestroyed) return;
+    this.socket.emit('requestRoomState');
+  }
+
+  // Start predicting from an authoritative position (spawn or resync)
+  resetPrediction(position) {
+    this.pendingInputs = [];
+    this.lastSentPosition = { x: position.x, y: position.y };
+  }
+
+  hasUnsentMovement(position) {
+    if (!this.lastSentPosition) return false;
+    return Math.abs(position.x - this.lastSentPosition.x) > 0.1 ||
+      Math.abs(position.y - this.lastSentPosition.y) > 0.1;
+  }
+
+  // Drop inputs the server has processed
+  acknowledge(ack) {
+    this.pendingInputs = this.pendingInputs.filter(input => input.seq > ack);
+  }
+
+  // Rebuild the predicted position from the server's correction by
+  // replaying inputs it has not processed yet, plus any unsent movement
+  reconcile(correction, currentPosition) {
+    if (typeof correction.ack === 'number') {
+      this.acknowledge(correction.ack);
+    }
+
+    const unsent = this.lastSentPosition ? {
+      x: currentPosition.x - this.lastSentPosition.x,
+      y: currentPosition.y - this.lastSentPosition.y
+    } : { x: 0, y: 0 };
+
+    const replayed = this.pendingInputs.reduce((position, input) => ({
+      x: position.x + input.dx,
+      y: position.y + input.dy
+    }), { x: correction.position.x, y: correction.position.y });
+
+    this.lastSentPosition = replayed;
+
+    return {
+      x: replayed.x + unsent.x,
+      y: replayed.y + unsent.y
+    };
+  }
+
   sendPlayerUpdate(position) {
     if (!this.socket || !this.socket.connected || this.isDestroyed) return;
 
@@ -122,11 +316,25 @@ export default class NetworkManager {
     if (now - this.lastUpdateTime < this.updateThrottle) return;
     this.lastUpdateTime = now;
 
+    // Record the movement since the last send so it can be replayed
+    const from = this.lastSentPosition || position;
+    const seq = ++this.inputSequence;
+    this.pendingInputs.push({
+      seq,
+      dx: position.x - from.x,
+      dy: position.y - from.y
+    });
+    if (this.pendingInputs.length > this.maxPendingInputs) {
+      this.pendingInputs.shift();
+    }
+    this.lastSentPosition = { x: position.x, y: position.y };
+
     try {
-      this.socket.emit('userMove', {
-        position,
-        timestamp: now
-      });
+      // Binary encoding is used when negotiated at authenticate (see MainRoom)
+      const payload = this.socket.encoding === 'binary' ?
+        encode('userMove', { position, seq }) :
+        { position, seq, timestamp: now };
+      this.socket.emit('userMove', payload);
     } catch (error) {
       console.error('NetworkManager: Error sending player update', {
         error: error.message,
@@ -137,17 +345,20 @@ export default class NetworkManager {
   }
   destroy() {
     this.isDestroyed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
     
     if (this.socket) {
-      this.socket.off('connect');
-      this.socket.off('disconnect');
-      this.socket.off('connect_error');
-      this.socket.off('roomState');
-      this.socket.off('playerMoved');
-      this.socket.off('playerJoined');
-      this.socket.off('playerLeft');
+      this.socketHandlers.forEach(([event, handler]) => {
+        this.socket.off(event, handler);
+      });
     }
 
+    this.socketHandlers = [];
+
+    this.lastSequences.clear();
+    this.pendingInputs = [];
+
     this.socket = null;
     this.scene = null;
     this.user = null;
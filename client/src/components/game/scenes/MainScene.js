@@ -2,6 +2,7 @@ import Phaser from 'phaser';
 import PlayerSprite from '../phaser/PlayerSprite';
 import RoomObjects from '../phaser/RoomObjects';
 import NetworkManager from '../phaser/NetworkManager';
+import InterpolationBuffer from '../phaser/InterpolationBuffer';
 
 export default class MainScene extends Phaser.Scene {
   constructor() {
@@ -18,6 +19,7 @@ export default class MainScene extends Phaser.Scene {
     this.lastUpdateTime = 0;
     this.updateThrottle = 50; // ms between updates
     this.playerSpeed = 180; // pixels per second
+    this.interpolationDelay = 100; // ms remote players are rendered in the past
     this.isConnected = false;
     this.isReady = false;
   }
@@ -113,11 +115,14 @@ export default class MainScene extends Phaser.Scene {
   }
 
   createPlayer() {
-    const startX = this.roomState?.objects?.spawnPoint?.x || 400;
-    const startY = this.roomState?.objects?.spawnPoint?.y || 300;
+    // Start from the server's position for us so prediction begins in sync
+    const self = this.roomState?.participants?.find(p => p.user?._id === this.user._id);
+    const startX = self?.position?.x ?? this.roomState?.objects?.spawnPoint?.x ?? 400;
+    const startY = self?.position?.y ?? this.roomState?.objects?.spawnPoint?.y ?? 300;
 
     try {
       this.player = new PlayerSprite(this, startX, startY, this.user);
+      this.network?.resetPrediction({ x: startX, y: startY });
     } catch (error) {
       console.error('MainScene: Failed to create player:', error);
     }
@@ -239,6 +244,10 @@ export default class MainScene extends Phaser.Scene {
     });
 
     this.events.on('updateData', this.updateSceneData, this);
+
+    // Phaser does not call shutdown() by itself; drop our listeners when the
+    // scene stops so they don't pile up each time it restarts
+    this.events.once('shutdown', this.shutdown, this);
   }
 
   setupSocketHandlers() {
@@ -260,27 +269,47 @@ export default class MainScene extends Phaser.Scene {
       }
     });
 
+    this.events.on('reconnecting', ({ attempt, maxAttempts, delay }) => {
+      const seconds = Math.max(1, Math.ceil(delay / 1000));
+      this.showConnectionMessage(
+        `Connection lost. Reconnecting in ${seconds}s (attempt ${attempt}/${maxAttempts})...`
+      );
+    });
+
+    this.events.on('reconnectFailed', () => {
+      this.showConnectionMessage('Unable to reconnect. Please refresh the page.');
+    });
+
+    this.events.on('playerConnectionChanged', ({ userId, reconnecting }) => {
+      const player = this.remotePlayers.get(userId);
+      if (!player) return;
+
+      // Fade out players who are reconnecting
+      const alpha = reconnecting ? 0.4 : 1;
+      player.sprite.setAlpha(alpha);
+      player.label.setAlpha(alpha);
+    });
+
+    this.events.on('playerUpdated', ({ userId, username }) => {
+      const player = userId === this.user._id ? this.player : this.remotePlayers.get(userId);
+      if (!player || !username) return;
+
+      player.label.setText(username);
+    });
+
     this.events.on('updateRemotePlayers', (remoteParticipants) => {
       if (!this.isConnected) return;
 
       remoteParticipants.forEach(p => {
         if (!this.remotePlayers.has(p.user._id)) {
-
-          const remotePlayer = new PlayerSprite(this, p.position.x, p.position.y, p.user);
-          this.remotePlayers.set(p.user._id, remotePlayer);
+          const player = this.createRemotePlayer(p.user, p.position);
+          if (p.status === 'reconnecting') {
+            player.sprite.setAlpha(0.4);
+            player.label.setAlpha(0.4);
+          }
         } else {
-
           const remotePlayer = this.remotePlayers.get(p.user._id);
-          this.tweens.add({
-            targets: [remotePlayer.sprite, remotePlayer.label],
-            x: p.position.x,
-            y: p.position.y,
-            duration: 100,
-            ease: 'Linear',
-            onUpdate: () => {
-              remotePlayer.label.y = remotePlayer.sprite.y - (remotePlayer.radius + 4);
-            }
-          });
+          remotePlayer.buffer.push(this.getServerTime(), p.position);
         }
       });
 
@@ -298,27 +327,42 @@ export default class MainScene extends Phaser.Scene {
       if (!this.isConnected) return;
 
       const { userId, position } = data;
-      if (userId !== this.user._id && this.remotePlayers.has(userId)) {
-        const player = this.remotePlayers.get(userId);
-        this.tweens.add({
-          targets: [player.sprite, player.label],
-          x: position.x,
-          y: position.y,
-          duration: 100,
-          ease: 'Linear',
-          onUpdate: () => {
-            player.label.y = player.sprite.y - (player.radius + 4);
-          }
-        });
+      if (userId === this.user._id) return;
+
+      // A delta for an unknown player means we missed a join; resync
+      if (!this.remotePlayers.has(userId)) {
+        this.network?.requestRoomState();
+        return;
       }
+
+      const player = this.remotePlayers.get(userId);
+      player.buffer.push(data.timestamp ?? this.getServerTime(), position);
+    });
+
+    this.events.on('positionCorrected', (data) => {
+      if (!this.player || !this.player.sprite) return;
+
+      console.warn('Server corrected local position:', {
+        reason: data.reason,
+        position: data.position,
+        timestamp: new Date().toISOString()
+      });
+
+      const position = this.network ?
+        this.network.reconcile(data, { x: this.player.sprite.x, y: this.player.sprite.y }) :
+        data.position;
+
+      this.player.sprite.x = position.x;
+      this.player.sprite.y = position.y;
+      this.player.label.x = this.player.sprite.x;
+      this.player.label.y = this.player.sprite.y - (this.player.radius + 4);
     });
 
     this.events.on('playerJoined', (data) => {
       if (!this.isConnected) return;
 
-      if (data.user._id !== this.user._id) {
-        const player = new PlayerSprite(this, data.position.x, data.position.y, data.user);
-        this.remotePlayers.set(data.user._id, player);
+      if (data.user._id !== this.user._id && !this.remotePlayers.has(data.user._id)) {
+        this.createRemotePlayer(data.user, data.position);
       }
     });
 
@@ -334,6 +378,33 @@ export default class MainScene extends Phaser.Scene {
     });
   }
 
+  createRemotePlayer(user, position) {
+    const player = new PlayerSprite(this, position.x, position.y, user);
+    player.buffer = new InterpolationBuffer();
+    player.buffer.reset(this.getServerTime(), position);
+    this.remotePlayers.set(user._id, player);
+    return player;
+  }
+
+  getServerTime() {
+    return this.network ? this.network.getServerTime() : Date.now();
+  }
+
+  // Render remote players interpolationDelay ms in the past from their buffers
+  updateRemotePlayers() {
+    const renderTime = this.getServerTime() - this.interpolationDelay;
+
+    for (const player of this.remotePlayers.values()) {
+      const position = player.buffer?.sample(renderTime);
+      if (!position) continue;
+
+      player.sprite.x = position.x;
+      player.sprite.y = position.y;
+      player.label.x = position.x;
+      player.label.y = position.y - (player.radius + 4);
+    }
+  }
+
   showConnectionMessage(text) {
     if (!this.connectionMessage) {
       this.connectionMessage = this.add.text(400, 300, text, {
@@ -355,9 +426,13 @@ export default class MainScene extends Phaser.Scene {
   }
 
   update(time, delta) {
+    this.updateRemotePlayers();
+
     if (!this.player || !this.player.sprite || !this.isConnected) return;
 
     const speed = this.playerSpeed * (delta / 1000); 
+    let dx = 0;
+    let dy = 0;
 
     if (this.cursors.left.isDown || this.wasd.left.isDown) dx -= speed;
     if (this.cursors.right.isDown || this.wasd.right.isDown) dx += speed;
@@ -382,6 +457,12 @@ export default class MainScene extends Phaser.Scene {
           y: this.player.sprite.y
         });
       }
+    } else if (this.network?.hasUnsentMovement(this.player.sprite)) {
+      // Flush the last throttled step once the player stops
+      this.network.sendPlayerUpdate({
+        x: this.player.sprite.x,
+        y: this.player.sprite.y
+      });
     }
 
     this.updateDebugText();
@@ -412,8 +493,13 @@ export default class MainScene extends Phaser.Scene {
     this.events.off('connectionStatusChanged');
     this.events.off('updateRemotePlayers');
     this.events.off('playerMoved');
+    this.events.off('positionCorrected');
     this.events.off('playerJoined');
     this.events.off('playerLeft');
+    this.events.off('playerUpdated');
+    this.events.off('reconnecting');
+    this.events.off('reconnectFailed');
+    this.events.off('playerConnectionChanged');
     
     this.clearScene();
     if (this.network) {
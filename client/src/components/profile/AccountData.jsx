@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { useAuth, axios } from '../../context/AuthContext';
+
+const POLL_INTERVAL = 2000;
+
+// Helper function to wait for an account job to finish
+const waitForJob = async (jobId, statusToken) => {
+  for (;;) {
+    const response = await axios.get(`/api/account/jobs/${jobId}`, {
+      headers: { 'X-Job-Token': statusToken },
+      skipAuthRefresh: true
+    });
+    const { job } = response.data.data;
+    if (job.status === 'completed' || job.status === 'failed') return job;
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+};
+
+export const AccountData = () => {
+  const { user, logout } = useAuth();
+  const [password, setPassword] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const handleExport = async () => {
+    setError('');
+    setMessage('Preparing your export...');
+    setIsBusy(true);
+
+    try {
+      const response = await axios.post('/api/account/export');
+      const { job: queued, statusToken } = response.data.data;
+      const job = await waitForJob(queued._id, statusToken);
+      if (job.status === 'failed') {
+        throw new Error(job.error || 'Export failed');
+      }
+
+      // Download through the API client so the request is authenticated
+      const file = await axios.get(job.downloadUrl, { responseType: 'blob' });
+      const url = URL.createObjectURL(file.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${user.username}-export.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      setMessage('Your export has been downloaded');
+    } catch (err) {
+      console.error('Account export failed:', {
+        error: err.response?.data?.error || err.message,
+        timestamp: new Date().toISOString()
+      });
+      setMessage('');
+      setError(err.response?.data?.error || err.message || 'Export failed');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsBusy(true);
+
+    try {
+      await axios.delete('/api/account', { data: { password } });
+      setMessage('Your account is being deleted. Signing out...');
+      await logout();
+    } catch (err) {
+      console.error('Account deletion request failed:', {
+        error: err.response?.data?.error || err.message,
+        timestamp: new Date().toISOString()
+      });
+      setError(err.response?.data?.error || 'Could not delete the account');
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="border-t pt-4 space-y-3">
+      <h3 className="text-sm font-semibold text-gray-900">Your data</h3>
+
+      {error && <div className="text-sm text-red-700">{error}</div>}
+      {message && <div className="text-sm text-green-700">{message}</div>}
+
+      <button
+        type="button"
+        onClick={handleExport}
+        disabled={isBusy}
+        className="text-sm font-medium text-blue-600 hover:text-blue-500 disabled:opacity-50"
+      >
+        Download my data
+      </button>
+
+      {!confirmingDelete ? (
+        <button
+          type="button"
+          onClick={() => setConfirmingDelete(true)}
+          disabled={isBusy}
+          className="block text-sm font-medium text-red-600 hover:text-red-500 disabled:opacity-50"
+        >
+          Delete my account
+        </button>
+      ) : (
+        <form className="space-y-2" onSubmit={handleDelete}>
+          <p className="text-sm text-gray-600">
+            This removes your account for good. Your chat messages stay without your name, and rooms you own pass to a co-host or are deleted.
+          </p>
+          {!user?.isGuest && (
+            <input
+              type="password"
+              required
+              autoComplete="current-password"
+              placeholder="Confirm with your password"
+              className="appearance-none rounded-md block w-full px-3 py-2 border border-gray-300 text-gray-900 focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          )}
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={isBusy}
+              className="py-2 px-4 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+            >
+              Delete account
+            </button>
+            <button
+              type="button"
+              onClick={() => setConfirmingDelete(false)}
+              className="py-2 px-4 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,22 @@
+// Uploaded avatars are served by the API under /uploads; built-in avatar
+// names have no image yet, so those fall back to the username's initial
+export const Avatar = ({ user, size = 'sm' }) => {
+  const dimensions = size === 'lg' ? 'w-16 h-16 text-2xl' : 'w-6 h-6 text-xs';
+  const image = size === 'lg' ? user?.avatar : user?.avatarThumbnail || user?.avatar;
+
+  if (image?.startsWith('/uploads/')) {
+    return (
+      <img
+        src={`${import.meta.env.VITE_SERVER_URL || ''}${image}`}
+        alt={user.username}
+        className={`${dimensions} rounded-full object-cover`}
+      />
+    );
+  }
+
+  return (
+    <div className={`${dimensions} rounded-full bg-blue-100 text-blue-700 flex items-center justify-center font-semibold`}>
+      {user?.username?.charAt(0).toUpperCase() || '?'}
+    </div>
+  );
+};
@@ -0,0 +1,176 @@
+import { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { Avatar } from './Avatar';
+import { AccountData } from './AccountData';
+
+export const ProfileSettings = ({ onClose }) => {
+  const { user, updateProfile, uploadAvatar, convertGuest } = useAuth();
+  const [username, setUsername] = useState(user?.username || '');
+  const [email, setEmail] = useState(user?.email || '');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    // Guests become a full account instead of editing the profile
+    if (user.isGuest) {
+      setIsLoading(true);
+      const result = await convertGuest({ username, email, password });
+      setIsLoading(false);
+
+      if (result.success) {
+        setPassword('');
+        setMessage('Account created. Check your inbox to verify your email.');
+      } else {
+        setError(result.error);
+      }
+      return;
+    }
+
+    // Only send the fields that changed
+    const changes = {};
+    if (username !== user.username) changes.username = username;
+    if (email !== user.email) changes.email = email;
+    if (Object.keys(changes).length === 0) {
+      setMessage('Nothing to update');
+      return;
+    }
+
+    setIsLoading(true);
+    const result = await updateProfile(changes);
+    setIsLoading(false);
+
+    if (result.success) {
+      setMessage(changes.email ? 'Profile updated. Check your inbox to verify the new email.' : 'Profile updated');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setMessage('');
+    setIsLoading(true);
+    const result = await uploadAvatar(file);
+    setIsLoading(false);
+
+    if (result.success) {
+      setMessage('Avatar updated');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-md p-6 space-y-6">
+        <div className="flex justify-between items-center">
+          <h2 className="text-xl font-bold text-gray-900">
+            {user?.isGuest ? 'Create your account' : 'Profile'}
+          </h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            Close
+          </button>
+        </div>
+
+        {error && (
+          <div className="rounded-md bg-red-50 p-4">
+            <div className="text-sm text-red-700">{error}</div>
+          </div>
+        )}
+        {message && (
+          <div className="rounded-md bg-green-50 p-4">
+            <div className="text-sm text-green-700">{message}</div>
+          </div>
+        )}
+
+        <div className="flex items-center space-x-4">
+          <Avatar user={user} size="lg" />
+          <label className="cursor-pointer text-sm font-medium text-blue-600 hover:text-blue-500">
+            Upload new avatar
+            <input
+              type="file"
+              accept="image/png,image/jpeg"
+              className="hidden"
+              disabled={isLoading}
+              onChange={handleAvatarChange}
+            />
+          </label>
+        </div>
+        <p className="text-xs text-gray-500">PNG or JPEG, at least 64x64 pixels and up to 2 MB.</p>
+
+        {user?.isGuest && (
+          <p className="text-sm text-gray-600">
+            You are signed in as a guest. Add an email and password to keep this account.
+          </p>
+        )}
+
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="profile-username" className="block text-sm font-medium text-gray-700">
+              Username
+            </label>
+            <input
+              id="profile-username"
+              type="text"
+              required
+              minLength={3}
+              maxLength={20}
+              className="mt-1 appearance-none rounded-md block w-full px-3 py-2 border border-gray-300 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+            />
+          </div>
+          <div>
+            <label htmlFor="profile-email" className="block text-sm font-medium text-gray-700">
+              Email address
+            </label>
+            <input
+              id="profile-email"
+              type="email"
+              required
+              className="mt-1 appearance-none rounded-md block w-full px-3 py-2 border border-gray-300 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+          </div>
+          {user?.isGuest && (
+            <div>
+              <label htmlFor="profile-password" className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <input
+                id="profile-password"
+                type="password"
+                required
+                minLength={6}
+                autoComplete="new-password"
+                className="mt-1 appearance-none rounded-md block w-full px-3 py-2 border border-gray-300 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+          )}
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isLoading ? 'Saving...' : user?.isGuest ? 'Create account' : 'Save changes'}
+          </button>
+        </form>
+
+        <AccountData />
+      </div>
+    </div>
+  );
+};
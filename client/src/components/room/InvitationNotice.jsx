@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { axios } from '../../context/AuthContext';
+
+// Banner for a room invitation, received live or opened from an invite link
+export const InvitationNotice = ({ invitation, socket, onClose }) => {
+  const [error, setError] = useState('');
+  const [isJoining, setIsJoining] = useState(false);
+  const roomId = invitation.room._id;
+
+  const handleJoin = async () => {
+    setError('');
+    setIsJoining(true);
+
+    try {
+      await axios.post(`/api/rooms/${roomId}/join`, { invite: invitation.token });
+    } catch (err) {
+      // Already being in the room is fine, and a full room is queued for over
+      // the socket; anything else means the invite is unusable
+      if (!['Already in room', 'Room is full'].includes(err.response?.data?.error)) {
+        console.error('Joining with invite failed:', {
+          roomId,
+          error: err.response?.data?.error || err.message,
+          timestamp: new Date().toISOString()
+        });
+        setError(err.response?.data?.error || 'Could not join the room');
+        setIsJoining(false);
+        return;
+      }
+    }
+
+    console.log('Joining room with invite:', {
+      roomId,
+      socketId: socket?.id,
+      timestamp: new Date().toISOString()
+    });
+    // The invite is only checked again if we are not a participant yet
+    socket?.emit('joinRoom', { roomId, invite: invitation.token });
+    onClose();
+  };
+
+  return (
+    <div className="bg-blue-50 border-b border-blue-200 px-4 py-3 flex items-center justify-between">
+      <div className="text-sm text-blue-900">
+        {invitation.invitedBy
+          ? <><strong>{invitation.invitedBy.username}</strong> invited you to <strong>{invitation.room.name}</strong></>
+          : 'You have been invited to a room'}
+        {error && <span className="ml-2 text-red-700">{error}</span>}
+      </div>
+      <div className="flex space-x-2">
+        <button
+          type="button"
+          onClick={handleJoin}
+          disabled={isJoining || !socket}
+          className="py-1 px-3 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          Join
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="py-1 px-3 text-sm text-gray-600 hover:text-gray-800"
+        >
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -1,16 +1,32 @@
 import { useEffect, useState, useRef, useCallback } from 'react';
 import { useAuth, axios } from '../../context/AuthContext';
 import { io } from 'socket.io-client';
+import { decode } from 'metaverse-shared';
 import PhaserGame from '../game/PhaserGame';
+import { Avatar } from '../profile/Avatar';
+import { ProfileSettings } from '../profile/ProfileSettings';
+import { InvitationNotice } from './InvitationNotice';
+import { WaitlistNotice } from './WaitlistNotice';
+
+// Helper function to read an invite link (?room=<id>&invite=<token>)
+const readInviteLink = () => {
+  const params = new URLSearchParams(window.location.search);
+  const roomId = params.get('room');
+  const token = params.get('invite');
+  return roomId && token ? { room: { _id: roomId }, token } : null;
+};
 
 export const MainRoom = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, refreshAccessToken } = useAuth();
   const [socket, setSocket] = useState(null);
   const [roomState, setRoomState] = useState(null);
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [error, setError] = useState(null);
   const [lobbyRoomId, setLobbyRoomId] = useState(null);
+  const [showProfile, setShowProfile] = useState(false);
+  const [invitation, setInvitation] = useState(readInviteLink);
+  const [waitlist, setWaitlist] = useState(null);
   const messagesEndRef = useRef(null);
   const gameContainerRef = useRef(null);
 
@@ -109,7 +125,8 @@ export const MainRoom = () => {
   useEffect(() => {
     if (!socket) return;
 
-    const handleRoomStateUpdate = (state) => {
+    const handleRoomStateUpdate = (data) => {
+      const state = decode('roomState', data);
       if (!state || !state.participants) {
         console.error('Invalid room state received:', {
           roomId: state?._id,
@@ -214,6 +231,29 @@ export const MainRoom = () => {
         username: data.username,
         timestamp: new Date().toISOString()
       });
+
+      // Full room state is only sent on join/resync, so patch the roster here
+      setRoomState(prevState => {
+        if (!prevState) return prevState;
+        const participants = prevState.participants || [];
+        if (participants.some(p => p.user._id === data.userId)) return prevState;
+
+        return {
+          ...prevState,
+          participants: [...participants, {
+            user: {
+              _id: data.userId,
+              username: data.username,
+              avatar: data.avatar,
+              avatarThumbnail: data.avatarThumbnail,
+              isOnline: true
+            },
+            position: data.position,
+            lastPosition: { ...data.position }
+          }],
+          _lastUpdate: Date.now()
+        };
+      });
     };
 
     const handleUserLeft = (data) => {
@@ -222,14 +262,98 @@ export const MainRoom = () => {
         username: data.username,
         timestamp: new Date().toISOString()
       });
+
+      setRoomState(prevState => {
+        if (!prevState) return prevState;
+
+        return {
+          ...prevState,
+          participants: (prevState.participants || []).filter(
+            p => p.user._id !== data.userId
+          ),
+          _lastUpdate: Date.now()
+        };
+      });
+    };
+
+    // Players whose connection dropped stay listed as reconnecting until they return or time out
+    const setParticipantStatus = (userId, status) => {
+      setRoomState(prevState => {
+        if (!prevState) return prevState;
+
+        return {
+          ...prevState,
+          participants: (prevState.participants || []).map(p => (
+            p.user._id === userId ? { ...p, status } : p
+          )),
+          _lastUpdate: Date.now()
+        };
+      });
+    };
+
+    const handlePlayerReconnecting = (data) => setParticipantStatus(data.userId, 'reconnecting');
+    const handlePlayerReconnected = (data) => setParticipantStatus(data.userId, 'online');
+
+    // Someone in the room changed their name or avatar
+    const handleParticipantUpdated = ({ userId, ...profile }) => {
+      setRoomState(prevState => {
+        if (!prevState) return prevState;
+
+        return {
+          ...prevState,
+          participants: (prevState.participants || []).map(p => (
+            p.user._id === userId ? { ...p, user: { ...p.user, ...profile } } : p
+          )),
+          _lastUpdate: Date.now()
+        };
+      });
+    };
+
+    // Someone became a co-host, went back to member, or took over the room
+    const handleRoomRoleChanged = ({ roomId, userId, role, permissions }) => {
+      setRoomState(prevState => {
+        if (!prevState || prevState._id !== roomId) return prevState;
+
+        const coHosts = (prevState.coHosts || []).filter(c => (c.user?._id || c.user) !== userId);
+        return {
+          ...prevState,
+          ...(role === 'owner' && { createdBy: userId }),
+          coHosts: role === 'co-host' ? [...coHosts, { user: userId, permissions }] : coHosts,
+          _lastUpdate: Date.now()
+        };
+      });
+    };
+
+    // A host edited the room's map
+    const handleRoomObjectsUpdated = ({ roomId, objects }) => {
+      console.log('Room map updated:', {
+        roomId,
+        objectCount: objects.length,
+        timestamp: new Date().toISOString()
+      });
+
+      setRoomState(prevState => {
+        if (!prevState || prevState._id !== roomId) return prevState;
+        return { ...prevState, objects, _lastUpdate: Date.now() };
+      });
     };
 
     socket.on('userJoined', handleUserJoined);
     socket.on('userLeft', handleUserLeft);
+    socket.on('playerReconnecting', handlePlayerReconnecting);
+    socket.on('playerReconnected', handlePlayerReconnected);
+    socket.on('participantUpdated', handleParticipantUpdated);
+    socket.on('roomRoleChanged', handleRoomRoleChanged);
+    socket.on('roomObjectsUpdated', handleRoomObjectsUpdated);
 
     return () => {
       socket.off('userJoined', handleUserJoined);
       socket.off('userLeft', handleUserLeft);
+      socket.off('playerReconnecting', handlePlayerReconnecting);
+      socket.off('playerReconnected', handlePlayerReconnected);
+      socket.off('participantUpdated', handleParticipantUpdated);
+      socket.off('roomRoleChanged', handleRoomRoleChanged);
+      socket.off('roomObjectsUpdated', handleRoomObjectsUpdated);
     };
   }, [socket]);
 
@@ -261,12 +385,19 @@ export const MainRoom = () => {
     const newSocket = io(import.meta.env.VITE_SERVER_URL, {
       auth: { token },
       transports: ['websocket'],
-      reconnection: true,
-      reconnectionAttempts: 5,
-      reconnectionDelay: 1000,
+      reconnection: false, // NetworkManager reconnects with backoff and resumes the session
       forceNew: true
     });
 
+    // Remember what the last joinRoom was sent with, wherever it was sent
+    // from, so a full room can be queued for with the same password or invite
+    let joinRequest = null;
+    newSocket.onAnyOutgoing((event, data) => {
+      if (event === 'joinRoom') {
+        joinRequest = typeof data === 'object' && data ? data : { roomId: data };
+      }
+    });
+
     // Handle authentication
     newSocket.on('connect', () => {
       console.log('Socket connected, authenticating...', {
@@ -275,7 +406,26 @@ export const MainRoom = () => {
         timestamp: new Date().toISOString()
       });
 
-      newSocket.emit('authenticate', { token }, (response) => {
+      // Send the resume token so a reconnect within the grace period keeps our place
+      const resumeToken = sessionStorage.getItem('resumeToken');
+
+      // Offer the compact binary encoding for movement and snapshots; the
+      // server answers with the one it will use
+      const authenticate = (accessToken, retried) => newSocket.emit('authenticate', {
+        token: accessToken,
+        resumeToken,
+        encodings: ['binary', 'json']
+      }, async (response) => {
+        if (response?.error === 'jwt expired' && !retried) {
+          // Access tokens are short-lived; refresh once and try again
+          try {
+            authenticate(await refreshAccessToken(), true);
+            return;
+          } catch (err) {
+            console.error('Token refresh failed:', err.message);
+          }
+        }
+
         if (response?.error) {
           console.error('Socket authentication failed:', response.error);
           setError('Authentication failed. Please log in again.');
@@ -285,11 +435,25 @@ export const MainRoom = () => {
             socketId: newSocket.id,
             userId: user._id,
             username: user.username,
+            resumed: response.resumed,
             timestamp: new Date().toISOString()
           });
 
-          // Join room after successful authentication
-          if (lobbyRoomId) {
+          if (response.resumeToken) {
+            sessionStorage.setItem('resumeToken', response.resumeToken);
+          }
+
+          // Read by NetworkManager when sending movement
+          newSocket.encoding = response.encoding || 'json';
+
+          // A resumed session is already back in its room
+          if (response.resumed) {
+            console.log('Session resumed:', {
+              roomId: response.roomId,
+              socketId: newSocket.id,
+              timestamp: new Date().toISOString()
+            });
+          } else if (lobbyRoomId) {
             console.log('Joining room after authentication:', {
               roomId: lobbyRoomId,
               socketId: newSocket.id,
@@ -299,11 +463,109 @@ export const MainRoom = () => {
           }
         }
       });
+
+      // Reconnects pick up a token refreshed since the socket was created
+      authenticate(localStorage.getItem('token') || token, false);
+    });
+
+    // Another device revoked this login; the server drops the socket next
+    newSocket.on('sessionRevoked', ({ reason }) => {
+      console.warn('Session revoked:', {
+        reason,
+        socketId: newSocket.id,
+        timestamp: new Date().toISOString()
+      });
+      sessionStorage.removeItem('resumeToken');
+      setError('You were signed out of this session. Please log in again.');
+    });
+
+    // Someone invited us to their room
+    newSocket.on('invitation', (data) => {
+      console.log('Room invitation received:', {
+        roomId: data.room?._id,
+        roomName: data.room?.name,
+        invitedBy: data.invitedBy?.username,
+        timestamp: new Date().toISOString()
+      });
+      setInvitation(data);
+    });
+
+    // A room moderator acted against us; kicks and bans send us back to the Lobby
+    newSocket.on('moderated', ({ roomId, roomName, action, reason, expiresAt }) => {
+      console.warn('Moderation action received:', {
+        roomId,
+        action,
+        reason,
+        expiresAt,
+        timestamp: new Date().toISOString()
+      });
+
+      const descriptions = {
+        kick: 'You were removed from',
+        ban: 'You were banned from',
+        unban: 'Your ban was lifted in',
+        mute: 'You were muted in',
+        unmute: 'You were unmuted in'
+      };
+      let notice = `${descriptions[action] || 'A moderator acted on your account in'} ${roomName || 'a room'}`;
+      if (expiresAt) notice += ` until ${new Date(expiresAt).toLocaleString()}`;
+      if (reason) notice += `: ${reason}`;
+      setError(notice);
+
+      if ((action === 'kick' || action === 'ban') && roomId !== lobbyRoomId) {
+        newSocket.emit('joinRoom', lobbyRoomId);
+      }
+    });
+
+    // Full rooms have a waitlist: queue up, follow our place in line and
+    // take the place offered when one opens
+    newSocket.on('waitlistPosition', ({ roomId, position, size }) => {
+      console.log('Waitlist position:', {
+        roomId,
+        position,
+        size,
+        timestamp: new Date().toISOString()
+      });
+      setWaitlist({ roomId, position, size });
+    });
+
+    newSocket.on('waitlistOffer', ({ roomId, expiresAt }) => {
+      console.log('Waitlist offer received:', {
+        roomId,
+        expiresAt,
+        timestamp: new Date().toISOString()
+      });
+      setWaitlist({ roomId, offerExpiresAt: expiresAt });
+    });
+
+    newSocket.on('waitlistExpired', ({ roomId }) => {
+      console.warn('Waitlist offer expired:', {
+        roomId,
+        timestamp: new Date().toISOString()
+      });
+      setWaitlist(null);
+      setError('Your place in the room was passed on to the next person in line.');
     });
 
     // Handle errors
     newSocket.on('error', (error) => {
       console.error('Socket error:', error);
+
+      if (error.message === 'Room is full' && error.roomId) {
+        const request = joinRequest?.roomId === error.roomId ? joinRequest : { roomId: error.roomId };
+        newSocket.emit('joinWaitlist', request, (response) => {
+          if (response?.error) {
+            setError(response.error);
+          } else if (response.full) {
+            setWaitlist({ roomId: error.roomId, position: response.position, size: response.size });
+          } else {
+            // A place opened meanwhile
+            newSocket.emit('joinRoom', request);
+          }
+        });
+        return;
+      }
+
       setError(error.message);
     });
 
@@ -326,7 +588,7 @@ export const MainRoom = () => {
       });
       newSocket.disconnect();
     };
-  }, [user, lobbyRoomId]);
+  }, [user, lobbyRoomId, refreshAccessToken]);
 
   // Scroll to bottom of messages
   useEffect(() => {
@@ -444,6 +706,14 @@ export const MainRoom = () => {
     }
   };
 
+  // Owner and co-hosts get a badge in the participant list
+  const getRoomRole = (userId) => {
+    const ownerId = roomState?.createdBy?._id || roomState?.createdBy;
+    if (ownerId && ownerId === userId) return 'owner';
+    if ((roomState?.coHosts || []).some(c => (c.user?._id || c.user) === userId)) return 'co-host';
+    return 'member';
+  };
+
   const handleLogout = () => {
     if (socket) {
       socket.close();
@@ -489,7 +759,14 @@ export const MainRoom = () => {
             {roomState?.name || 'Loading...'}
           </h1>
           <div className="flex items-center space-x-4">
+            <Avatar user={user} />
             <span className="text-gray-600">Welcome, {user?.username}</span>
+            <button
+              onClick={() => setShowProfile(true)}
+              className="text-gray-600 px-4 py-2 rounded hover:bg-gray-100"
+            >
+              {user?.isGuest ? 'Create account' : 'Profile'}
+            </button>
             <button
               onClick={handleLogout}
               className="bg-red-500 text-white px-4 py-2 rounded hover:bg-red-600"
@@ -500,6 +777,27 @@ export const MainRoom = () => {
         </div>
       </header>
 
+      {showProfile && <ProfileSettings onClose={() => setShowProfile(false)} />}
+
+      {waitlist && (
+        <WaitlistNotice
+          waitlist={waitlist}
+          socket={socket}
+          onClose={() => setWaitlist(null)}
+        />
+      )}
+
+      {invitation && (
+        <InvitationNotice
+          invitation={invitation}
+          socket={socket}
+          onClose={() => {
+            setInvitation(null);
+            window.history.replaceState(null, '', window.location.pathname);
+          }}
+        />
+      )}
+
       {/* Main Content */}
       <div className="flex-1 flex">
         {/* Game Container */}
@@ -554,9 +852,18 @@ export const MainRoom = () => {
                   className="flex items-center space-x-2"
                 >
                   <div className={`w-2 h-2 rounded-full ${
-                    participant.user.isOnline ? 'bg-green-500' : 'bg-gray-300'
+                    participant.status === 'reconnecting'
+                      ? 'bg-yellow-400'
+                      : participant.user.isOnline ? 'bg-green-500' : 'bg-gray-300'
                   }`} />
+                  <Avatar user={participant.user} />
                   <span className="text-gray-700">{participant.user.username}</span>
+                  {getRoomRole(participant.user._id) !== 'member' && (
+                    <span className="text-xs text-blue-600">{getRoomRole(participant.user._id)}</span>
+                  )}
+                  {participant.status === 'reconnecting' && (
+                    <span className="text-xs text-gray-400">reconnecting...</span>
+                  )}
                 </div>
               ))}
             </div>
@@ -584,7 +891,7 @@ export const MainRoom = () => {
                     <>
                       <div className="flex items-center space-x-2">
                         <span className="font-semibold text-sm text-gray-700">
-                          {message.user?.username}
+                          {message.user?.username || 'Deleted user'}
                         </span>
                         <span className="text-xs text-gray-500">
                           {new Date(message.createdAt).toLocaleTimeString()}
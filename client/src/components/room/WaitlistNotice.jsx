@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+
+// Helper function to count down to an offer's expiry in whole seconds
+const secondsUntil = (time) => Math.max(0, Math.ceil((new Date(time) - Date.now()) / 1000));
+
+// Banner for a full room's waitlist: the live queue position, then the
+// offer of a place that has to be accepted before it expires
+export const WaitlistNotice = ({ waitlist, socket, onClose }) => {
+  const [secondsLeft, setSecondsLeft] = useState(() =>
+    waitlist.offerExpiresAt ? secondsUntil(waitlist.offerExpiresAt) : null
+  );
+
+  useEffect(() => {
+    if (!waitlist.offerExpiresAt) return;
+
+    setSecondsLeft(secondsUntil(waitlist.offerExpiresAt));
+    const timer = setInterval(() => setSecondsLeft(secondsUntil(waitlist.offerExpiresAt)), 1000);
+    return () => clearInterval(timer);
+  }, [waitlist.offerExpiresAt]);
+
+  const handleAccept = () => {
+    console.log('Accepting waitlist offer:', {
+      roomId: waitlist.roomId,
+      socketId: socket?.id,
+      timestamp: new Date().toISOString()
+    });
+    socket?.emit('joinRoom', waitlist.roomId);
+    onClose();
+  };
+
+  const handleLeave = () => {
+    console.log('Leaving waitlist:', {
+      roomId: waitlist.roomId,
+      timestamp: new Date().toISOString()
+    });
+    socket?.emit('leaveWaitlist');
+    onClose();
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 px-4 py-3 flex items-center justify-between">
+      <div className="text-sm text-yellow-900">
+        {waitlist.offerExpiresAt
+          ? `A place is free in the room. Join within ${secondsLeft}s to take it.`
+          : `The room is full. You are number ${waitlist.position} of ${waitlist.size} in line.`}
+      </div>
+      <div className="flex space-x-2">
+        {waitlist.offerExpiresAt && (
+          <button
+            type="button"
+            onClick={handleAccept}
+            className="py-1 px-3 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Join
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={handleLeave}
+          className="py-1 px-3 text-sm text-gray-600 hover:text-gray-800"
+        >
+          Leave line
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -23,16 +23,70 @@ api.interceptors.request.use(
   }
 );
 
-// Add response interceptor to handle auth errors
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+// Exchange the refresh token for a new access token. Requests that fail while
+// a refresh is in flight share it, since each refresh token only works once.
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? api.post('/api/auth/refresh', { refreshToken }, { skipAuthRefresh: true })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        const { data } = response.data;
+        storeTokens(data);
+        console.log('Access token refreshed:', {
+          timestamp: new Date().toISOString()
+        });
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Add response interceptor to refresh expired tokens and retry the request
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Clear token on auth error
-      localStorage.removeItem('token');
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config.skipAuthRefresh || config._retried) {
+      return Promise.reject(error);
+    }
+
+    try {
+      const token = await refreshAccessToken();
+      config._retried = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch (refreshError) {
+      console.error('Token refresh failed:', {
+        error: refreshError.message,
+        timestamp: new Date().toISOString()
+      });
+
+      // The session is over; log in again
+      clearTokens();
       window.location.href = '/login';
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -43,6 +97,9 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [initialized, setInitialized] = useState(false);
+  // Challenge token from a login that still needs its two-factor code. Kept
+  // here because the login form remounts while `loading` is set.
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   useEffect(() => {
     // Check if user is already logged in
@@ -63,7 +120,7 @@ export const AuthProvider = ({ children }) => {
           error: err.message,
           timestamp: new Date().toISOString()
         });
-        localStorage.removeItem('token');
+        clearTokens();
         setUser(null);
       } finally {
         setInitialized(true);
@@ -118,7 +175,7 @@ export const AuthProvider = ({ children }) => {
         status: err.response?.status,
         timestamp: new Date().toISOString()
       });
-      localStorage.removeItem('token');
+      clearTokens();
       setUser(null);
       throw err;
     }
@@ -137,10 +194,20 @@ export const AuthProvider = ({ children }) => {
       const response = await api.post('/api/auth/login', {
         email,
         password
-      });
+      }, { skipAuthRefresh: true });
       
       // The response is wrapped in a data field
       const { data } = response.data;
+
+      // Accounts with two-factor enabled get a challenge to answer with a code
+      if (data?.twoFactorRequired) {
+        console.log('Two-factor code required:', {
+          timestamp: new Date().toISOString()
+        });
+        setTwoFactorChallenge(data.challengeToken);
+        return { success: false, twoFactorRequired: true };
+      }
+
       if (!data || !data.token || !data.user) {
         console.error('Invalid login response:', {
           response: response.data,
@@ -157,7 +224,7 @@ export const AuthProvider = ({ children }) => {
         timestamp: new Date().toISOString()
       });
 
-      localStorage.setItem('token', token);
+      storeTokens(data);
       setUser(user);
       return { success: true, user };
     } catch (err) {
@@ -174,6 +241,44 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: answer the challenge with an authenticator or recovery code
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    try {
+      setError(null);
+
+      const response = await api.post('/api/auth/2fa/verify', {
+        challengeToken: twoFactorChallenge,
+        code,
+        recoveryCode
+      }, { skipAuthRefresh: true });
+
+      const { data } = response.data;
+      if (!data || !data.token || !data.user) {
+        throw new Error('Invalid server response');
+      }
+
+      console.log('Two-factor verification successful:', {
+        userData: data.user,
+        timestamp: new Date().toISOString()
+      });
+
+      storeTokens(data);
+      setTwoFactorChallenge(null);
+      setUser(data.user);
+      return { success: true, user: data.user };
+    } catch (err) {
+      console.error('Two-factor verification failed:', {
+        error: err.message,
+        response: err.response?.data,
+        status: err.response?.status,
+        timestamp: new Date().toISOString()
+      });
+      return { success: false, error: err.response?.data?.error || err.message || 'Verification failed' };
+    }
+  };
+
+  const cancelTwoFactor = () => setTwoFactorChallenge(null);
+
   const register = async (username, email, password) => {
     try {
       setError(null);
@@ -188,7 +293,7 @@ export const AuthProvider = ({ children }) => {
         username,
         email,
         password
-      });
+      }, { skipAuthRefresh: true });
       
       // The response is wrapped in a data field
       const { data } = response.data;
@@ -208,7 +313,7 @@ export const AuthProvider = ({ children }) => {
         timestamp: new Date().toISOString()
       });
 
-      localStorage.setItem('token', token);
+      storeTokens(data);
       setUser(user);
       return { success: true };
     } catch (err) {
@@ -223,17 +328,114 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
     console.log('Logging out:', {
       hadUser: !!user,
       timestamp: new Date().toISOString()
     });
-    localStorage.removeItem('token');
+
+    // Revoke the tokens server-side so they cannot be reused
+    try {
+      await api.post('/api/auth/logout', {
+        refreshToken: localStorage.getItem('refreshToken')
+      }, { skipAuthRefresh: true });
+    } catch (err) {
+      console.error('Logout request failed:', {
+        error: err.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    clearTokens();
     setUser(null);
     // Redirect to login page
     window.location.href = '/login';
   };
 
+  // Guests get a generated name and can look around without registering
+  const loginAsGuest = async () => {
+    try {
+      setError(null);
+      const response = await api.post('/api/auth/guest', null, { skipAuthRefresh: true });
+      const { data } = response.data;
+
+      console.log('Guest login successful:', {
+        username: data.user.username,
+        timestamp: new Date().toISOString()
+      });
+
+      storeTokens(data);
+      setUser(data.user);
+      return { success: true, user: data.user };
+    } catch (err) {
+      console.error('Guest login failed:', {
+        error: err.message,
+        response: err.response?.data,
+        status: err.response?.status,
+        timestamp: new Date().toISOString()
+      });
+      return { success: false, error: err.response?.data?.error || err.message || 'Guest login failed' };
+    }
+  };
+
+  // Keep the guest's id and history, adding an email and password
+  const convertGuest = async ({ username, email, password }) => {
+    try {
+      const response = await api.post('/api/auth/guest/convert', { username, email, password });
+      const { data } = response.data;
+      setUser(data.user);
+      return { success: true };
+    } catch (err) {
+      console.error('Guest conversion failed:', {
+        error: err.message,
+        response: err.response?.data,
+        status: err.response?.status,
+        timestamp: new Date().toISOString()
+      });
+      return { success: false, error: err.response?.data?.error || err.message || 'Could not create the account' };
+    }
+  };
+
+  const updateProfile = async (changes) => {
+    try {
+      const response = await api.patch('/api/auth/me', changes);
+      const { data } = response.data;
+      setUser(data.user);
+      return { success: true };
+    } catch (err) {
+      console.error('Profile update failed:', {
+        error: err.message,
+        response: err.response?.data,
+        status: err.response?.status,
+        timestamp: new Date().toISOString()
+      });
+      return { success: false, error: err.response?.data?.error || err.message || 'Profile update failed' };
+    }
+  };
+
+  const uploadAvatar = async (file) => {
+    try {
+      const form = new FormData();
+      form.append('avatar', file);
+
+      // Let the browser set the multipart boundary
+      const response = await api.post('/api/auth/me/avatar', form, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      const { data } = response.data;
+      setUser(data.user);
+      return { success: true };
+    } catch (err) {
+      console.error('Avatar upload failed:', {
+        error: err.message,
+        response: err.response?.data,
+        status: err.response?.status,
+        timestamp: new Date().toISOString()
+      });
+      return { success: false, error: err.response?.data?.error || err.message || 'Avatar upload failed' };
+    }
+  };
+
   // Debug log for user state changes
   useEffect(() => {
     console.log('User state changed:', {
@@ -248,9 +450,17 @@ export const AuthProvider = ({ children }) => {
     loading,
     error,
     login,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    cancelTwoFactor,
     register,
+    loginAsGuest,
+    convertGuest,
     logout,
-    checkAuthStatus
+    updateProfile,
+    uploadAvatar,
+    checkAuthStatus,
+    refreshAccessToken
   };
 
   return (
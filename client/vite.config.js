@@ -5,6 +5,15 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  // metaverse-shared is a linked CommonJS package shared with the server
+  optimizeDeps: {
+    include: ['metaverse-shared']
+  },
+  build: {
+    commonjsOptions: {
+      include: [/shared/, /node_modules/]
+    }
+  },
   server: {
     proxy: {
       '/socket.io': {
@@ -5,25 +5,38 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const roomRoutes = require('./routes/roomRoutes');
+const userRoutes = require('./routes/userRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const { AVATAR_DIR, AVATAR_URL_PREFIX } = require('./utils/avatars');
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, trust it for req.ip so per-IP limits see real
+// clients. TRUST_PROXY is a hop count or a list of proxy addresses.
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
 // Middleware
 const allowedOrigins = ['http://localhost:5173', 'http://localhost:5173/', 'http://localhost:5000'];
 app.use(cors({
   origin: true, // Allow all origins for testing
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Job-Token']
 }));
 
 app.use(express.json());
 app.use(express.static('public')); // Serve static files from 'public' directory
+app.use(AVATAR_URL_PREFIX, express.static(AVATAR_DIR)); // Uploaded avatars
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/rooms', roomRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/account', accountRoutes);
 
 // Basic route for testing
 app.get('/', (req, res) => {
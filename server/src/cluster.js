@@ -0,0 +1,53 @@
+// Runs one server worker per CPU (or WORKERS) behind Node's cluster module.
+// Workers share the listening port; the cluster adapter relays Socket.IO
+// traffic between them and each room is owned by one worker (see utils/sharding).
+const cluster = require('cluster');
+const os = require('os');
+require('dotenv').config();
+
+const WORKER_COUNT = Number(process.env.WORKERS) || os.cpus().length;
+const WORKER_RESTART_DELAY = 1000; // ms, so a failing worker cannot spin
+
+if (cluster.isPrimary) {
+  const { setupPrimary } = require('@socket.io/cluster-adapter');
+  setupPrimary();
+
+  const workerIndexes = new Map(); // worker id -> index
+  let shuttingDown = false;
+
+  // Helper function to start the worker for an index
+  const startWorker = (index) => {
+    const worker = cluster.fork({
+      WORKER_INDEX: index,
+      WORKER_COUNT,
+      SOCKET_ADAPTER: 'cluster'
+    });
+    workerIndexes.set(worker.id, index);
+  };
+
+  console.log(`Primary ${process.pid} starting ${WORKER_COUNT} workers`);
+  for (let i = 0; i < WORKER_COUNT; i++) {
+    startWorker(i);
+  }
+
+  // Restart crashed workers with the same index so they take over the same rooms
+  cluster.on('exit', (worker, code, signal) => {
+    const index = workerIndexes.get(worker.id);
+    workerIndexes.delete(worker.id);
+
+    if (shuttingDown) return;
+    console.error(`Worker ${worker.process.pid} (index ${index}) exited`, { code, signal });
+    setTimeout(() => startWorker(index), WORKER_RESTART_DELAY);
+  });
+
+  // Workers flush their own room state on SIGINT/SIGTERM
+  const shutdown = () => {
+    shuttingDown = true;
+    Object.values(cluster.workers).forEach(worker => worker.process.kill('SIGTERM'));
+  };
+
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+} else {
+  require('./index');
+}
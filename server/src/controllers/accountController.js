@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const AccountJob = require('../models/AccountJob');
+const ApiKey = require('../models/ApiKey');
+const { createJob, findActiveJob, findJobByStatusToken } = require('../utils/accountJobs');
+const {
+  API_KEY_SCOPES,
+  MAX_API_KEYS,
+  createApiKey,
+  disconnectApiKey
+} = require('../utils/apiKeys');
+
+const MAX_API_KEY_DAYS = 365;
+
+// Helper function for consistent API responses
+const apiResponse = (res, status, data = null, error = null) => {
+  const response = { status: status < 400 ? 'success' : 'error' };
+  if (data) response.data = data;
+  if (error) response.error = error;
+  return res.status(status).json(response);
+};
+
+// Helper function to pick the job fields that are safe to send back
+const toJobResponse = (job) => ({
+  _id: job._id,
+  type: job.type,
+  status: job.status,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  downloadUrl: job.type === 'export' && job.status === 'completed'
+    ? `/api/account/jobs/${job._id}/download`
+    : undefined
+});
+
+// Queue a JSON export of everything stored about the current user
+const requestExport = async (req, res) => {
+  try {
+    if (await findActiveJob(req.user._id, 'export')) {
+      return apiResponse(res, 409, null, 'An export is already in progress');
+    }
+
+    const { job, statusToken } = await createJob(req.user._id, 'export');
+
+    return apiResponse(res, 202, { job: toJobResponse(job), statusToken });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Queue deletion of the current user's account. Messages are anonymized
+// unless { messages: 'delete' } is given.
+const requestDeletion = async (req, res) => {
+  try {
+    const { password, messages = 'anonymize' } = req.body || {};
+
+    if (!['anonymize', 'delete'].includes(messages)) {
+      return apiResponse(res, 400, null, 'Messages must be anonymize or delete');
+    }
+
+    // Guests have no password to confirm with
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user) {
+      return apiResponse(res, 404, null, 'User not found');
+    }
+    if (!user.isGuest) {
+      if (!password) {
+        return apiResponse(res, 400, null, 'Password is required to delete your account');
+      }
+      if (!await user.comparePassword(password)) {
+        return apiResponse(res, 401, null, 'Invalid password');
+      }
+    }
+
+    if (await findActiveJob(user._id, 'deletion')) {
+      return apiResponse(res, 409, null, 'Account deletion is already in progress');
+    }
+
+    const { job, statusToken } = await createJob(user._id, 'deletion', { messages });
+
+    return apiResponse(res, 202, { job: toJobResponse(job), statusToken });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Check on a job with the status token it was created with. Needs no login,
+// so the result of a deletion can be seen after the account is gone.
+const getJobStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const statusToken = req.get('X-Job-Token') || req.query.token;
+
+    const job = mongoose.isValidObjectId(jobId)
+      ? await findJobByStatusToken(jobId, statusToken)
+      : null;
+    if (!job) {
+      return apiResponse(res, 404, null, 'Job not found');
+    }
+
+    return apiResponse(res, 200, { job: toJobResponse(job) });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Download a finished export (owner only)
+const downloadExport = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = mongoose.isValidObjectId(jobId)
+      ? await AccountJob.findOne({ _id: jobId, user: req.user._id, type: 'export' }).select('+filePath')
+      : null;
+
+    if (!job) {
+      return apiResponse(res, 404, null, 'Export not found');
+    }
+    if (job.status !== 'completed' || !job.filePath) {
+      return apiResponse(res, 409, null, 'Export is not ready yet');
+    }
+
+    return res.download(job.filePath, `account-export-${job.createdAt.toISOString().slice(0, 10)}.json`);
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Helper function to pick the API key fields that are safe to send back
+const toApiKeyResponse = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt
+});
+
+// List the current user's API keys that can still be used
+const listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({
+      user: req.user._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).sort({ createdAt: -1 });
+
+    return apiResponse(res, 200, { apiKeys: apiKeys.map(toApiKeyResponse) });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Mint an API key. The key is in this response only and cannot be shown again.
+const issueApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+      return apiResponse(res, 400, null, 'Name must be 1-50 characters');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 ||
+        scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      return apiResponse(res, 400, null, `Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+    if (expiresInDays !== undefined &&
+        !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= MAX_API_KEY_DAYS)) {
+      return apiResponse(res, 400, null, `Expiry must be 1-${MAX_API_KEY_DAYS} days`);
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeKeys >= MAX_API_KEYS) {
+      return apiResponse(res, 400, null, `You can have at most ${MAX_API_KEYS} API keys`);
+    }
+
+    const { apiKey, key } = await createApiKey(req.user._id, {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    return apiResponse(res, 201, { apiKey: toApiKeyResponse(apiKey), key });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Revoke one of the current user's API keys and drop its live sockets
+const revokeApiKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    if (!mongoose.isValidObjectId(keyId)) {
+      return apiResponse(res, 400, null, 'Invalid API key ID');
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: keyId, user: req.user._id, revokedAt: null });
+    if (!apiKey) {
+      return apiResponse(res, 404, null, 'API key not found');
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    disconnectApiKey(req.app.get('io'), apiKey._id);
+
+    return apiResponse(res, 200, { message: 'API key revoked' });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+module.exports = {
+  requestExport,
+  requestDeletion,
+  getJobStatus,
+  downloadExport,
+  listApiKeys,
+  issueApiKey,
+  revokeApiKey
+};
@@ -1,6 +1,57 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/UserModel');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
 const bcrypt = require('bcryptjs');
+const validator = require('validator');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  signActionToken,
+  verifyActionToken,
+  consumeActionToken
+} = require('../utils/tokens');
+const { revokeSession, disconnectSession } = require('../utils/sessions');
+const { sendMail, clientUrl } = require('../utils/mailer');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { AttemptLimiter, checkAttempts, createAttemptStore } = require('../utils/attemptLimiter');
+const { receiveAvatar, saveAvatar, removeAvatarFiles } = require('../utils/avatars');
+const { createGuestUser } = require('../utils/guests');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Metaverse';
+const RECOVERY_CODE_COUNT = 10;
+
+// Two-factor secrets are not loaded unless asked for
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Brute-force protection for sign-in and sign-up. Failed logins are counted
+// per account and per IP; registrations and guest sign-ins are counted per IP
+// whether or not they succeed. Guests get a looser limit of their own, since
+// a whole class or demo may share one address.
+const attemptStore = createAttemptStore();
+const limiters = {
+  loginAccount: new AttemptLimiter(attemptStore, { freeAttempts: 3, lockoutAfter: 10 }),
+  loginIp: new AttemptLimiter(attemptStore, { freeAttempts: 10, lockoutAfter: 50 }),
+  register: new AttemptLimiter(attemptStore, {
+    freeAttempts: 5,
+    baseDelay: 2000,
+    lockoutAfter: 20,
+    lockoutDuration: 60 * 60 * 1000,
+    window: 60 * 60 * 1000
+  }),
+  guest: new AttemptLimiter(attemptStore, {
+    freeAttempts: 50,
+    maxDelay: 10 * 1000,
+    lockoutAfter: 200,
+    lockoutDuration: 15 * 60 * 1000,
+    window: 60 * 60 * 1000
+  })
+};
+
+const accountKey = (email) => `login:account:${String(email).toLowerCase().trim()}`;
+const ipKey = (req, action = 'login') => `${action}:ip:${req.ip}`;
 
 // Helper function for consistent API responses
 const apiResponse = (res, status, data = null, error = null) => {
@@ -10,11 +61,216 @@ const apiResponse = (res, status, data = null, error = null) => {
   return res.status(status).json(response);
 };
 
+// Built-in avatars are plain image file names; anything else must be uploaded
+const BUILT_IN_AVATAR = /^[\w-]+\.(png|jpe?g)$/;
+
+// Helper function to pick the user fields that are safe to send back
+const toUserResponse = (user) => ({
+  _id: user._id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  isGuest: user.isGuest || false,
+  role: user.role || 'user',
+  twoFactorEnabled: user.twoFactor?.enabled || false,
+  avatar: user.avatar,
+  avatarThumbnail: user.avatarThumbnail,
+  isOnline: user.isOnline,
+  currentRoom: user.currentRoom
+});
+
+// Helper function to check profile fields before touching the database
+const validateProfileUpdate = ({ username, email, avatar }) => {
+  if (username === undefined && email === undefined && avatar === undefined) {
+    return 'No profile changes given';
+  }
+  if (username !== undefined &&
+      (typeof username !== 'string' || !/^[a-zA-Z0-9_]{3,20}$/.test(username))) {
+    return 'Username must be 3-20 characters of letters, numbers and underscores';
+  }
+  if (email !== undefined && (typeof email !== 'string' || !validator.isEmail(email))) {
+    return 'Please provide a valid email';
+  }
+  if (avatar !== undefined && (typeof avatar !== 'string' || !BUILT_IN_AVATAR.test(avatar))) {
+    return 'Avatar must be a built-in image name; upload custom avatars instead';
+  }
+  return null;
+};
+
+// Helper function to show a user's new name or avatar to their room straight away
+const broadcastProfile = async (req, user) => {
+  const runRoomCommand = req.app.get('runRoomCommand');
+  const roomId = user.currentRoom?.toString();
+  if (!runRoomCommand || !mongoose.isValidObjectId(roomId)) return;
+
+  try {
+    await runRoomCommand(roomId, 'updateParticipant', {
+      userId: user._id.toString(),
+      profile: {
+        username: user.username,
+        avatar: user.avatar,
+        avatarThumbnail: user.avatarThumbnail
+      }
+    });
+  } catch (error) {
+    console.error('Error broadcasting profile update:', error);
+  }
+};
+
+// Helper function to describe a wait in seconds as text for error messages
+const formatWait = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Helper function to refuse a throttled or locked out attempt with Retry-After
+const rejectAttempt = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+
+  const message = block.reason === 'locked'
+    ? `Too many failed attempts, temporarily locked. Try again in ${formatWait(block.retryAfter)}.`
+    : `Too many attempts. Try again in ${formatWait(block.retryAfter)}.`;
+
+  return apiResponse(res, 429, { reason: block.reason, retryAfter: block.retryAfter }, message);
+};
+
+// Helper function to check the login limiters for a request and account
+const checkLoginAttempts = (req, email) => checkAttempts([
+  [limiters.loginIp, ipKey(req)],
+  [limiters.loginAccount, accountKey(email)]
+]);
+
+// Helper function to count a failed password or code against the IP and account
+const recordLoginFailure = async (req, email) => {
+  await limiters.loginIp.fail(ipKey(req));
+  await limiters.loginAccount.fail(accountKey(email));
+};
+
+// Helper function to describe where a login came from for its session
+const getClientInfo = (req) => ({
+  userAgent: req.get('User-Agent') || '',
+  ip: req.ip
+});
+
+// Helper function to revoke a session and drop its live sockets
+const endSession = async (req, sessionId) => {
+  await revokeSession(sessionId);
+  disconnectSession(req.app.get('io'), sessionId);
+};
+
+// Helper function to end all of a user's sessions, optionally keeping one
+const endUserSessions = async (req, userId, keepSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (keepSessionId) {
+    filter._id = { $ne: keepSessionId };
+  }
+
+  const sessions = await Session.find(filter).select('_id');
+  for (const session of sessions) {
+    await endSession(req, session._id);
+  }
+  return sessions.length;
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).trim().toLowerCase())
+  .digest('hex');
+
+// Helper function to create a fresh set of recovery codes and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Helper function to check a TOTP code or recovery code for a user loaded with
+// TWO_FACTOR_FIELDS. Each code is accepted once.
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null) return false;
+
+  // Only move forward so a code seen once cannot be used again
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Helper function to finish signing in once every factor has been checked
+const completeLogin = async (req, res, user) => {
+  // The account's failed attempts no longer count; the IP's still do
+  await limiters.loginAccount.reset(accountKey(user.email));
+
+  // Update user status
+  user.isOnline = true;
+  user.lastSeen = new Date();
+  await user.save();
+
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await issueTokens(user, getClientInfo(req));
+
+  return apiResponse(res, 200, {
+    user: toUserResponse(user),
+    token,
+    refreshToken
+  });
+};
+
+// Helper function to mail a link for confirming the user's email address
+const sendVerificationEmail = (user) => {
+  const link = clientUrl('/verify-email', { token: signActionToken(user, 'emailVerification') });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`
+  });
+};
+
+// Helper function to mail a single-use password reset link
+const sendPasswordResetEmail = (user) => {
+  const link = clientUrl('/reset-password', { token: signActionToken(user, 'passwordReset') });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nYou can choose a new password by opening this link:\n${link}\n\nThe link works once. If you did not ask to reset your password, you can ignore this email.`
+  });
+};
+
 // Register a new user
 const register = async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
+    const block = await limiters.register.check(ipKey(req, 'register'));
+    if (block) {
+      return rejectAttempt(res, block);
+    }
+    await limiters.register.fail(ipKey(req, 'register'));
+
     // Check if user already exists
     const existingUser = await User.findOne({ $or: [{ email }, { username }] });
     if (existingUser) {
@@ -31,29 +287,108 @@ const register = async (req, res) => {
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // A failed mail should not fail the registration; the user can ask again
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, getClientInfo(req));
 
     return apiResponse(res, 201, {
-      user: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        isOnline: user.isOnline,
-        currentRoom: user.currentRoom
-      },
-      token
+      user: toUserResponse(user),
+      token,
+      refreshToken
     });
   } catch (error) {
     return apiResponse(res, 400, null, error.message);
   }
 };
 
+// Sign in as a guest with a generated username and no email or password
+const loginAsGuest = async (req, res) => {
+  try {
+    const block = await limiters.guest.check(ipKey(req, 'guest'));
+    if (block) {
+      return rejectAttempt(res, block);
+    }
+    await limiters.guest.fail(ipKey(req, 'guest'));
+
+    const user = await createGuestUser();
+    const { token, refreshToken } = await issueTokens(user, getClientInfo(req));
+
+    return apiResponse(res, 201, {
+      user: toUserResponse(user),
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Guest login error:', error);
+    return apiResponse(res, 500, null, 'Internal server error');
+  }
+};
+
+// Turn the current guest into a full account, keeping their id and history
+const convertGuest = async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+
+    if (!req.user.isGuest) {
+      return apiResponse(res, 400, null, 'Account is already registered');
+    }
+    if (!email || !password) {
+      return apiResponse(res, 400, null, 'Email and password are required');
+    }
+    const validationError = validateProfileUpdate({ username, email });
+    if (validationError) {
+      return apiResponse(res, 400, null, validationError);
+    }
+    if (String(password).length < 6) {
+      return apiResponse(res, 400, null, 'Password must be at least 6 characters long');
+    }
+
+    const block = await limiters.register.check(ipKey(req, 'register'));
+    if (block) {
+      return rejectAttempt(res, block);
+    }
+    await limiters.register.fail(ipKey(req, 'register'));
+
+    const user = await User.findById(req.user._id);
+    if (!user || !user.isGuest) {
+      return apiResponse(res, 400, null, 'Account is already registered');
+    }
+
+    if (await User.exists({ email: email.toLowerCase().trim() })) {
+      return apiResponse(res, 400, null, 'Email already taken');
+    }
+    if (username && username !== user.username) {
+      if (await User.exists({ username })) {
+        return apiResponse(res, 400, null, 'Username already taken');
+      }
+      user.username = username;
+    }
+
+    user.email = email;
+    user.password = String(password);
+    user.emailVerified = false;
+    user.isGuest = false;
+    await user.save();
+
+    await broadcastProfile(req, user);
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+
+    return apiResponse(res, 200, { user: toUserResponse(user) });
+  } catch (error) {
+    return apiResponse(res, 400, null, error.message);
+  }
+};
+
 // Login user
 const login = async (req, res) => {
   try {
@@ -63,61 +398,77 @@ const login = async (req, res) => {
       return apiResponse(res, 400, null, 'Email and password are required');
     }
 
+    const block = await checkLoginAttempts(req, email);
+    if (block) {
+      return rejectAttempt(res, block);
+    }
+
     // Find user by email and explicitly select password
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      // Unknown emails count too, so lockouts do not reveal which accounts exist
+      await recordLoginFailure(req, email);
       return apiResponse(res, 401, null, 'Invalid credentials');
     }
 
     // Use the model's comparePassword method
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(req, email);
       return apiResponse(res, 401, null, 'Invalid credentials');
     }
 
-    // Update user status
-    user.isOnline = true;
-    user.lastSeen = new Date();
-    await user.save();
+    // With two-factor enabled the password only earns a short-lived challenge,
+    // exchanged for tokens at /2fa/verify
+    if (user.twoFactor?.enabled) {
+      return apiResponse(res, 200, {
+        twoFactorRequired: true,
+        challengeToken: signActionToken(user, 'twoFactorChallenge')
+      });
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key', // Fallback for development
-      { expiresIn: '7d' }
-    );
+    return completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    return apiResponse(res, 500, null, 'Internal server error');
+  }
+};
 
-    // Remove password from response
-    const userResponse = {
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      avatar: user.avatar,
-      isOnline: user.isOnline,
-      currentRoom: user.currentRoom
-    };
+// Exchange a refresh token for a new access token and refresh token
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return apiResponse(res, 400, null, 'Refresh token is required');
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken);
+    if (!tokens) {
+      return apiResponse(res, 401, null, 'Invalid refresh token');
+    }
 
     return apiResponse(res, 200, {
-      user: userResponse,
-      token
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Token refresh error:', error);
     return apiResponse(res, 500, null, 'Internal server error');
   }
 };
 
-// Logout user
+// Logout user. Only this login is ended; the user's other sessions and
+// devices stay signed in.
 const logout = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
-    if (!user) {
-      return apiResponse(res, 404, null, 'User not found');
+    // Revoke the access token used for this request and the login's refresh tokens
+    await revokeAccessToken(req.tokenPayload);
+    if (req.body?.refreshToken) {
+      await revokeRefreshToken(req.body.refreshToken);
+    }
+    if (req.tokenPayload?.sid) {
+      await endSession(req, req.tokenPayload.sid);
     }
-
-    user.isOnline = false;
-    user.currentRoom = 'lobby';
-    await user.save();
 
     return apiResponse(res, 200, { message: 'Logged out successfully' });
   } catch (error) {
@@ -146,7 +497,14 @@ const getCurrentUser = async (req, res) => {
 const updateProfile = async (req, res) => {
   try {
     const { username, email, avatar } = req.body;
+    const validationError = validateProfileUpdate({ username, email, avatar });
+    if (validationError) {
+      return apiResponse(res, 400, null, validationError);
+    }
+
     const user = await User.findById(req.user._id);
+    let emailChanged = false;
+    let previousUpload = null;
 
     if (!user) {
       return apiResponse(res, 404, null, 'User not found');
@@ -162,38 +520,411 @@ const updateProfile = async (req, res) => {
     }
 
     if (email && email !== user.email) {
+      if (user.isGuest) {
+        return apiResponse(res, 403, null, 'Guests must convert to a full account to set an email');
+      }
       const existingUser = await User.findOne({ email });
       if (existingUser) {
         return apiResponse(res, 400, null, 'Email already taken');
       }
       user.email = email;
+      user.emailVerified = false;
+      emailChanged = true;
     }
 
-    if (avatar) {
+    if (avatar && avatar !== user.avatar) {
+      previousUpload = [user.avatar, user.avatarThumbnail];
       user.avatar = avatar;
+      user.avatarThumbnail = null;
     }
 
     await user.save();
 
-    return apiResponse(res, 200, {
-      user: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        isOnline: user.isOnline,
-        currentRoom: user.currentRoom
+    if (previousUpload) {
+      await removeAvatarFiles(previousUpload);
+    }
+    await broadcastProfile(req, user);
+
+    // A new address has to be verified again
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
       }
-    });
+    }
+
+    return apiResponse(res, 200, { user: toUserResponse(user) });
   } catch (error) {
     return apiResponse(res, 400, null, error.message);
   }
 };
 
+// Upload a new avatar image (multipart field "avatar")
+const uploadAvatar = async (req, res) => {
+  try {
+    const file = await receiveAvatar(req, res);
+    if (!file) {
+      return apiResponse(res, 400, null, 'Avatar file is required');
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return apiResponse(res, 404, null, 'User not found');
+    }
+
+    const previousUpload = [user.avatar, user.avatarThumbnail];
+    const { avatar, avatarThumbnail } = await saveAvatar(user._id, file.buffer);
+
+    user.avatar = avatar;
+    user.avatarThumbnail = avatarThumbnail;
+    await user.save();
+
+    await removeAvatarFiles(previousUpload);
+    await broadcastProfile(req, user);
+
+    return apiResponse(res, 200, { user: toUserResponse(user) });
+  } catch (error) {
+    return apiResponse(res, 400, null, error.message);
+  }
+};
+
+// List the current user's active sessions
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return apiResponse(res, 200, {
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        connections: session.sockets.length,
+        current: session._id.toString() === req.tokenPayload?.sid
+      }))
+    });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Revoke one of the current user's sessions
+const revokeUserSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return apiResponse(res, 400, null, 'Invalid session ID');
+    }
+
+    const session = await Session.findOne({ _id: sessionId, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return apiResponse(res, 404, null, 'Session not found');
+    }
+
+    await endSession(req, session._id);
+
+    return apiResponse(res, 200, { message: 'Session revoked' });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Revoke every session of the current user except the one making the request
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const currentSessionId = req.tokenPayload?.sid;
+    if (!currentSessionId) {
+      return apiResponse(res, 400, null, 'Current session is unknown, please log in again');
+    }
+
+    const revoked = await endUserSessions(req, req.user._id, currentSessionId);
+
+    return apiResponse(res, 200, {
+      message: 'Other sessions revoked',
+      revoked
+    });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Mail a password reset link
+const requestPasswordReset = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return apiResponse(res, 400, null, 'Email is required');
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same answer either way so the route cannot be used to look up accounts
+    return apiResponse(res, 200, {
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    return apiResponse(res, 500, null, 'Internal server error');
+  }
+};
+
+// Set a new password using a reset token
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return apiResponse(res, 400, null, 'Token and password are required');
+    }
+
+    // Check before using up the token
+    if (String(password).length < 6) {
+      return apiResponse(res, 400, null, 'Password must be at least 6 characters long');
+    }
+
+    let payload;
+    try {
+      payload = await consumeActionToken(token, 'passwordReset');
+    } catch (error) {
+      return apiResponse(res, 400, null, error.message);
+    }
+
+    const user = await User.findById(payload.userId);
+    if (!user) {
+      return apiResponse(res, 400, null, 'Invalid or expired token');
+    }
+
+    user.password = String(password);
+    await user.save();
+
+    // Whoever knew the old password should not stay logged in
+    await endUserSessions(req, user._id);
+
+    return apiResponse(res, 200, { message: 'Password has been reset' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    return apiResponse(res, 500, null, 'Internal server error');
+  }
+};
+
+// Mark an email address as verified using a verification token
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return apiResponse(res, 400, null, 'Token is required');
+    }
+
+    let payload;
+    try {
+      payload = await consumeActionToken(token, 'emailVerification');
+    } catch (error) {
+      return apiResponse(res, 400, null, error.message);
+    }
+
+    // The token only verifies the address it was sent to
+    const user = await User.findById(payload.userId);
+    if (!user || user.email !== payload.email) {
+      return apiResponse(res, 400, null, 'Invalid or expired token');
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    return apiResponse(res, 200, { message: 'Email verified' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    return apiResponse(res, 500, null, 'Internal server error');
+  }
+};
+
+// Mail a new verification link to the current user
+const resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return apiResponse(res, 400, null, 'Email is already verified');
+    }
+
+    await sendVerificationEmail(req.user);
+
+    return apiResponse(res, 200, { message: 'Verification email sent' });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Complete a two-factor sign-in with a TOTP code or a recovery code
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return apiResponse(res, 400, null, 'Challenge token and code are required');
+    }
+
+    let payload;
+    try {
+      payload = verifyActionToken(challengeToken, 'twoFactorChallenge');
+    } catch (error) {
+      return apiResponse(res, 401, null, error.message);
+    }
+
+    const user = await User.findById(payload.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return apiResponse(res, 401, null, 'Invalid or expired token');
+    }
+
+    // Codes are short, so guesses share the login limits
+    const block = await checkLoginAttempts(req, user.email);
+    if (block) {
+      return rejectAttempt(res, block);
+    }
+
+    if (!await checkSecondFactor(user, { code, recoveryCode })) {
+      await recordLoginFailure(req, user.email);
+      return apiResponse(res, 401, null, 'Invalid code');
+    }
+
+    // The challenge is spent once it has been answered
+    try {
+      await consumeActionToken(challengeToken, 'twoFactorChallenge');
+    } catch (error) {
+      return apiResponse(res, 401, null, error.message);
+    }
+
+    return completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    return apiResponse(res, 500, null, 'Internal server error');
+  }
+};
+
+// Start two-factor enrollment by handing out a new secret
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return apiResponse(res, 404, null, 'User not found');
+    }
+
+    if (user.twoFactor?.enabled) {
+      return apiResponse(res, 400, null, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return apiResponse(res, 200, {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Finish enrollment with a code from the authenticator app. The recovery
+// codes are only ever shown in this response.
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (!user) {
+      return apiResponse(res, 404, null, 'User not found');
+    }
+
+    if (user.twoFactor?.enabled) {
+      return apiResponse(res, 400, null, 'Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return apiResponse(res, 400, null, 'Two-factor setup has not been started');
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return apiResponse(res, 400, null, 'Invalid code');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: hashes,
+      lastUsedStep: step
+    };
+    await user.save();
+
+    return apiResponse(res, 200, {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Turn two-factor off; needs the password and a current code or recovery code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return apiResponse(res, 400, null, 'Password and code are required');
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user) {
+      return apiResponse(res, 404, null, 'User not found');
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return apiResponse(res, 400, null, 'Two-factor authentication is not enabled');
+    }
+
+    if (!await user.comparePassword(password)) {
+      return apiResponse(res, 400, null, 'Invalid password');
+    }
+
+    if (!await checkSecondFactor(user, { code, recoveryCode })) {
+      return apiResponse(res, 400, null, 'Invalid code');
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+
+    return apiResponse(res, 200, { message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
 module.exports = {
   register,
+  loginAsGuest,
+  convertGuest,
   login,
+  refresh,
   logout,
+  listSessions,
+  revokeUserSession,
+  revokeOtherSessions,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
   getCurrentUser,
-  updateProfile
+  updateProfile,
+  uploadAvatar
 }; 
\ No newline at end of file
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const RoomInvite = require('../models/RoomInvite');
+const {
+  MAX_INVITE_HOURS,
+  MAX_INVITE_USES,
+  createInvite,
+  findActiveInvites
+} = require('../utils/invites');
+const { userChannel } = require('../utils/sessions');
+
+// Helper function for consistent API responses
+const apiResponse = (res, status, data = null, error = null) => {
+  const response = { status: status < 400 ? 'success' : 'error' };
+  if (data) response.data = data;
+  if (error) response.error = error;
+  return res.status(status).json(response);
+};
+
+// Helper function to pick the invite fields that are safe to send back
+const toInviteResponse = (invite) => ({
+  _id: invite._id,
+  room: invite.room,
+  createdBy: invite.createdBy,
+  invitedUser: invite.invitedUser,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  expiresAt: invite.expiresAt,
+  createdAt: invite.createdAt
+});
+
+// Create an invite link to the room (checked by requireRoomPermission). The
+// token is in this response only; an invited user also gets it by socket.
+const issueInvite = async (req, res) => {
+  try {
+    const { room } = req;
+    const { userId, maxUses, expiresInHours } = req.body || {};
+
+    if (maxUses !== undefined && maxUses !== null &&
+        !(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= MAX_INVITE_USES)) {
+      return apiResponse(res, 400, null, `Max uses must be 1-${MAX_INVITE_USES}`);
+    }
+    if (expiresInHours !== undefined &&
+        !(Number.isInteger(expiresInHours) && expiresInHours >= 1 && expiresInHours <= MAX_INVITE_HOURS)) {
+      return apiResponse(res, 400, null, `Expiry must be 1-${MAX_INVITE_HOURS} hours`);
+    }
+
+    let invitedUser = null;
+    if (userId) {
+      invitedUser = mongoose.isValidObjectId(userId)
+        ? await User.findById(userId).select('username')
+        : null;
+      if (!invitedUser) {
+        return apiResponse(res, 404, null, 'User not found');
+      }
+    }
+
+    const { invite, token, link } = await createInvite(room._id, req.user._id, {
+      invitedUser: invitedUser?._id,
+      maxUses: maxUses ?? null,
+      expiresInHours
+    });
+
+    // Tell the invited user straight away if they are online
+    if (invitedUser) {
+      req.app.get('io')?.to(userChannel(invitedUser._id)).emit('invitation', {
+        invite: toInviteResponse(invite),
+        room: { _id: room._id, name: room.name, description: room.description },
+        invitedBy: { _id: req.user._id, username: req.user.username },
+        token,
+        link
+      });
+    }
+
+    return apiResponse(res, 201, { invite: toInviteResponse(invite), token, link });
+  } catch (error) {
+    return apiResponse(res, 400, null, error.message);
+  }
+};
+
+// List the room's invites that can still be used (checked by requireRoomPermission)
+const listInvites = async (req, res) => {
+  try {
+    const invites = await findActiveInvites(req.room._id)
+      .populate('invitedUser', 'username')
+      .populate('createdBy', 'username');
+
+    return apiResponse(res, 200, { invites: invites.map(toInviteResponse) });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+// Revoke one of the room's invites (checked by requireRoomPermission)
+const revokeInvite = async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+    if (!mongoose.isValidObjectId(inviteId)) {
+      return apiResponse(res, 400, null, 'Invalid invite ID');
+    }
+
+    const invite = await RoomInvite.findOneAndUpdate(
+      { _id: inviteId, room: req.room._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!invite) {
+      return apiResponse(res, 404, null, 'Invite not found');
+    }
+
+    return apiResponse(res, 200, { message: 'Invite revoked' });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+module.exports = {
+  issueInvite,
+  listInvites,
+  revokeInvite
+};
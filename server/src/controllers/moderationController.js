@@ -0,0 +1,76 @@
+const Room = require('../models/Room');
+const ModerationLog = require('../models/ModerationLog');
+const { moderateUser } = require('../utils/moderation');
+
+const MODERATION_LOG_LIMIT = 100;
+
+// Helper function for consistent API responses
+const apiResponse = (res, status, data = null, error = null) => {
+  const response = { status: status < 400 ? 'success' : 'error' };
+  if (data) response.data = data;
+  if (error) response.error = error;
+  return res.status(status).json(response);
+};
+
+// Helper function to build a route handler for one moderation action
+// (checked by requireRoomPermission)
+const moderationHandler = (action) => async (req, res) => {
+  try {
+    const { reason, durationMinutes } = req.body || {};
+
+    const result = await moderateUser({
+      room: req.room,
+      moderator: req.user,
+      targetId: req.params.userId,
+      action,
+      reason,
+      durationMinutes,
+      io: req.app.get('io'),
+      runRoomCommand: req.app.get('runRoomCommand')
+    });
+
+    return apiResponse(res, 200, result);
+  } catch (error) {
+    return apiResponse(res, error.message === 'User not found' ? 404 : 400, null, error.message);
+  }
+};
+
+const kickUser = moderationHandler('kick');
+const banUser = moderationHandler('ban');
+const unbanUser = moderationHandler('unban');
+const muteUser = moderationHandler('mute');
+const unmuteUser = moderationHandler('unmute');
+
+// List the room's bans and mutes that are still in force, and its most
+// recent moderation actions (checked by requireRoomPermission)
+const getModeration = async (req, res) => {
+  try {
+    const now = new Date();
+    const room = await Room.findById(req.room._id)
+      .select('+bans +mutes')
+      .populate('bans.user mutes.user', 'username');
+    const active = (entries) => entries.filter(entry => !entry.expiresAt || entry.expiresAt > now);
+
+    const log = await ModerationLog.find({ room: req.room._id })
+      .sort({ createdAt: -1 })
+      .limit(MODERATION_LOG_LIMIT)
+      .populate('user moderator', 'username');
+
+    return apiResponse(res, 200, {
+      bans: active(room.bans),
+      mutes: active(room.mutes),
+      log
+    });
+  } catch (error) {
+    return apiResponse(res, 500, null, error.message);
+  }
+};
+
+module.exports = {
+  kickUser,
+  banUser,
+  unbanUser,
+  muteUser,
+  unmuteUser,
+  getModeration
+};
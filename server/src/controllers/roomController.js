@@ -1,5 +1,12 @@
+const mongoose = require('mongoose');
 const Room = require('../models/Room');
 const User = require('../models/UserModel');
+const RoomInvite = require('../models/RoomInvite');
+const ModerationLog = require('../models/ModerationLog');
+const { CO_HOST_PERMISSION_NAMES, getRoomRole, hasRoomPermission } = require('../utils/permissions');
+const { transferOwnership } = require('../utils/ownership');
+const { checkInvite, redeemInvite } = require('../utils/invites');
+const { checkNotBanned } = require('../utils/moderation');
 
 // Helper function for consistent API responses
 const apiResponse = (res, status, data = null, error = null) => {
@@ -9,10 +16,24 @@ const apiResponse = (res, status, data = null, error = null) => {
   return res.status(status).json(response);
 };
 
+const MIN_ROOM_PASSWORD_LENGTH = 4;
+const MAX_ROOM_OBJECTS = 500;
+
+// Helper function to check a new room password, returning an error message
+const validateRoomPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_ROOM_PASSWORD_LENGTH) {
+    return `Room password must be at least ${MIN_ROOM_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Helper function to check a room capacity
+const isValidCapacity = (value) => Number.isInteger(value) && value >= 1;
+
 // Create a new room
 const createRoom = async (req, res) => {
   try {
-    const { name, description, isPrivate, password, maxParticipants } = req.body;
+    const { name, description, isPrivate, password, maxParticipants, requireVerifiedEmail } = req.body;
 
     // Check if room name already exists
     const existingRoom = await Room.findOne({ name });
@@ -20,12 +41,27 @@ const createRoom = async (req, res) => {
       return apiResponse(res, 400, null, 'Room name already exists');
     }
 
+    if (maxParticipants !== undefined && !isValidCapacity(maxParticipants)) {
+      return apiResponse(res, 400, null, 'Max participants must be a positive whole number');
+    }
+
+    // Private rooms without a password can only be joined by invite
+    if (isPrivate && password !== undefined) {
+      const passwordError = validateRoomPassword(password);
+      if (passwordError) {
+        return apiResponse(res, 400, null, passwordError);
+      }
+    }
+
     const room = new Room({
       name,
       description,
       isPrivate,
       password: isPrivate ? password : undefined,
-      maxParticipants: maxParticipants || 50,
+      settings: {
+        maxParticipants: maxParticipants || 50,
+        requireVerifiedEmail: !!requireVerifiedEmail
+      },
       createdBy: req.user._id
     });
 
@@ -128,6 +164,7 @@ const getRoom = async (req, res) => {
   try {
     const room = await Room.findById(req.params.roomId)
       .populate('createdBy', 'username avatar')
+      .populate('coHosts.user', 'username avatar')
       .populate('participants.user', 'username avatar isOnline')
       .select('-password');
 
@@ -145,15 +182,32 @@ const getRoom = async (req, res) => {
 const joinRoom = async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { password } = req.body;
+    const { password, invite } = req.body;
 
-    const room = await Room.findById(roomId);
+    const room = await Room.findById(roomId).select('+bans');
     if (!room) {
       return apiResponse(res, 404, null, 'Room not found');
     }
 
-    // Check if room is private and password is correct
-    if (room.isPrivate) {
+    try {
+      await checkNotBanned(room, req.user._id);
+    } catch (error) {
+      return apiResponse(res, 403, null, error.message);
+    }
+
+    if (room.settings?.requireVerifiedEmail && !req.user.emailVerified) {
+      return apiResponse(res, 403, null, 'This room requires a verified email address');
+    }
+
+    // An invite stands in for the password
+    if (invite) {
+      try {
+        await checkInvite(room._id, invite, req.user._id);
+      } catch (error) {
+        return apiResponse(res, 403, null, error.message);
+      }
+    } else if (room.isPrivate && !hasRoomPermission(req.user, room, 'room:invite')) {
+      // Check if room is private and password is correct; hosts need none
       if (!password) {
         return apiResponse(res, 401, null, 'Password required for private room');
       }
@@ -172,14 +226,38 @@ const joinRoom = async (req, res) => {
       return apiResponse(res, 400, null, 'Already in room');
     }
 
-    // Add user to room
-    await room.addParticipant(req.user._id, { x: 0, y: 0 });
+    // The worker that owns the room counts its places, so REST and socket
+    // joins share one limit and places held for the waitlist are respected
+    const runRoomCommand = req.app.get('runRoomCommand');
+    const { full } = await runRoomCommand(roomId, 'takePlace', {
+      user: {
+        _id: req.user._id.toString(),
+        username: req.user.username,
+        avatar: req.user.avatar,
+        avatarThumbnail: req.user.avatarThumbnail
+      }
+    });
+    if (full) {
+      return apiResponse(res, 409, null, 'Room is full');
+    }
+
+    // Only count the invite once the user is actually let in, and give the
+    // place back if its last use went to someone else in the meantime
+    if (invite) {
+      try {
+        await redeemInvite(room._id, invite, req.user._id);
+      } catch (error) {
+        await runRoomCommand(roomId, 'kick', { userId: req.user._id.toString() });
+        await Room.updateOne({ _id: room._id }, { $pull: { participants: { user: req.user._id } } });
+        return apiResponse(res, 403, null, error.message);
+      }
+    }
 
     // Update user's current room
     req.user.currentRoom = roomId;
     await req.user.save();
 
-    return apiResponse(res, 200, { room });
+    return apiResponse(res, 200, { room: await Room.findById(roomId) });
   } catch (error) {
     return apiResponse(res, 400, null, error.message);
   }
@@ -195,7 +273,9 @@ const leaveRoom = async (req, res) => {
       return apiResponse(res, 404, null, 'Room not found');
     }
 
-    // Remove user from room
+    // Remove user from room, and from its live state so the place is free
+    // for socket joins too
+    await req.app.get('runRoomCommand')(roomId, 'kick', { userId: req.user._id.toString() });
     await room.removeParticipant(req.user._id);
 
     // Update user's current room
@@ -208,50 +288,67 @@ const leaveRoom = async (req, res) => {
   }
 };
 
-// Update room settings (room creator only)
+// Update room settings (owner, co-hosts and admins; checked by requireRoomPermission)
 const updateRoom = async (req, res) => {
   try {
-    const { roomId } = req.params;
     const updates = req.body;
-    const room = await Room.findById(roomId);
-
-    if (!room) {
-      return apiResponse(res, 404, null, 'Room not found');
-    }
-
-    // Check if user is room creator
-    if (room.createdBy.toString() !== req.user._id.toString()) {
-      return apiResponse(res, 403, null, 'Only room creator can update settings');
-    }
+    const { room } = req;
 
     // Update allowed fields
-    const allowedUpdates = ['description', 'maxParticipants', 'isPrivate', 'password'];
+    const allowedUpdates = ['description', 'isPrivate'];
     Object.keys(updates).forEach(update => {
       if (allowedUpdates.includes(update)) {
         room[update] = updates[update];
       }
     });
 
+    if (updates.requireVerifiedEmail !== undefined) {
+      room.settings.requireVerifiedEmail = !!updates.requireVerifiedEmail;
+    }
+    if (updates.allowChat !== undefined) {
+      room.settings.allowChat = !!updates.allowChat;
+    }
+    if (updates.maxParticipants !== undefined) {
+      if (!isValidCapacity(updates.maxParticipants)) {
+        return apiResponse(res, 400, null, 'Max participants must be a positive whole number');
+      }
+      room.settings.maxParticipants = updates.maxParticipants;
+    }
+
+    // Rotate the password; null removes it, leaving invites as the only way in
+    if (updates.password === null) {
+      room.password = undefined;
+    } else if (updates.password !== undefined) {
+      const passwordError = validateRoomPassword(updates.password);
+      if (passwordError) {
+        return apiResponse(res, 400, null, passwordError);
+      }
+      room.password = updates.password;
+    }
+
     await room.save();
+
+    // A larger room can let people in from its waitlist straight away
+    if (updates.maxParticipants !== undefined) {
+      req.app.get('runRoomCommand')?.(room._id.toString(), 'admitWaitlist', {})
+        .catch(error => console.error('Error admitting from waitlist:', error));
+    }
+
     return apiResponse(res, 200, { room });
   } catch (error) {
     return apiResponse(res, 400, null, error.message);
   }
 };
 
-// Delete room (room creator only)
+// Delete room (owner and admins; checked by requireRoomPermission)
 const deleteRoom = async (req, res) => {
   try {
     const { roomId } = req.params;
-    const room = await Room.findById(roomId);
-
-    if (!room) {
-      return apiResponse(res, 404, null, 'Room not found');
-    }
+    const { room } = req;
 
-    // Check if user is room creator
-    if (room.createdBy.toString() !== req.user._id.toString()) {
-      return apiResponse(res, 403, null, 'Only room creator can delete room');
+    // Everyone lands in the Lobby, so system rooms have to stay
+    if (room.isSystemRoom) {
+      return apiResponse(res, 400, null, 'System rooms cannot be deleted');
     }
 
     // Update all users in the room to return to lobby
@@ -260,6 +357,8 @@ const deleteRoom = async (req, res) => {
       { currentRoom: 'lobby' }
     );
 
+    await RoomInvite.deleteMany({ room: room._id });
+    await ModerationLog.deleteMany({ room: room._id });
     await room.deleteOne();
     return apiResponse(res, 200, { message: 'Room deleted successfully' });
   } catch (error) {
@@ -267,6 +366,117 @@ const deleteRoom = async (req, res) => {
   }
 };
 
+// Make a user a co-host of the room or turn them back into a member. Co-hosts
+// get the permission groups in permissions, or all of them if it is left out
+// (owner and admins; checked by requireRoomPermission)
+const setRoomRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, permissions = CO_HOST_PERMISSION_NAMES } = req.body;
+    const { room } = req;
+
+    if (!['co-host', 'member'].includes(role)) {
+      return apiResponse(res, 400, null, 'Role must be co-host or member');
+    }
+    if (!Array.isArray(permissions) || permissions.some(name => !CO_HOST_PERMISSION_NAMES.includes(name))) {
+      return apiResponse(res, 400, null, `Permissions must be any of: ${CO_HOST_PERMISSION_NAMES.join(', ')}`);
+    }
+    const target = mongoose.isValidObjectId(userId) ? await User.findById(userId).select('isGuest') : null;
+    if (!target) {
+      return apiResponse(res, 404, null, 'User not found');
+    }
+    // Guests are removed once they go stale, so they cannot share the room's running
+    if (role === 'co-host' && target.isGuest) {
+      return apiResponse(res, 400, null, 'Guests cannot be co-hosts');
+    }
+    if (getRoomRole(room, userId) === 'owner') {
+      return apiResponse(res, 400, null, 'The room owner\'s role cannot be changed');
+    }
+
+    // Changing a co-host's permissions keeps when they became one
+    const existing = room.coHosts.find(coHost => coHost.user.toString() === userId);
+    room.coHosts = room.coHosts.filter(coHost => coHost.user.toString() !== userId);
+    if (role === 'co-host') {
+      room.coHosts.push({
+        user: userId,
+        permissions: [...new Set(permissions)],
+        addedAt: existing?.addedAt
+      });
+    }
+    await room.save();
+
+    const granted = role === 'co-host' ? [...new Set(permissions)] : undefined;
+
+    // Let the room update host badges and controls straight away
+    req.app.get('io')?.to(room._id.toString()).emit('roomRoleChanged', {
+      roomId: room._id.toString(),
+      userId,
+      role,
+      permissions: granted
+    });
+
+    return apiResponse(res, 200, { userId, role, permissions: granted, coHosts: room.coHosts });
+  } catch (error) {
+    return apiResponse(res, 400, null, error.message);
+  }
+};
+
+// Hand the room to another user, who becomes its owner. The previous owner
+// stays on as a co-host (owner and admins; checked by requireRoomPermission).
+const transferRoom = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const { room } = req;
+
+    if (room.isSystemRoom) {
+      return apiResponse(res, 400, null, 'System rooms cannot be transferred');
+    }
+
+    const newOwner = mongoose.isValidObjectId(userId)
+      ? await User.findById(userId).select('isGuest')
+      : null;
+    if (!newOwner) {
+      return apiResponse(res, 404, null, 'User not found');
+    }
+    if (newOwner.isGuest) {
+      return apiResponse(res, 400, null, 'Guests cannot own rooms');
+    }
+    if (getRoomRole(room, newOwner._id) === 'owner') {
+      return apiResponse(res, 400, null, 'This user already owns the room');
+    }
+
+    await transferOwnership(room, newOwner._id, { io: req.app.get('io') });
+
+    return apiResponse(res, 200, { room });
+  } catch (error) {
+    return apiResponse(res, 400, null, error.message);
+  }
+};
+
+// Replace the room's map objects (checked by requireRoomPermission). Users in
+// the room see the new map straight away.
+const updateRoomObjects = async (req, res) => {
+  try {
+    const { objects } = req.body;
+    const { room } = req;
+
+    if (!Array.isArray(objects) || objects.length > MAX_ROOM_OBJECTS) {
+      return apiResponse(res, 400, null, `Objects must be a list of at most ${MAX_ROOM_OBJECTS}`);
+    }
+
+    room.objects = objects;
+    await room.save();
+
+    const roomId = room._id.toString();
+    const saved = room.toJSON().objects;
+    await req.app.get('runRoomCommand')?.(roomId, 'updateObjects', { objects: saved });
+
+    return apiResponse(res, 200, { objects: saved });
+  } catch (error) {
+    return apiResponse(res, 400, null, error.message);
+  }
+};
+
 // Helper function to create initial game objects
 const createInitialGameObjects = async (room) => {
   try {
@@ -321,5 +531,8 @@ module.exports = {
   joinRoom,
   leaveRoom,
   updateRoom,
-  deleteRoom
+  deleteRoom,
+  setRoomRole,
+  transferRoom,
+  updateRoomObjects
 }; 
\ No newline at end of file
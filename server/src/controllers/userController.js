@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const { GLOBAL_ROLES } = require('../utils/permissions');
+
+// Helper function for consistent API responses
+const apiResponse = (res, status, data = null, error = null) => {
+  const response = { status: status < 400 ? 'success' : 'error' };
+  if (data) response.data = data;
+  if (error) response.error = error;
+  return res.status(status).json(response);
+};
+
+// Set a user's global role (admins only; checked by requirePermission)
+const setUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!GLOBAL_ROLES.includes(role)) {
+      return apiResponse(res, 400, null, `Role must be one of: ${GLOBAL_ROLES.join(', ')}`);
+    }
+
+    // Stops the last admin from locking everyone out by accident
+    if (userId === req.user._id.toString()) {
+      return apiResponse(res, 400, null, 'You cannot change your own role');
+    }
+
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!user) {
+      return apiResponse(res, 404, null, 'User not found');
+    }
+    if (user.isGuest && role !== 'user') {
+      return apiResponse(res, 400, null, 'Guests cannot be given a staff role');
+    }
+
+    user.role = role;
+    await user.save();
+
+    return apiResponse(res, 200, {
+      user: {
+        _id: user._id,
+        username: user.username,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    return apiResponse(res, 400, null, error.message);
+  }
+};
+
+module.exports = {
+  setUserRole
+};
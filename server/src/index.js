@@ -4,7 +4,7 @@ const { Server } = require('socket.io');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const app = require('./app');
 
 // Import routes
@@ -12,6 +12,28 @@ const authRoutes = require('./routes/authRoutes');
 const roomRoutes = require('./routes/roomRoutes');
 const User = require('./models/UserModel');
 const Room = require('./models/Room');
+const ChatMessage = require('./models/ChatMessage');
+const RoomState = require('./utils/roomState');
+const Waitlist = require('./utils/waitlist');
+const {
+  getSolids,
+  findFreePosition,
+  resolveMove,
+  maxStepDistance,
+  distanceBetween
+} = require('./utils/collision');
+const SpatialGrid = require('./utils/spatialGrid');
+const { createAdapter } = require('./utils/socketAdapter');
+const { WORKER_INDEX, ownsRoom } = require('./utils/sharding');
+const { decode, encode, negotiateEncoding } = require('../../shared/codec');
+const { verifyAccessToken } = require('./utils/tokens');
+const { sessionChannel, userChannel, addSessionSocket, removeSessionSocket } = require('./utils/sessions');
+const { startGuestCleanup, syncUserIndexes } = require('./utils/guests');
+const { startAccountJobs } = require('./utils/accountJobs');
+const { authorizeRoomAction, hasRoomPermission } = require('./utils/permissions');
+const { checkInvite, redeemInvite } = require('./utils/invites');
+const { checkNotBanned, checkNotMuted, moderateUser } = require('./utils/moderation');
+const { isApiKey, verifyApiKey, apiKeyChannel } = require('./utils/apiKeys');
 
 // Function to create initial game objects for a room
 async function createInitialGameObjects(room) {
@@ -111,47 +133,845 @@ const io = new Server(server, {
   maxHttpBufferSize: 1e8, // 100MB max payload
   path: '/socket.io/',
   serveClient: false,
-  cookie: false
+  cookie: false,
+  adapter: createAdapter() // see SOCKET_ADAPTER in utils/socketAdapter
 });
 
-// Room state management
-const roomStates = new Map();
+// Let REST controllers reach live sockets (e.g. to drop a revoked session)
+app.set('io', io);
 
-// Helper function to get or create room state
+// Room state management: active rooms live in memory and are written behind to MongoDB
+const roomStates = new Map(); // roomId -> RoomState
+
+// Maximum time a position change can stay unwritten, bounding what a crash can lose
+const POSITION_PERSIST_INTERVAL = Number(process.env.POSITION_PERSIST_INTERVAL) || 5000; // ms
+
+// Helper function to get or load room state
 const getRoomState = async (roomId) => {
   if (roomStates.has(roomId)) {
     return roomStates.get(roomId);
   }
 
   const room = await Room.findById(roomId)
-    .populate('participants.user', 'username avatar isOnline')
+    .populate('participants.user', 'username avatar avatarThumbnail isOnline')
     .populate('createdBy', 'username avatar');
 
   if (!room) {
     throw new Error('Room not found');
   }
 
-  roomStates.set(roomId, room);
-  return room;
+  // Another request may have loaded the room while we were waiting
+  if (!roomStates.has(roomId)) {
+    roomStates.set(roomId, new RoomState(room));
+  }
+  return roomStates.get(roomId);
 };
 
-// Helper function to broadcast room state
-const broadcastRoomState = async (roomId) => {
+// Write a room's dirty participant positions to MongoDB
+const flushRoomState = async (room) => {
+  const userIds = room.takeDirty();
+  if (userIds.length === 0) return;
+
+  const operations = userIds.map(id => {
+    const participant = room.getParticipant(id);
+    if (!participant) return null;
+
+    return {
+      updateOne: {
+        filter: { _id: room.id, 'participants.user': id },
+        update: {
+          $set: {
+            'participants.$.position': participant.position,
+            'participants.$.lastActive': participant.lastActive
+          }
+        }
+      }
+    };
+  }).filter(Boolean);
+
+  if (operations.length === 0) return;
+
   try {
+    await Room.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    console.error('Error persisting room positions:', error);
+    room.markDirty(userIds);
+  }
+};
+
+// Helper function to flush every loaded room
+const flushAllRoomStates = async () => {
+  await Promise.all([...roomStates.values()].map(flushRoomState));
+};
+
+const persistTimer = setInterval(flushAllRoomStates, POSITION_PERSIST_INTERVAL);
+persistTimer.unref?.();
+
+// Spatial interest management: clients only hear about players in nearby grid cells
+const INTEREST_CELL_SIZE = Number(process.env.INTEREST_CELL_SIZE) || 160;
+const INTEREST_RADIUS = Number(process.env.INTEREST_RADIUS) || 160;
+const INTEREST_RANGE = Math.max(1, Math.ceil(INTEREST_RADIUS / INTEREST_CELL_SIZE));
+
+const roomGrids = new Map(); // roomId -> SpatialGrid of connected participants
+const interestSets = new Map(); // userId -> Set of userIds currently visible to them
+const userSockets = new Map(); // userId -> socket id
+const userEncodings = new Map(); // userId -> 'binary' or 'json', negotiated at authenticate
+
+// Helper function to get or create a room's spatial grid
+const getRoomGrid = (roomId) => {
+  if (!roomGrids.has(roomId)) {
+    roomGrids.set(roomId, new SpatialGrid(INTEREST_CELL_SIZE));
+  }
+  return roomGrids.get(roomId);
+};
+
+// Helper function to emit to a single user by id
+const emitToUser = (userId, event, payload) => {
+  const socketId = userSockets.get(userId);
+  if (socketId) {
+    io.to(socketId).emit(event, payload);
+  }
+};
+
+// Helper function to emit a movement or snapshot event in the user's encoding
+const emitEncoded = (userId, event, payload) => {
+  emitToUser(userId, event, userEncodings.get(userId) === 'binary' ? encode(event, payload) : payload);
+};
+
+// Helper function to emit to every user that can currently see userId
+const emitToInterested = (userId, event, payload, includeSelf = false) => {
+  const targets = [];
+  (interestSets.get(userId) || new Set()).forEach(id => {
+    const socketId = userSockets.get(id);
+    if (socketId) targets.push(socketId);
+  });
+  if (includeSelf && userSockets.has(userId)) {
+    targets.push(userSockets.get(userId));
+  }
+  if (targets.length > 0) {
+    io.to(targets).emit(event, payload);
+  }
+};
+
+// Helper function to describe a participant for join/enter events
+const describeParticipant = (room, roomId, userId) => {
+  const participant = room.getParticipant(userId);
+  return {
+    userId,
+    username: participant?.user.username,
+    avatar: participant?.user.avatar,
+    position: getRoomGrid(roomId).getPosition(userId)
+  };
+};
+
+// Helper function to add a user to the grid and exchange visibility with neighbours
+const enterInterestArea = (roomId, userId, position) => {
+  const grid = getRoomGrid(roomId);
+  grid.insert(userId, position);
+
+  const neighbors = grid.getNeighbors(userId, INTEREST_RANGE);
+  interestSets.set(userId, neighbors);
+  neighbors.forEach(id => {
+    if (!interestSets.has(id)) interestSets.set(id, new Set());
+    interestSets.get(id).add(userId);
+  });
+};
+
+// Helper function to recompute visibility after a user crossed a cell boundary
+const refreshInterestArea = (room, roomId, userId) => {
+  const grid = getRoomGrid(roomId);
+  const previous = interestSets.get(userId) || new Set();
+  const current = grid.getNeighbors(userId, INTEREST_RANGE);
+  interestSets.set(userId, current);
+
+  current.forEach(id => {
+    if (previous.has(id)) return;
+    if (!interestSets.has(id)) interestSets.set(id, new Set());
+    interestSets.get(id).add(userId);
+    emitToUser(userId, 'playerEntered', describeParticipant(room, roomId, id));
+    emitToUser(id, 'playerEntered', describeParticipant(room, roomId, userId));
+  });
+
+  previous.forEach(id => {
+    if (current.has(id)) return;
+    interestSets.get(id)?.delete(userId);
+    emitToUser(userId, 'playerExited', { userId: id });
+    emitToUser(id, 'playerExited', { userId });
+  });
+};
+
+// Helper function to remove a user from the grid and their neighbours' interest sets
+const leaveInterestArea = (roomId, userId) => {
+  (interestSets.get(userId) || new Set()).forEach(id => {
+    interestSets.get(id)?.delete(userId);
+  });
+  interestSets.delete(userId);
+
+  const grid = roomGrids.get(roomId);
+  if (grid) {
+    grid.remove(userId);
+    if (grid.size === 0) {
+      roomGrids.delete(roomId);
+    }
+  }
+};
+
+// Helper function to build the room state a user is allowed to see
+const getVisibleRoomState = (room, userId) => {
+  const visible = interestSets.get(userId) || new Set();
+  const state = room.toJSON();
+  state.participants = state.participants.filter(p => {
+    const id = (p.user?._id || p.user).toString();
+    return id === userId || visible.has(id);
+  });
+  return state;
+};
+
+// Fixed-rate simulation tick per room
+const TICK_RATE = Number(process.env.TICK_RATE) || 20; // ticks per second
+const MAX_QUEUED_INPUTS = 10; // per user per tick
+
+const roomTicks = new Map(); // roomId -> tick loop state
+
+// Helper function to start a room's tick loop if it is not running
+const startRoomTick = (roomId) => {
+  if (roomTicks.has(roomId)) {
+    return roomTicks.get(roomId);
+  }
+
+  const state = {
+    tick: 0,
+    inputs: new Map(), // userId -> queued inputs in arrival order
+    lastProcessed: new Map() // userId -> time their inputs were last applied
+  };
+
+  // Movement runs on the tick; MongoDB writes happen in flushAllRoomStates
+  state.timer = setInterval(() => runRoomTick(roomId), 1000 / TICK_RATE);
+  state.timer.unref?.();
+
+  roomTicks.set(roomId, state);
+  return state;
+};
+
+// Helper function to stop a room's tick loop
+const stopRoomTick = (roomId) => {
+  const state = roomTicks.get(roomId);
+  if (!state) return;
+
+  clearInterval(state.timer);
+  roomTicks.delete(roomId);
+};
+
+// Helper function to queue a movement input for the next tick
+const queueInput = (roomId, userId, input) => {
+  const state = startRoomTick(roomId);
+  if (!state.inputs.has(userId)) {
+    state.inputs.set(userId, []);
+  }
+
+  // Inputs are absolute positions, so newer ones supersede dropped older ones
+  const queue = state.inputs.get(userId);
+  queue.push(input);
+  if (queue.length > MAX_QUEUED_INPUTS) {
+    queue.shift();
+  }
+};
+
+// Helper function to drop a user's tick state when they leave a room
+const clearQueuedInputs = (roomId, userId) => {
+  const state = roomTicks.get(roomId);
+  if (state) {
+    state.inputs.delete(userId);
+    state.lastProcessed.delete(userId);
+  }
+};
+
+// Apply all queued inputs in order and send one batched update per recipient
+const runRoomTick = (roomId) => {
+  const state = roomTicks.get(roomId);
+  const room = roomStates.get(roomId);
+  if (!state || !room) return;
+
+  state.tick++;
+  if (state.inputs.size === 0) return;
+
+  const now = Date.now();
+  const solids = getSolids(room.objects);
+  const grid = getRoomGrid(roomId);
+  const changed = [];
+
+  state.inputs.forEach((queue, userKey) => {
+    const participant = room.getParticipant(userKey);
+    if (!participant) return;
+
+    const start = { x: participant.position.x, y: participant.position.y };
+    let position = start;
+    let budget = maxStepDistance(now - (state.lastProcessed.get(userKey) || 0));
+    let reason = null;
+    let ack;
+
+    // Validate against bounds, speed limit and room geometry
+    queue.forEach(input => {
+      const result = resolveMove(position, input.position, solids, budget);
+      budget = Math.max(0, budget - distanceBetween(position, result.position));
+      position = result.position;
+      if (result.corrected) reason = result.reason;
+      if (input.seq !== undefined) ack = input.seq;
+    });
+    state.lastProcessed.set(userKey, now);
+
+    // Acknowledge the inputs, correcting the client if the server disagreed
+    if (reason) {
+      emitToUser(userKey, 'positionCorrected', { position, reason, ack, timestamp: now });
+    } else if (ack !== undefined) {
+      emitToUser(userKey, 'moveAck', { ack, timestamp: now });
+    }
+
+    // Only update if position changed significantly
+    if (Math.abs(start.x - position.x) > 0.1 || Math.abs(start.y - position.y) > 0.1) {
+      room.setPosition(userKey, position, now);
+      changed.push({ userId: userKey, position });
+
+      // Update interest area, sending enter/exit events on cell changes
+      if (grid.update(userKey, position).changed) {
+        refreshInterestArea(room, roomId, userKey);
+      }
+    }
+  });
+  state.inputs.clear();
+
+  // Group changes by the nearby players that should receive them
+  const batches = new Map();
+  changed.forEach(update => {
+    (interestSets.get(update.userId) || new Set()).forEach(id => {
+      if (!batches.has(id)) batches.set(id, []);
+      batches.get(id).push(update);
+    });
+  });
+
+  batches.forEach((updates, id) => {
+    emitEncoded(id, 'playersMoved', {
+      tick: state.tick,
+      timestamp: now,
+      updates
+    });
+  });
+};
+
+// Helper function to remove a user from a room, unloading the room once it is empty
+const removeFromRoom = async (roomId, userId, username) => {
+  const room = roomStates.get(roomId);
+  if (!room) return;
+
+  const userKey = userId.toString();
+  const participant = room.removeParticipant(userKey);
+
+  emitToInterested(userKey, 'userLeft', { userId, username });
+  clearQueuedInputs(roomId, userKey);
+  leaveInterestArea(roomId, userKey);
+  userSockets.delete(userKey);
+  userEncodings.delete(userKey);
+
+  // Flush the leaving user's last position and membership
+  await Promise.all([
+    participant && User.updateOne({ _id: userId }, { position: participant.position }),
+    Room.updateOne({ _id: roomId }, { $pull: { participants: { user: userId } } })
+  ]);
+
+  // Stop simulating and unload rooms nobody is connected to
+  if (!roomGrids.has(roomId)) {
+    stopRoomTick(roomId);
+    await flushRoomState(room);
+    roomStates.delete(roomId);
+  }
+
+  await admitFromWaitlist(roomId);
+};
+
+// Waitlists for full rooms, held by the worker that owns the room
+const roomWaitlists = new Map(); // roomId -> Waitlist
+const WAITLIST_OFFER_TIMEOUT = Number(process.env.WAITLIST_OFFER_TIMEOUT) || 30000; // ms
+
+// Helper function to read a room's capacity, which can change while it is loaded
+const getRoomCapacity = async (roomId) => {
+  const room = await Room.findById(roomId).select('settings.maxParticipants');
+  return room?.settings?.maxParticipants ?? 50;
+};
+
+// Helper function to count a room's taken places, including ones held for waitlist offers
+const countTakenPlaces = (roomId) =>
+  (roomStates.get(roomId)?.participants.size || 0) + (roomWaitlists.get(roomId)?.reserved || 0);
+
+// Helper function to tell everyone waiting for a room where they stand
+const sendWaitlistPositions = (roomId) => {
+  const waitlist = roomWaitlists.get(roomId);
+  if (!waitlist) return;
+
+  waitlist.queue.forEach((entry, index) => {
+    io.to(entry.socketId).emit('waitlistPosition', {
+      roomId,
+      position: index + 1,
+      size: waitlist.size
+    });
+  });
+};
+
+// Helper function to offer free places to the front of a room's waitlist.
+// Each place is held until the offer is accepted with joinRoom or expires.
+const admitFromWaitlist = async (roomId) => {
+  const waitlist = roomWaitlists.get(roomId);
+  if (!waitlist) return;
+
+  const capacity = await getRoomCapacity(roomId);
+  while (waitlist.size > 0 && countTakenPlaces(roomId) < capacity) {
+    const expiresAt = new Date(Date.now() + WAITLIST_OFFER_TIMEOUT);
+    const offer = waitlist.offerNext(expiresAt);
+
+    offer.timer = setTimeout(() => {
+      expireWaitlistOffer(roomId, offer.userId).catch(error => {
+        console.error('Error expiring waitlist offer:', error);
+      });
+    }, WAITLIST_OFFER_TIMEOUT);
+    offer.timer.unref?.();
+
+    io.to(offer.socketId).emit('waitlistOffer', { roomId, expiresAt });
+  }
+
+  sendWaitlistPositions(roomId);
+  if (waitlist.isEmpty) {
+    roomWaitlists.delete(roomId);
+  }
+};
+
+// Helper function to pass an unanswered offer on to the next in line
+const expireWaitlistOffer = async (roomId, userId) => {
+  const offer = roomWaitlists.get(roomId)?.takeOffer(userId);
+  if (!offer) return;
+
+  io.to(offer.socketId).emit('waitlistExpired', { roomId });
+  await admitFromWaitlist(roomId);
+};
+
+// Session resume: a dropped connection keeps its place in the room for a grace period
+const RECONNECT_GRACE_PERIOD = Number(process.env.RECONNECT_GRACE_PERIOD) || 30000; // ms
+const MAX_MISSED_MESSAGES = 100;
+
+// Held by the worker that owns the room, since the user may come back on any worker
+const reconnectingUsers = new Map(); // userId -> { roomId, token, username, timer, missedMessages }
+
+// Helper function to give up on a reconnecting user and leave their room
+const expireReconnect = async (userId) => {
+  const pending = reconnectingUsers.get(userId);
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  reconnectingUsers.delete(userId);
+  await User.updateOne({ _id: userId }, { isOnline: false, lastSeen: new Date() });
+  await removeFromRoom(pending.roomId, userId, pending.username);
+};
+
+// Helper function to keep chat for nearby players who are reconnecting
+const queueMissedMessage = (userId, message) => {
+  (interestSets.get(userId) || new Set()).forEach(id => {
+    const pending = reconnectingUsers.get(id);
+    if (!pending) return;
+
+    pending.missedMessages.push(message);
+    if (pending.missedMessages.length > MAX_MISSED_MESSAGES) {
+      pending.missedMessages.shift();
+    }
+  });
+};
+
+// Room commands run on the worker that owns the room (see utils/sharding).
+// Payloads are plain JSON so they can be forwarded between workers; results
+// reach the user's socket through the adapter, whichever worker holds it.
+const roomCommands = {
+  // Add a user to the room, or re-attach them, and send them the room state
+  join: async ({ roomId, user, socketId, encoding }) => {
+    const room = await getRoomState(roomId);
+    const userKey = user._id;
+
+    if (!room.hasParticipant(userKey)) {
+      // A place held for the user's waitlist offer is theirs; otherwise
+      // there has to be a free one
+      const waitlist = roomWaitlists.get(roomId);
+      if (!waitlist?.takeOffer(userKey) && countTakenPlaces(roomId) >= await getRoomCapacity(roomId)) {
+        throw new Error('Room is full');
+      }
+
+      // Joining gives up any place still held in the queue
+      if (waitlist?.remove(userKey)) {
+        sendWaitlistPositions(roomId);
+      }
+      if (waitlist?.isEmpty) {
+        roomWaitlists.delete(roomId);
+      }
+
+      const initialPosition = findFreePosition(getSolids(room.objects), { x: 100, y: 100 });
+      const added = room.addParticipant(user, initialPosition);
+
+      // Membership changes are written straight through
+      await Room.updateOne(
+        { _id: roomId, 'participants.user': { $ne: userKey } },
+        {
+          $push: {
+            participants: {
+              user: userKey,
+              position: added.position,
+              lastActive: added.lastActive
+            }
+          }
+        }
+      );
+    }
+
+    const participant = room.getParticipant(userKey);
+
+    userSockets.set(userKey, socketId);
+    userEncodings.set(userKey, encoding);
+    enterInterestArea(roomId, userKey, participant.position);
+    startRoomTick(roomId);
+
+    // Notify nearby participants of the new participant
+    emitToInterested(userKey, 'userJoined', {
+      userId: user._id,
+      username: user.username,
+      avatar: user.avatar,
+      avatarThumbnail: user.avatarThumbnail,
+      position: participant.position,
+      lastPosition: participant.lastPosition
+    });
+
+    // Send room state to the joining user only
+    emitEncoded(userKey, 'roomState', getVisibleRoomState(room, userKey));
+  },
+
+  // Queue a movement input for the room's next tick
+  move: ({ roomId, userId, position, seq }) => {
+    if (!roomGrids.get(roomId)?.has(userId)) {
+      throw new Error('User not in room');
+    }
+
+    queueInput(roomId, userId, { position, seq });
+  },
+
+  // Queue a user for a full room. Answers { full: false } if there is a
+  // free place, so the user can join straight away instead.
+  waitlistJoin: async ({ roomId, user, socketId }) => {
+    const room = roomStates.get(roomId);
+    if (room?.hasParticipant(user._id)) {
+      throw new Error('Already in room');
+    }
+
+    let waitlist = roomWaitlists.get(roomId);
+    if (!waitlist?.has(user._id) && !waitlist?.size &&
+        countTakenPlaces(roomId) < await getRoomCapacity(roomId)) {
+      return { full: false };
+    }
+
+    if (!waitlist) {
+      waitlist = new Waitlist();
+      roomWaitlists.set(roomId, waitlist);
+    }
+    const position = waitlist.add({ userId: user._id, username: user.username, socketId });
+    sendWaitlistPositions(roomId);
+
+    return { full: true, position, size: waitlist.size };
+  },
+
+  // Take a user off a room's waitlist, passing on any place held for them
+  waitlistLeave: async ({ roomId, userId }) => {
+    const waitlist = roomWaitlists.get(roomId);
+    const removed = waitlist?.remove(userId);
+    if (!removed) return { removed: false };
+
+    if (removed === 'offered') {
+      await admitFromWaitlist(roomId);
+    } else {
+      sendWaitlistPositions(roomId);
+    }
+    if (waitlist.isEmpty) {
+      roomWaitlists.delete(roomId);
+    }
+    return { removed: true };
+  },
+
+  // Offer places freed by a change of capacity
+  admitWaitlist: ({ roomId }) => admitFromWaitlist(roomId),
+
+  // Give a REST join a place in the room. Places are counted here for REST
+  // and socket joins alike, including ones held for waitlist offers.
+  takePlace: async ({ roomId, user }) => {
+    const stored = await Room.findById(roomId).select('participants.user objects settings.maxParticipants');
+    if (!stored) {
+      throw new Error('Room not found');
+    }
+
+    // Rooms nobody is connected to are not loaded, but may still hold
+    // places for waitlist offers
+    const room = roomStates.get(roomId);
+    const taken = room
+      ? countTakenPlaces(roomId)
+      : stored.participants.length + (roomWaitlists.get(roomId)?.reserved || 0);
+    if (taken >= (stored.settings?.maxParticipants ?? 50)) {
+      return { full: true };
+    }
+
+    const position = findFreePosition(getSolids(room ? room.objects : stored.objects), { x: 100, y: 100 });
+    room?.addParticipant(user, position);
+
+    await Room.updateOne(
+      { _id: roomId, 'participants.user': { $ne: user._id } },
+      { $push: { participants: { user: user._id, position, lastActive: new Date() } } }
+    );
+    return { full: false };
+  },
+
+  // Swap in a room's edited map and show it to everyone in the room
+  updateObjects: ({ roomId, objects }) => {
+    const room = roomStates.get(roomId);
+    if (room) {
+      room.data.objects = objects;
+    }
+    io.to(roomId).emit('roomObjectsUpdated', { roomId, objects });
+  },
+
+  requestState: async ({ roomId, userId }) => {
     const room = await getRoomState(roomId);
-    io.to(roomId).emit('roomState', room);
+    emitEncoded(userId, 'roomState', getVisibleRoomState(room, userId));
+  },
+
+  // Show a participant's new username or avatar to everyone in the room
+  updateParticipant: async ({ roomId, userId, profile }) => {
+    const room = roomStates.get(roomId);
+    if (!room || !room.updateUser(userId, profile)) {
+      return { updated: false };
+    }
+
+    io.to(roomId).emit('participantUpdated', { userId, ...profile });
+    return { updated: true };
+  },
+
+  chat: async ({ roomId, user, message }) => {
+    const room = await getRoomState(roomId);
+    if (!room.hasParticipant(user._id)) {
+      throw new Error('You are not in this room');
+    }
+
+    const chatMessage = await ChatMessage.create({
+      room: roomId,
+      user: user._id,
+      message
+    });
+
+    // Send message to the sender and nearby players
+    const messageToEmit = {
+      ...chatMessage.toObject(),
+      user
+    };
+
+    emitToInterested(user._id, 'newMessage', messageToEmit, true);
+    queueMissedMessage(user._id, messageToEmit);
+    return { messageId: chatMessage._id.toString() };
+  },
+
+  // Only the socket the user is attached with may remove them
+  leave: async ({ roomId, userId, username, socketId }) => {
+    if (userSockets.get(userId) !== socketId) return;
+    await removeFromRoom(roomId, userId, username);
+  },
+
+  // Remove a user from the room straight away, ending any reconnect grace
+  // period and place in the waitlist
+  kick: async ({ roomId, userId }) => {
+    const waitlist = roomWaitlists.get(roomId);
+    if (waitlist?.remove(userId)) {
+      await admitFromWaitlist(roomId);
+    }
+
+    const room = roomStates.get(roomId);
+    const participant = room?.getParticipant(userId);
+    if (!participant) return { kicked: false };
+
+    const pending = reconnectingUsers.get(userId);
+    if (pending?.roomId === roomId) {
+      clearTimeout(pending.timer);
+      reconnectingUsers.delete(userId);
+    }
+
+    const socketId = userSockets.get(userId);
+    await removeFromRoom(roomId, userId, participant.user.username);
+    if (socketId) {
+      io.in(socketId).socketsLeave(roomId);
+    }
+    return { kicked: true };
+  },
+
+  // Keep a dropped user in the room as reconnecting until the grace period ends
+  suspend: ({ roomId, userId, username, socketId, token }) => {
+    const room = roomStates.get(roomId);
+    if (!room?.hasParticipant(userId) || userSockets.get(userId) !== socketId) return;
+
+    userSockets.delete(userId);
+    clearQueuedInputs(roomId, userId);
+    room.setStatus(userId, 'reconnecting');
+    emitToInterested(userId, 'playerReconnecting', { userId });
+
+    const timer = setTimeout(() => {
+      expireReconnect(userId).catch(error => {
+        console.error('Error expiring reconnect:', error);
+      });
+    }, RECONNECT_GRACE_PERIOD);
+    timer.unref?.();
+
+    reconnectingUsers.set(userId, { roomId, token, username, timer, missedMessages: [] });
+  },
+
+  // Restore a reconnecting user's room, position and missed chat. Any other
+  // wait for this user is ended, since they have started a new session.
+  resume: async ({ roomId, userId, socketId, token, encoding }) => {
+    const pending = reconnectingUsers.get(userId);
+    if (!pending) return { resumed: false };
+
+    const room = roomStates.get(pending.roomId);
+    if (!token || pending.token !== token || pending.roomId !== roomId || !room?.hasParticipant(userId)) {
+      await expireReconnect(userId);
+      return { resumed: false };
+    }
+
+    clearTimeout(pending.timer);
+    reconnectingUsers.delete(userId);
+
+    userSockets.set(userId, socketId);
+    userEncodings.set(userId, encoding);
+    room.setStatus(userId, 'online');
+    emitToInterested(userId, 'playerReconnected', { userId });
+
+    emitEncoded(userId, 'roomState', getVisibleRoomState(room, userId));
+    pending.missedMessages.forEach(message => emitToUser(userId, 'newMessage', message));
+    return { resumed: true };
+  }
+};
+
+// Helper function to run a room command and wrap its outcome for the caller
+const executeRoomCommand = async (name, payload) => {
+  try {
+    const result = await roomCommands[name](payload);
+    return { result: result ?? null };
   } catch (error) {
-    console.error('Error broadcasting room state:', error);
+    return { error: error.message };
+  }
+};
+
+// Helper function to run a room command on the worker that owns the room
+const runRoomCommand = async (roomId, name, payload) => {
+  let response;
+
+  if (ownsRoom(roomId)) {
+    response = await executeRoomCommand(name, { ...payload, roomId });
+  } else {
+    // Every other worker answers; the adapter rejects if one does not in time
+    const responses = await io.serverSideEmitWithAck('roomCommand', name, { ...payload, roomId });
+    response = responses.find(Boolean);
+    if (!response) {
+      throw new Error('Room is unavailable');
+    }
+  }
+
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response.result;
+};
+
+// Commands forwarded by other workers; only the owner of the room answers
+io.on('roomCommand', async (name, payload, callback) => {
+  if (!payload?.roomId || !ownsRoom(payload.roomId) || !roomCommands[name]) {
+    return callback?.(null);
+  }
+  callback?.(await executeRoomCommand(name, payload));
+});
+
+// Let REST controllers change live room state (e.g. a new avatar)
+app.set('runRoomCommand', runRoomCommand);
+
+// Helper function to check a user may enter a room before asking its owner to
+// add them. Private rooms take the password or an invite, except from hosts
+// and users already in the room. Throws with the reason if not. If an invite
+// is what lets the user in, it is returned so that a use can be counted once
+// they are actually in the room.
+const checkRoomAccess = async (roomId, userId, { password, invite } = {}) => {
+  const room = mongoose.isValidObjectId(roomId) ? await Room.findById(roomId).select('+bans') : null;
+  if (!room) {
+    throw new Error('Room not found');
+  }
+  await checkNotBanned(room, userId);
+
+  const user = await User.findById(userId).select('role emailVerified');
+  if (room.settings?.requireVerifiedEmail && !user?.emailVerified) {
+    throw new Error('This room requires a verified email address');
   }
+
+  if (!room.isPrivate || hasRoomPermission(user, room, 'room:invite')) return null;
+  if (room.participants.some(p => p.user?.toString() === userId.toString())) return null;
+
+  if (invite) {
+    await checkInvite(room._id, invite, userId);
+    return invite;
+  }
+  if (!password) {
+    throw new Error('Password required for private room');
+  }
+  if (!await room.comparePassword(password)) {
+    throw new Error('Invalid password');
+  }
+  return null;
 };
 
-// Add movement throttling map
-const lastMoveTime = new Map();
+// Helper function to read joinRoom data: a room id, or { roomId, password, invite }
+const readJoinRequest = (data) => {
+  if (typeof data === 'object' && data) {
+    return { roomId: data.roomId?.toString(), password: data.password, invite: data.invite };
+  }
+  return { roomId: data?.toString() };
+};
+
+// Helper function to refuse chat in rooms that turned it off, unless the
+// user's room or global role lets them speak anyway
+const checkChatAllowed = async (roomId, userId) => {
+  const room = await Room.findById(roomId).select('settings.allowChat');
+  if (room?.settings?.allowChat !== false) return;
+
+  await authorizeRoomAction(userId, roomId, 'room:chatWhenDisabled');
+};
 
-// Socket.IO connection handling with improved error handling
+// Socket.IO connection handling. Authentication and validation happen on the
+// worker holding the socket; room work goes through runRoomCommand.
 io.on('connection', (socket) => {
   let userId = null;
   let currentRoomId = null;
+  let resumeToken = null;
+  let encoding = 'json';
+  let sessionId = null;
+  let apiKeyScopes = null; // Set when authenticated with an API key instead of a login
+  let waitlistRoomId = null; // Full room the user is queued for, if any
+  let waitlistAccess = null; // Password or invite the user queued with
+
+  // Helper function to describe the socket's user for room commands
+  const describeUser = () => ({
+    _id: userId.toString(),
+    username: socket.user.username,
+    avatar: socket.user.avatar,
+    avatarThumbnail: socket.user.avatarThumbnail
+  });
+
+  // Helper function to refuse events an API key was not given the scope for
+  const requireScope = (scope) => {
+    if (apiKeyScopes && !apiKeyScopes.includes(scope)) {
+      throw new Error(`API key is missing the ${scope} scope`);
+    }
+  };
 
   // Handle authentication with improved security
   socket.on('authenticate', async (data, callback) => {
@@ -160,33 +980,93 @@ io.on('connection', (socket) => {
         return callback?.({ error: 'No token provided' });
       }
 
-      const decoded = jwt.verify(data.token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      // Bots and integrations authenticate with a personal API key
+      let decoded = {};
+      let user;
+      let apiKey = null;
+      if (isApiKey(data.token)) {
+        ({ user, apiKey } = await verifyApiKey(data.token, { ip: socket.handshake.address }));
+      } else {
+        decoded = await verifyAccessToken(data.token);
+        user = await User.findById(decoded.userId).select('-password');
+      }
       
       if (!user) {
         return callback?.({ error: 'User not found' });
       }
 
       // Store user info in socket
+      if (userId && !userId.equals(user._id)) {
+        socket.leave(userChannel(userId));
+      }
       socket.user = user;
       userId = user._id;
+      socket.join(userChannel(userId));
+
+      // Revoking the key drops the socket
+      apiKeyScopes = apiKey ? apiKey.scopes : null;
+      if (apiKey) {
+        socket.join(apiKeyChannel(apiKey._id));
+      }
+
+      // Track the socket on its login session so revoking the session drops it
+      if (decoded.sid && decoded.sid !== sessionId) {
+        if (sessionId) {
+          socket.leave(sessionChannel(sessionId));
+          await removeSessionSocket(sessionId, socket.id);
+        }
+        sessionId = decoded.sid;
+        socket.join(sessionChannel(sessionId));
+        await addSessionSocket(sessionId, socket.id);
+      }
       
       // Update user's online status
       user.isOnline = true;
       user.lastSeen = new Date();
       await user.save();
 
+      // Movement and snapshots use the compact binary codec if the client offers it
+      encoding = negotiateEncoding(data.encodings);
+
+      // A valid resume token picks up a session still in its grace period
+      // on whichever worker owns the user's room
+      let resumed = false;
+      const roomId = user.currentRoom?.toString();
+      if (roomId && (!apiKeyScopes || apiKeyScopes.includes('presence'))) {
+        try {
+          ({ resumed } = await runRoomCommand(roomId, 'resume', {
+            userId: userId.toString(),
+            socketId: socket.id,
+            token: data.resumeToken,
+            encoding
+          }));
+        } catch (error) {
+          console.error('Error resuming session:', error);
+        }
+      }
+
+      if (resumed) {
+        socket.join(roomId);
+        currentRoomId = roomId;
+      }
+      resumeToken = crypto.randomBytes(24).toString('hex');
+
       callback?.({ 
         success: true, 
         user: { 
           username: user.username, 
           id: user._id,
           avatar: user.avatar
-        }
+        },
+        resumeToken,
+        resumed,
+        roomId: currentRoomId,
+        encoding,
+        scopes: apiKeyScopes || undefined
       });
 
       // Join user's current room if any
-      if (user.currentRoom) {
+      if (!resumed && user.currentRoom) {
         socket.emit('joinRoom', user.currentRoom);
       }
     } catch (error) {
@@ -196,133 +1076,170 @@ io.on('connection', (socket) => {
   });
 
   // Handle room joining with improved state management
-  socket.on('joinRoom', async (roomId) => {
+  // Takes a room id, or { roomId, password, invite } for private rooms
+  socket.on('joinRoom', async (data) => {
+    const { roomId, password, invite } = readJoinRequest(data);
     try {
       if (!userId) {
         throw new Error('User not authenticated');
       }
+      requireScope('presence');
+
+      // Refuse before leaving the current room so a failed join keeps it.
+      // Users coming off the waitlist are checked again with what they queued
+      // with, so a ban placed while they waited still keeps them out.
+      const inviteToRedeem = await checkRoomAccess(
+        roomId,
+        userId,
+        roomId === waitlistRoomId ? waitlistAccess : { password, invite }
+      );
+
+      // Pick up profile changes made since authenticating
+      const profile = await User.findById(userId).select('username avatar avatarThumbnail');
+      if (profile) {
+        socket.user.username = profile.username;
+        socket.user.avatar = profile.avatar;
+        socket.user.avatarThumbnail = profile.avatarThumbnail;
+      }
 
-      const room = await getRoomState(roomId);
-      
       // Leave current room if any
       if (currentRoomId && currentRoomId !== roomId) {
         socket.leave(currentRoomId);
-        await handleRoomLeave(currentRoomId);
+        await runRoomCommand(currentRoomId, 'leave', {
+          userId: userId.toString(),
+          username: socket.user.username,
+          socketId: socket.id
+        });
+        currentRoomId = null;
+      }
+
+      await runRoomCommand(roomId, 'join', {
+        user: describeUser(),
+        socketId: socket.id,
+        encoding
+      });
+
+      // Only count the invite once the user is actually let in. If its last
+      // use went to someone else in the meantime, take them back out.
+      if (inviteToRedeem) {
+        try {
+          await redeemInvite(roomId, inviteToRedeem, userId);
+        } catch (error) {
+          await runRoomCommand(roomId, 'leave', {
+            userId: userId.toString(),
+            username: socket.user.username,
+            socketId: socket.id
+          });
+          throw error;
+        }
       }
 
       // Join new room
       socket.join(roomId);
       currentRoomId = roomId;
+      if (waitlistRoomId === roomId) {
+        waitlistRoomId = null;
+        waitlistAccess = null;
+      }
 
       // Update user's current room
-      const user = await User.findById(userId);
-      user.currentRoom = roomId;
-      await user.save();
-
-      // Add user to room if not already present
-      const isParticipant = room.participants.some(
-        p => p.user._id.toString() === userId.toString()
-      );
+      await User.updateOne({ _id: userId }, { currentRoom: roomId });
+    } catch (error) {
+      console.error('Error joining room:', error);
+      socket.emit('error', { message: error.message, roomId });
+    }
+  });
 
-      if (!isParticipant) {
-        const initialPosition = { x: 100, y: 100 };
-        await room.addParticipant(userId, {
-          position: initialPosition,
-          lastPosition: { ...initialPosition }
-        });
-        await room.save();
+  // Queue for a full room. Takes the same data as joinRoom; the callback gets
+  // the queue position, or { full: false } if the room can be joined now.
+  // Queued users get waitlistPosition updates and then a waitlistOffer to
+  // accept with joinRoom before it expires.
+  socket.on('joinWaitlist', async (data, callback) => {
+    try {
+      if (!userId) {
+        throw new Error('User not authenticated');
       }
+      requireScope('presence');
+      const { roomId, password, invite } = readJoinRequest(data);
 
-      // Notify room of new participant
-      const participant = room.participants.find(
-        p => p.user._id.toString() === userId.toString()
-      );
+      // The invite is only counted when the user gets in, not for queueing
+      const access = roomId === waitlistRoomId ? waitlistAccess : { password, invite };
+      await checkRoomAccess(roomId, userId, access);
 
-      io.to(roomId).emit('userJoined', {
-        userId: user._id,
-        username: user.username,
-        avatar: user.avatar,
-        position: participant.position,
-        lastPosition: participant.lastPosition
+      const result = await runRoomCommand(roomId, 'waitlistJoin', {
+        user: describeUser(),
+        socketId: socket.id
       });
 
-      // Broadcast updated room state
-      await broadcastRoomState(roomId);
+      // One queue at a time
+      if (result.full && waitlistRoomId && waitlistRoomId !== roomId) {
+        await runRoomCommand(waitlistRoomId, 'waitlistLeave', { userId: userId.toString() });
+      }
+      if (result.full) {
+        waitlistRoomId = roomId;
+        waitlistAccess = access;
+      }
+
+      callback?.({ success: true, roomId, ...result });
     } catch (error) {
-      console.error('Error joining room:', error);
-      socket.emit('error', { message: error.message });
+      console.error('Error joining waitlist:', error);
+      callback?.({ error: error.message });
+    }
+  });
+
+  // Leave the waitlist, giving up any place held for us
+  socket.on('leaveWaitlist', async (callback) => {
+    try {
+      if (!waitlistRoomId) {
+        return callback?.({ success: true, removed: false });
+      }
+
+      const result = await runRoomCommand(waitlistRoomId, 'waitlistLeave', { userId: userId.toString() });
+      waitlistRoomId = null;
+      waitlistAccess = null;
+      callback?.({ success: true, ...result });
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      callback?.({ error: error.message });
     }
   });
 
-  // Handle user movement with improved validation and throttling
+  // Handle user movement by queueing the input for the room's next tick
   socket.on('userMove', async (data) => {
     try {
       if (!userId || !currentRoomId) {
         throw new Error('User not authenticated or not in a room');
       }
+      requireScope('presence');
 
-      const { position } = data;
+      const { position, seq } = decode('userMove', data) || {};
       if (!position || typeof position.x !== 'number' || typeof position.y !== 'number') {
         throw new Error('Invalid position data');
       }
 
-      // Add movement throttling (50ms between updates)
-      const now = Date.now();
-      const lastMove = lastMoveTime.get(userId) || 0;
-      if (now - lastMove < 50) {
-        return; // Skip this update if too soon
-      }
-      lastMoveTime.set(userId, now);
-
-      const room = await getRoomState(currentRoomId);
-      const participant = room.participants.find(
-        p => p.user._id.toString() === userId.toString()
-      );
+      await runRoomCommand(currentRoomId, 'move', {
+        userId: userId.toString(),
+        position: { x: position.x, y: position.y },
+        // Input sequence number used by the client to reconcile predictions
+        seq: typeof seq === 'number' ? seq : undefined
+      });
+    } catch (error) {
+      console.error('Error handling movement:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
 
-      if (!participant) {
-        throw new Error('User not in room');
+  // Handle full room state resync requests
+  socket.on('requestRoomState', async () => {
+    try {
+      if (!userId || !currentRoomId) {
+        throw new Error('User not authenticated or not in a room');
       }
+      requireScope('presence');
 
-      // Validate and clamp position
-      const bounds = {
-        minX: 20,
-        maxX: 780,
-        minY: 20,
-        maxY: 580
-      };
-
-      const validatedPosition = {
-        x: Math.max(bounds.minX, Math.min(bounds.maxX, position.x)),
-        y: Math.max(bounds.minY, Math.min(bounds.maxY, position.y))
-      };
-
-      // Only update if position changed significantly
-      if (Math.abs(participant.position.x - validatedPosition.x) > 0.1 || 
-          Math.abs(participant.position.y - validatedPosition.y) > 0.1) {
-        
-        // Update participant position
-        participant.lastPosition = { ...participant.position };
-        participant.position = validatedPosition;
-        participant.lastActive = new Date();
-
-        // Use findOneAndUpdate instead of save to prevent parallel save issues
-        await Room.findOneAndUpdate(
-          { _id: currentRoomId, 'participants.user': userId },
-          { 
-            $set: {
-              'participants.$.position': validatedPosition,
-              'participants.$.lastPosition': participant.lastPosition,
-              'participants.$.lastActive': participant.lastActive
-            }
-          },
-          { new: true }
-        );
-
-        // Broadcast updated room state
-        await broadcastRoomState(currentRoomId);
-      }
+      await runRoomCommand(currentRoomId, 'requestState', { userId: userId.toString() });
     } catch (error) {
-      console.error('Error handling movement:', error);
+      console.error('Error handling room state request:', error);
       socket.emit('error', { message: error.message });
     }
   });
@@ -333,46 +1250,83 @@ io.on('connection', (socket) => {
       if (!userId || !currentRoomId) {
         throw new Error('User not authenticated or not in a room');
       }
+      requireScope('chat:write');
 
       const { message } = data;
       if (!message || typeof message !== 'string' || message.trim().length === 0) {
         throw new Error('Invalid message');
       }
 
-      const room = await getRoomState(currentRoomId);
-      const chatMessage = await room.addChatMessage(userId, message.trim());
-      await room.save();
+      await checkChatAllowed(currentRoomId, userId);
+      await checkNotMuted(currentRoomId, userId);
 
-      // Broadcast message to room
-      const messageToEmit = {
-        ...chatMessage.toObject(),
-        user: {
-          _id: socket.user._id,
-          username: socket.user.username,
-          avatar: socket.user.avatar
-        }
-      };
-      
-      io.to(currentRoomId).emit('newMessage', messageToEmit);
-      callback?.({ success: true, messageId: chatMessage._id });
+      const { messageId } = await runRoomCommand(currentRoomId, 'chat', {
+        user: describeUser(),
+        message: message.trim()
+      });
+      callback?.({ success: true, messageId });
     } catch (error) {
       console.error('Error handling chat message:', error);
       callback?.({ error: error.message });
     }
   });
 
-  // Handle WebRTC signaling with improved validation
-  socket.on('signal', (data) => {
+  // Kick, ban, unban, mute or unmute a user in the current room:
+  // { action, userId, reason, durationMinutes }
+  socket.on('moderate', async (data, callback) => {
     try {
-      if (!userId) {
-        throw new Error('User not authenticated');
+      if (!userId || !currentRoomId) {
+        throw new Error('User not authenticated or not in a room');
+      }
+      if (apiKeyScopes) {
+        throw new Error('API keys cannot moderate rooms');
       }
 
-      const { to, signal } = data;
-      if (!to || !signal) {
+      const { user: moderator, room } = await authorizeRoomAction(userId, currentRoomId, 'room:moderate');
+      const result = await moderateUser({
+        room,
+        moderator,
+        targetId: data?.userId,
+        action: data?.action,
+        reason: data?.reason,
+        durationMinutes: data?.durationMinutes,
+        io,
+        runRoomCommand
+      });
+      callback?.({ success: true, ...result });
+    } catch (error) {
+      console.error('Error handling moderation:', error);
+      callback?.({ error: error.message });
+    }
+  });
+
+  // Handle WebRTC signaling with improved validation. Socket ids are
+  // addressable from any worker through the adapter. Calls only go between
+  // users in the same room.
+  socket.on('signal', async (data) => {
+    try {
+      // Kicked users are taken out of the room's channel, so a stale
+      // currentRoomId is not enough
+      if (!userId || !currentRoomId || !socket.rooms.has(currentRoomId)) {
+        throw new Error('User not authenticated or not in a room');
+      }
+      requireScope('presence');
+
+      const { to, signal } = data || {};
+      if (typeof to !== 'string' || !signal) {
         throw new Error('Invalid signal data');
       }
 
+      // Banned and muted users cannot start calls in their room
+      await checkNotBanned(currentRoomId, userId);
+      await checkNotMuted(currentRoomId, userId);
+
+      // to has to be a socket id, not a room everyone in it would get
+      const target = (await io.in(to).fetchSockets()).find(remote => remote.id === to);
+      if (!target?.rooms.has(currentRoomId)) {
+        throw new Error('User is not in your room');
+      }
+
       socket.to(to).emit('signal', {
         from: socket.id,
         username: socket.user.username,
@@ -388,41 +1342,40 @@ io.on('connection', (socket) => {
   // Handle disconnection with cleanup
   socket.on('disconnect', async (reason) => {
     try {
-      if (userId) {
-        const user = await User.findById(userId);
-        if (user) {
-          user.isOnline = false;
-          user.lastSeen = new Date();
-          await user.save();
-        }
+      if (sessionId) {
+        await removeSessionSocket(sessionId, socket.id);
       }
 
-      if (currentRoomId) {
-        await handleRoomLeave(currentRoomId);
+      if (!userId) return;
+
+      if (waitlistRoomId) {
+        await runRoomCommand(waitlistRoomId, 'waitlistLeave', { userId: userId.toString() });
       }
 
-      // Clear room states if no active connections
-      if (io.sockets.adapter.rooms.get(currentRoomId)?.size === 0) {
-        roomStates.delete(currentRoomId);
+      const command = {
+        userId: userId.toString(),
+        username: socket.user.username,
+        socketId: socket.id
+      };
+
+      // Unexpected drops keep the user in the room as reconnecting for a while;
+      // an explicit disconnect leaves straight away
+      const intentional = reason === 'client namespace disconnect' ||
+        reason === 'server namespace disconnect';
+      if (currentRoomId && !intentional) {
+        await runRoomCommand(currentRoomId, 'suspend', { ...command, token: resumeToken });
+        return;
       }
-    } catch (error) {
-      console.error('Error handling disconnect:', error);
-    }
-  });
 
-  // Helper function to handle room leave
-  async function handleRoomLeave(roomId) {
-    try {
-      const room = await getRoomState(roomId);
-      if (room) {
-        await room.removeParticipant(userId);
-        await room.save();
-        await broadcastRoomState(roomId);
+      await User.updateOne({ _id: userId }, { isOnline: false, lastSeen: new Date() });
+
+      if (currentRoomId) {
+        await runRoomCommand(currentRoomId, 'leave', command);
       }
     } catch (error) {
-      console.error('Error handling room leave:', error);
+      console.error('Error handling disconnect:', error);
     }
-  }
+  });
 });
 
 // Connect to MongoDB and start server
@@ -431,14 +1384,36 @@ if (process.env.NODE_ENV !== 'test') {
     .then(async () => {
       console.log('Connected to MongoDB');
       
-      // Ensure lobby room exists
-      await ensureLobbyRoom();
+      // Ensure lobby room exists and run background jobs (once, when running several workers)
+      if (WORKER_INDEX === 0) {
+        await ensureLobbyRoom();
+        await syncUserIndexes();
+        startGuestCleanup();
+        startAccountJobs(io);
+      }
       
       // Start server
       const PORT = process.env.PORT || 5000;
       server.listen(PORT, () => {
-        console.log(`Server running on port ${PORT}`);
+        console.log(`Server running on port ${PORT} (worker ${WORKER_INDEX})`);
       });
+
+      // Flush in-memory room state before exiting
+      const shutdown = async (signal) => {
+        console.log(`${signal} received, flushing room state...`);
+        try {
+          [...roomTicks.keys()].forEach(stopRoomTick);
+          await flushAllRoomStates();
+          io.close();
+          await mongoose.disconnect();
+        } catch (error) {
+          console.error('Error during shutdown:', error);
+        }
+        process.exit(0);
+      };
+
+      process.once('SIGINT', () => shutdown('SIGINT'));
+      process.once('SIGTERM', () => shutdown('SIGTERM'));
     })
     .catch((error) => {
       console.error('MongoDB connection error:', error);
@@ -446,7 +1421,7 @@ if (process.env.NODE_ENV !== 'test') {
     });
 }
 
-module.exports = { app, server, io };
+module.exports = { app, server, io, flushAllRoomStates };
 
 // Basic route for testing
 app.get('/', (req, res) => {
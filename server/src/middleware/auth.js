@@ -1,36 +1,59 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/UserModel.js');
+const { verifyAccessToken } = require('../utils/tokens');
+const { touchSession } = require('../utils/sessions');
+const { isApiKey, verifyApiKey, hasScope } = require('../utils/apiKeys');
+
+const REVOKED_ERRORS = ['Token has been revoked', 'Session has been revoked'];
+const API_KEY_ERRORS = ['Invalid API key', 'API key has been revoked', 'API key has expired'];
+
+// Helper function to read the bearer token, answering 401 if there is none
+const getBearerToken = (req, res) => {
+  const authHeader = req.header('Authorization');
+  if (!authHeader) {
+    res.status(401).json({
+      status: 'error',
+      error: 'No authorization header'
+    });
+    return null;
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+  if (!token) {
+    res.status(401).json({
+      status: 'error',
+      error: 'No token provided'
+    });
+    return null;
+  }
+
+  return token;
+};
 
 const auth = async (req, res, next) => {
   try {
     // Get token from header
-    const authHeader = req.header('Authorization');
-    if (!authHeader) {
-      return res.status(401).json({
-        status: 'error',
-        error: 'No authorization header'
-      });
-    }
+    const token = getBearerToken(req, res);
+    if (!token) return;
 
-    const token = authHeader.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({
+    // API keys only work on routes that accept them (see apiKeyAuth)
+    if (isApiKey(token)) {
+      return res.status(403).json({
         status: 'error',
-        error: 'No token provided'
+        error: 'API keys cannot be used for this route'
       });
     }
 
-    // Verify token
+    // Verify token and check the revocation list
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+      decoded = await verifyAccessToken(token);
     } catch (error) {
       return res.status(401).json({
         status: 'error',
-        error: 'Invalid token'
+        error: REVOKED_ERRORS.includes(error.message) ? error.message : 'Invalid token'
       });
     }
-    
+
     // Find user
     const user = await User.findById(decoded.userId).select('-password');
     if (!user) {
@@ -40,18 +63,59 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Check if user is online
-    if (!user.isOnline) {
-      return res.status(401).json({
-        status: 'error',
-        error: 'User is offline'
+    // Record session activity without holding up the request
+    if (decoded.sid) {
+      touchSession(decoded.sid, { ip: req.ip }).catch(error => {
+        console.error('Error updating session activity:', error);
       });
     }
 
     // Add user to request object
     req.user = user;
     req.token = token;
-    
+    req.tokenPayload = decoded;
+
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Internal server error'
+    });
+  }
+};
+
+// Like auth, but also accepts a personal API key with the given scope (any
+// key if no scope is given). The key is available as req.apiKey.
+const apiKeyAuth = (scope) => async (req, res, next) => {
+  try {
+    const token = getBearerToken(req, res);
+    if (!token) return;
+
+    if (!isApiKey(token)) {
+      return auth(req, res, next);
+    }
+
+    let result;
+    try {
+      result = await verifyApiKey(token, { ip: req.ip });
+    } catch (error) {
+      return res.status(401).json({
+        status: 'error',
+        error: API_KEY_ERRORS.includes(error.message) ? error.message : 'Invalid API key'
+      });
+    }
+
+    if (!hasScope(result.apiKey, scope)) {
+      return res.status(403).json({
+        status: 'error',
+        error: `API key is missing the ${scope} scope`
+      });
+    }
+
+    req.user = result.user;
+    req.apiKey = result.apiKey;
+
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -62,4 +126,5 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = auth; 
\ No newline at end of file
+module.exports = auth;
+module.exports.apiKeyAuth = apiKeyAuth;
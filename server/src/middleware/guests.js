@@ -0,0 +1,14 @@
+// Refuse actions that need a full account. Use after auth, e.g.
+// router.post('/', auth, blockGuests('create rooms'), createRoom)
+const blockGuests = (action) => (req, res, next) => {
+  if (req.user?.isGuest) {
+    return res.status(403).json({
+      status: 'error',
+      error: `Guests cannot ${action}. Create an account to continue.`
+    });
+  }
+
+  next();
+};
+
+module.exports = blockGuests;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const { permissionError, hasGlobalPermission, hasRoomPermission } = require('../utils/permissions');
+
+// Allow only users whose global role grants a permission. Use after auth.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasGlobalPermission(req.user, permission)) {
+    return res.status(403).json({
+      status: 'error',
+      error: permissionError(permission)
+    });
+  }
+
+  next();
+};
+
+// Load the room in req.params.roomId into req.room and allow only users whose
+// global or room role grants a permission. Use after auth.
+const requireRoomPermission = (permission) => async (req, res, next) => {
+  try {
+    const { roomId } = req.params;
+    const room = mongoose.isValidObjectId(roomId) ? await Room.findById(roomId) : null;
+    if (!room) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Room not found'
+      });
+    }
+
+    if (!hasRoomPermission(req.user, room, permission)) {
+      return res.status(403).json({
+        status: 'error',
+        error: permissionError(permission)
+      });
+    }
+
+    req.room = room;
+    next();
+  } catch (error) {
+    console.error('Permission middleware error:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = { requirePermission, requireRoomPermission };
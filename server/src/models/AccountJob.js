@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Background work a user asked for on their own account: a personal data
+// export or the deletion of the account. Run by utils/accountJobs.
+const accountJobSchema = new mongoose.Schema({
+  // Kept after a deletion job removes the user, so the job can still be looked up
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['export', 'deletion'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  // Deletion only: 'anonymize' keeps the user's chat messages without an author
+  messages: {
+    type: String,
+    enum: ['anonymize', 'delete'],
+    default: 'anonymize'
+  },
+  // Hash of the token handed out with the job for checking its status, which
+  // also works once the account is gone
+  statusTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Export only: where the finished JSON file is kept
+  filePath: {
+    type: String,
+    select: false
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  completedAt: Date,
+  // Finished jobs and their export files are removed after this
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+const AccountJob = mongoose.model('AccountJob', accountJobSchema);
+
+module.exports = AccountJob;
@@ -6,10 +6,17 @@ const chatMessageSchema = new mongoose.Schema({
     ref: 'Room',
     required: true
   },
+  // Removed when the author deletes their account and keeps the message anonymously
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.anonymized;
+    }
+  },
+  anonymized: {
+    type: Boolean,
+    default: false
   },
   message: {
     type: String,
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Record of every moderation action taken in a room
+const moderationLogSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: ['kick', 'ban', 'unban', 'mute', 'unmute'],
+    required: true
+  },
+  // The user the action was taken against. Either user may be removed from
+  // the entry when their account is deleted.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return !this.anonymized;
+    }
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return !this.anonymized;
+    }
+  },
+  anonymized: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // End of a time-limited ban or mute
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+
+module.exports = ModerationLog;
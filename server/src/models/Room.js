@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const ChatMessage = require('./ChatMessage');
 
 const gameObjectSchema = new mongoose.Schema({
@@ -18,6 +19,32 @@ const gameObjectSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// A ban or mute placed on a user by a room moderator
+const restrictionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const roomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -40,7 +67,8 @@ const roomSchema = new mongoose.Schema({
   settings: {
     maxParticipants: {
       type: Number,
-      default: 50
+      default: 50,
+      min: 1
     },
     allowChat: {
       type: Boolean,
@@ -49,8 +77,14 @@ const roomSchema = new mongoose.Schema({
     allowVoice: {
       type: Boolean,
       default: true
+    },
+    // Only users who have verified their email address may join
+    requireVerifiedEmail: {
+      type: Boolean,
+      default: false
     }
   },
+  // bcrypt hash, set through room.password like UserModel
   password: {
     type: String,
     select: false
@@ -62,6 +96,37 @@ const roomSchema = new mongoose.Schema({
       return !this.isSystemRoom; // Only required for non-system rooms
     }
   },
+  // Users the owner has made co-hosts; everyone else is a member
+  coHosts: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Permission groups given to this co-host (see utils/permissions)
+    permissions: {
+      type: [{
+        type: String,
+        enum: ['settings', 'moderate', 'map']
+      }],
+      default: () => ['settings', 'moderate', 'map']
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Users barred from the room. Bans and mutes with no expiresAt last until
+  // lifted; both are only loaded for moderation checks.
+  bans: {
+    type: [restrictionSchema],
+    select: false
+  },
+  // Users who may not chat or start calls in the room
+  mutes: {
+    type: [restrictionSchema],
+    select: false
+  },
   participants: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -93,12 +158,65 @@ const roomSchema = new mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Never send the password hash or moderation records, even when selected
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.bans;
+      delete ret.mutes;
+      return ret;
+    }
+  }
+});
+
+// Hash the password whenever it is set or changed
+roomSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
+// Method to compare a password with the room's. Rooms without a password
+// match nothing, so they can only be joined by invite.
+roomSchema.methods.comparePassword = async function(candidatePassword) {
+  let hash = this.password;
+  if (hash === undefined) {
+    // The password is not selected by default
+    const room = await this.constructor.findById(this._id).select('+password');
+    if (!room) throw new Error('Room not found');
+    hash = room.password;
+  }
+  if (!hash || typeof candidatePassword !== 'string') return false;
+
+  // Rooms created before passwords were hashed still hold plain text; hash
+  // it on the first correct attempt
+  if (!hash.startsWith('$2')) {
+    if (candidatePassword !== hash) return false;
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { password: await bcrypt.hash(candidatePassword, await bcrypt.genSalt(10)) }
+    );
+    return true;
+  }
+
+  return bcrypt.compare(candidatePassword, hash);
+};
+
+// Method to check whether the room has no places left
+roomSchema.methods.isFull = function() {
+  return this.participants.length >= this.settings.maxParticipants;
+};
+
 // Method to add a participant to the room
 roomSchema.methods.addParticipant = async function(userId, position = { x: 0, y: 0 }) {
-  if (this.participants.length >= this.maxParticipants) {
+  if (this.isFull()) {
     throw new Error('Room is full');
   }
 
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Invite link to a room. Lets its holder join without the room password, up
+// to its use limit and expiry. Only a hash of the token is stored.
+const roomInviteSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // When set, only this user can use the invite
+  invitedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // No limit when null
+  maxUses: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const RoomInvite = mongoose.model('RoomInvite', roomInviteSchema);
+
+module.exports = RoomInvite;
@@ -12,10 +12,12 @@ const userSchema = new mongoose.Schema({
         maxlength: [20, 'Username cannot be more than 20 characters'],
         match: [/^[a-zA-Z0-9_]+$/, 'Username can only contain letters, numbers and underscores']
     },
+    // Guests have no email or password until they convert to a full account
     email: {
         type: String,
-        required: [true, 'Email is required'],
+        required: [function() { return !this.isGuest; }, 'Email is required'],
         unique: true,
+        sparse: true,
         lowercase: true,
         trim: true,
         validate: {
@@ -25,14 +27,31 @@ const userSchema = new mongoose.Schema({
     },
     password: {
         type: String,
-        required: [true, 'Password is required'],
+        required: [function() { return !this.isGuest; }, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters long'],
         select: false
     },
+    // Global role; room roles (owner, co-host) are kept on each room
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user'
+    },
+    isGuest: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    // A built-in image name or the URL of an uploaded avatar
     avatar: {
         type: String,
         default: 'default-avatar.png'
     },
+    // Small version of an uploaded avatar
+    avatarThumbnail: {
+        type: String,
+        default: null
+    },
     currentRoom: {
         type: String,
         default: 'lobby'
@@ -41,6 +60,36 @@ const userSchema = new mongoose.Schema({
         x: { type: Number, default: 0 },
         y: { type: Number, default: 0 }
     },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // TOTP two-factor authentication. Secrets and recovery code hashes are
+    // only loaded when checking a code.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret handed out by setup, kept until the user confirms a code
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Time step of the last accepted code, so a code cannot be replayed
+        lastUsedStep: {
+            type: Number,
+            select: false
+        }
+    },
     isOnline: {
         type: Boolean,
         default: false
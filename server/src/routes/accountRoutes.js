@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  requestExport,
+  requestDeletion,
+  getJobStatus,
+  downloadExport,
+  listApiKeys,
+  issueApiKey,
+  revokeApiKey
+} = require('../controllers/accountController');
+const auth = require('../middleware/auth');
+const blockGuests = require('../middleware/guests');
+
+// Public routes (checked with the job's status token)
+router.get('/jobs/:jobId', getJobStatus);
+
+// Protected routes
+router.post('/export', auth, requestExport);
+router.get('/jobs/:jobId/download', auth, downloadExport);
+router.delete('/', auth, requestDeletion);
+router.get('/api-keys', auth, listApiKeys);
+router.post('/api-keys', auth, blockGuests('create API keys'), issueApiKey);
+router.delete('/api-keys/:keyId', auth, revokeApiKey);
+
+module.exports = router;
@@ -1,14 +1,54 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, logout, getCurrentUser } = require('../controllers/authController');
+const {
+  register,
+  loginAsGuest,
+  convertGuest,
+  login,
+  refresh,
+  logout,
+  getCurrentUser,
+  updateProfile,
+  uploadAvatar,
+  listSessions,
+  revokeUserSession,
+  revokeOtherSessions,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor
+} = require('../controllers/authController');
 const auth = require('../middleware/auth');
+const { apiKeyAuth } = auth;
+const blockGuests = require('../middleware/guests');
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/guest', loginAsGuest);
+router.post('/refresh', refresh);
+router.post('/forgot-password', requestPasswordReset);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/2fa/verify', verifyTwoFactorLogin);
 
 // Protected routes
 router.post('/logout', auth, logout);
-router.get('/me', auth, getCurrentUser);
+router.get('/me', apiKeyAuth(), getCurrentUser); // Any API key may look up its owner
+router.patch('/me', auth, updateProfile);
+router.put('/profile', auth, updateProfile); // Older clients
+router.post('/me/avatar', auth, uploadAvatar);
+router.post('/guest/convert', auth, convertGuest);
+router.post('/verify-email/resend', auth, blockGuests('verify an email address'), resendVerificationEmail);
+router.post('/2fa/setup', auth, blockGuests('set up two-factor authentication'), setupTwoFactor);
+router.post('/2fa/enable', auth, blockGuests('set up two-factor authentication'), enableTwoFactor);
+router.post('/2fa/disable', auth, disableTwoFactor);
+router.get('/sessions', auth, listSessions);
+router.delete('/sessions', auth, revokeOtherSessions);
+router.delete('/sessions/:sessionId', auth, revokeUserSession);
 
 module.exports = router; 
\ No newline at end of file
@@ -7,20 +7,53 @@ const {
   joinRoom,
   leaveRoom,
   updateRoom,
-  deleteRoom
+  deleteRoom,
+  setRoomRole,
+  transferRoom,
+  updateRoomObjects
 } = require('../controllers/roomController');
+const { issueInvite, listInvites, revokeInvite } = require('../controllers/inviteController');
+const {
+  kickUser,
+  banUser,
+  unbanUser,
+  muteUser,
+  unmuteUser,
+  getModeration
+} = require('../controllers/moderationController');
 const auth = require('../middleware/auth');
+const { apiKeyAuth } = auth;
+const blockGuests = require('../middleware/guests');
+const { requireRoomPermission } = require('../middleware/permissions');
+
+// Read-only routes, also open to API keys with the rooms:read scope
+router.get('/', apiKeyAuth('rooms:read'), getRooms);          // Get all public rooms
+router.get('/:roomId', apiKeyAuth('rooms:read'), getRoom);    // Get specific room
 
-// All routes require authentication
+// All other routes require a user login
 router.use(auth);
 
 // Room routes
-router.post('/', createRoom);                    // Create new room
-router.get('/', getRooms);                      // Get all public rooms
-router.get('/:roomId', getRoom);                // Get specific room
+router.post('/', blockGuests('create rooms'), createRoom); // Create new room
 router.post('/:roomId/join', joinRoom);         // Join a room
 router.post('/:roomId/leave', leaveRoom);       // Leave a room
-router.patch('/:roomId', updateRoom);           // Update room settings
-router.delete('/:roomId', deleteRoom);          // Delete room
+router.patch('/:roomId', requireRoomPermission('room:update'), updateRoom);  // Update room settings
+router.delete('/:roomId', requireRoomPermission('room:delete'), deleteRoom); // Delete room
+router.put('/:roomId/roles/:userId', requireRoomPermission('room:manageRoles'), setRoomRole); // Make co-host or member
+router.post('/:roomId/transfer', requireRoomPermission('room:transfer'), transferRoom);          // Hand over ownership
+router.put('/:roomId/objects', requireRoomPermission('room:editMap'), updateRoomObjects);       // Replace map objects
+
+// Invite routes
+router.post('/:roomId/invites', requireRoomPermission('room:invite'), issueInvite);               // Create invite link
+router.get('/:roomId/invites', requireRoomPermission('room:invite'), listInvites);                // List usable invites
+router.delete('/:roomId/invites/:inviteId', requireRoomPermission('room:invite'), revokeInvite);  // Revoke invite
+
+// Moderation routes
+router.get('/:roomId/moderation', requireRoomPermission('room:moderate'), getModeration);  // Bans, mutes and log
+router.post('/:roomId/kick/:userId', requireRoomPermission('room:moderate'), kickUser);     // Remove from room now
+router.put('/:roomId/bans/:userId', requireRoomPermission('room:moderate'), banUser);       // Ban, optionally for a while
+router.delete('/:roomId/bans/:userId', requireRoomPermission('room:moderate'), unbanUser);  // Lift ban
+router.put('/:roomId/mutes/:userId', requireRoomPermission('room:moderate'), muteUser);     // Mute or time out
+router.delete('/:roomId/mutes/:userId', requireRoomPermission('room:moderate'), unmuteUser); // Lift mute
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { setUserRole } = require('../controllers/userController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+// All routes require authentication
+router.use(auth);
+
+// Admin routes
+router.patch('/:userId/role', requirePermission('users:manageRoles'), setUserRole); // Set global role
+
+module.exports = router;
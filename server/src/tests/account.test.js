@@ -0,0 +1,199 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+// Keep test exports out of the project
+process.env.EXPORT_DIR = path.join(os.tmpdir(), 'metaverse-test-exports');
+
+const { app } = require('../index');
+const User = require('../models/UserModel');
+const Room = require('../models/Room');
+const ChatMessage = require('../models/ChatMessage');
+const RoomInvite = require('../models/RoomInvite');
+const ModerationLog = require('../models/ModerationLog');
+const { createInvite } = require('../utils/invites');
+const { processJobs } = require('../utils/accountJobs');
+
+let user;
+let token;
+
+beforeEach(async () => {
+  user = await User.create({
+    username: 'leaving',
+    email: 'leaving@example.com',
+    password: 'password123'
+  });
+
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ email: 'leaving@example.com', password: 'password123' });
+  token = response.body.data.token;
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+// Helper function to read a job's status with its status token
+const getStatus = (jobId, statusToken) => request(app)
+  .get(`/api/account/jobs/${jobId}`)
+  .set('X-Job-Token', statusToken);
+
+describe('Account API', () => {
+  describe('POST /api/account/export', () => {
+    it('should export the profile, messages, rooms and sessions', async () => {
+      const room = await Room.create({ name: 'Mine', createdBy: user._id });
+      await ChatMessage.create({ room: room._id, user: user._id, message: 'hello' });
+
+      const queued = await request(app)
+        .post('/api/account/export')
+        .set('Authorization', `Bearer ${token}`);
+      expect(queued.status).toBe(202);
+      expect(queued.body.data.job.status).toBe('pending');
+
+      const { job, statusToken } = queued.body.data;
+      await processJobs();
+
+      const status = await getStatus(job._id, statusToken);
+      expect(status.status).toBe(200);
+      expect(status.body.data.job).toMatchObject({ status: 'completed' });
+
+      const download = await request(app)
+        .get(status.body.data.job.downloadUrl)
+        .set('Authorization', `Bearer ${token}`)
+        .buffer()
+        .parse((res, callback) => {
+          let body = '';
+          res.on('data', chunk => { body += chunk; });
+          res.on('end', () => callback(null, JSON.parse(body)));
+        });
+      expect(download.status).toBe(200);
+      expect(download.body.profile).toMatchObject({ username: 'leaving', email: 'leaving@example.com' });
+      expect(download.body.profile.password).toBeUndefined();
+      expect(download.body.messages).toHaveLength(1);
+      expect(download.body.roomsCreated[0].name).toBe('Mine');
+      expect(download.body.sessions).toHaveLength(1);
+    });
+
+    it('should not show a job without its status token', async () => {
+      const queued = await request(app)
+        .post('/api/account/export')
+        .set('Authorization', `Bearer ${token}`);
+
+      const response = await getStatus(queued.body.data.job._id, 'wrong');
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/account', () => {
+    it('should require the account password', async () => {
+      const response = await request(app)
+        .delete('/api/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'wrong-password' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid password');
+    });
+
+    it('should delete the account, anonymize messages and release rooms', async () => {
+      const other = await User.create({
+        username: 'staying',
+        email: 'staying@example.com',
+        password: 'password123'
+      });
+      const handedOver = await Room.create({
+        name: 'Handed Over',
+        createdBy: user._id,
+        coHosts: [{ user: other._id }],
+        participants: [{ user: user._id }, { user: other._id }]
+      });
+      const removed = await Room.create({ name: 'Removed', createdBy: user._id });
+      const visited = await Room.create({
+        name: 'Visited',
+        createdBy: other._id,
+        participants: [{ user: user._id }]
+      });
+      await ChatMessage.create({ room: visited._id, user: user._id, message: 'bye' });
+
+      const queued = await request(app)
+        .delete('/api/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'password123' });
+      expect(queued.status).toBe(202);
+
+      await processJobs();
+
+      expect(await User.exists({ _id: user._id })).toBeNull();
+      expect(await Room.exists({ _id: removed._id })).toBeNull();
+
+      const room = await Room.findById(handedOver._id);
+      expect(room.createdBy.toString()).toBe(other._id.toString());
+      expect(room.coHosts).toHaveLength(0);
+      expect(room.participants.map(p => p.user.toString())).toEqual([other._id.toString()]);
+      expect((await Room.findById(visited._id)).participants).toHaveLength(0);
+
+      const message = await ChatMessage.findOne({ room: visited._id });
+      expect(message).toMatchObject({ message: 'bye', anonymized: true });
+      expect(message.user).toBeUndefined();
+
+      // The job can still be looked up once the account is gone
+      const { job, statusToken } = queued.body.data;
+      const status = await getStatus(job._id, statusToken);
+      expect(status.body.data.job.status).toBe('completed');
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'leaving@example.com', password: 'password123' });
+      expect(login.status).toBe(401);
+    });
+
+    it('should delete messages when asked to', async () => {
+      const room = await Room.create({ name: 'Chatty', createdBy: new mongoose.Types.ObjectId() });
+      await ChatMessage.create({ room: room._id, user: user._id, message: 'gone' });
+
+      await request(app)
+        .delete('/api/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'password123', messages: 'delete' });
+      await processJobs();
+
+      expect(await ChatMessage.countDocuments({ room: room._id })).toBe(0);
+    });
+
+    it('should delete the user\'s invites and anonymize their moderation log entries', async () => {
+      const other = await User.create({
+        username: 'staying',
+        email: 'staying@example.com',
+        password: 'password123'
+      });
+      const room = await Room.create({
+        name: 'Moderated',
+        createdBy: other._id,
+        coHosts: [{ user: user._id }]
+      });
+      const { invite } = await createInvite(room._id, user._id);
+      await ModerationLog.create([
+        { room: room._id, action: 'kick', user: other._id, moderator: user._id },
+        { room: room._id, action: 'mute', user: user._id, moderator: other._id }
+      ]);
+
+      await request(app)
+        .delete('/api/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'password123' });
+      await processJobs();
+
+      expect(await RoomInvite.exists({ _id: invite._id })).toBeNull();
+
+      const log = await ModerationLog.find({ room: room._id }).sort({ action: 1 });
+      expect(log).toHaveLength(2);
+      expect(log[0]).toMatchObject({ action: 'kick', anonymized: true });
+      expect(log[0].moderator).toBeUndefined();
+      expect(log[0].user.toString()).toBe(other._id.toString());
+      expect(log[1]).toMatchObject({ action: 'mute', anonymized: true });
+      expect(log[1].user).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app } = require('../index');
+const User = require('../models/UserModel');
+const ApiKey = require('../models/ApiKey');
+
+let token;
+
+beforeEach(async () => {
+  await User.create({
+    username: 'scripter',
+    email: 'scripter@example.com',
+    password: 'password123'
+  });
+
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ email: 'scripter@example.com', password: 'password123' });
+  token = response.body.data.token;
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+// Helper function to issue a key through the API
+const issueKey = (body) => request(app)
+  .post('/api/account/api-keys')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('API keys', () => {
+  it('should show a new key once and list it without the key', async () => {
+    const created = await issueKey({ name: 'Bot', scopes: ['rooms:read'], expiresInDays: 30 });
+    expect(created.status).toBe(201);
+    expect(created.body.data.key).toMatch(/^mvk_/);
+    expect(created.body.data.apiKey).toMatchObject({ name: 'Bot', scopes: ['rooms:read'] });
+
+    const list = await request(app)
+      .get('/api/account/api-keys')
+      .set('Authorization', `Bearer ${token}`);
+    expect(list.status).toBe(200);
+    expect(list.body.data.apiKeys).toHaveLength(1);
+    expect(list.body.data.apiKeys[0].key).toBeUndefined();
+    expect(list.body.data.apiKeys[0].keyHash).toBeUndefined();
+  });
+
+  it('should reject unknown scopes', async () => {
+    const response = await issueKey({ name: 'Bot', scopes: ['everything'] });
+    expect(response.status).toBe(400);
+  });
+
+  it('should authenticate routes that accept the key scope', async () => {
+    const { key, apiKey } = (await issueKey({ name: 'Bot', scopes: ['rooms:read'] })).body.data;
+
+    const response = await request(app)
+      .get('/api/rooms')
+      .set('Authorization', `Bearer ${key}`);
+    expect(response.status).toBe(200);
+
+    const stored = await ApiKey.findById(apiKey._id);
+    expect(stored.lastUsedAt).toBeTruthy();
+  });
+
+  it('should refuse keys without the scope', async () => {
+    const { key } = (await issueKey({ name: 'Bot', scopes: ['presence'] })).body.data;
+
+    const response = await request(app)
+      .get('/api/rooms')
+      .set('Authorization', `Bearer ${key}`);
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('API key is missing the rooms:read scope');
+  });
+
+  it('should refuse keys on routes that do not accept them', async () => {
+    const { key } = (await issueKey({ name: 'Bot', scopes: ['rooms:read'] })).body.data;
+
+    const response = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${key}`);
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('API keys cannot be used for this route');
+  });
+
+  it('should stop accepting a revoked key', async () => {
+    const { key, apiKey } = (await issueKey({ name: 'Bot', scopes: ['rooms:read'] })).body.data;
+
+    const revoked = await request(app)
+      .delete(`/api/account/api-keys/${apiKey._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(revoked.status).toBe(200);
+
+    const response = await request(app)
+      .get('/api/rooms')
+      .set('Authorization', `Bearer ${key}`);
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('API key has been revoked');
+  });
+});
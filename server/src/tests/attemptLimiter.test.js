@@ -0,0 +1,76 @@
+const {
+  MemoryAttemptStore,
+  AttemptLimiter,
+  checkAttempts
+} = require('../utils/attemptLimiter');
+
+describe('AttemptLimiter', () => {
+  let store;
+  let limiter;
+  const start = 1_000_000;
+
+  beforeEach(() => {
+    store = new MemoryAttemptStore();
+    limiter = new AttemptLimiter(store, {
+      freeAttempts: 2,
+      baseDelay: 1000,
+      maxDelay: 8000,
+      lockoutAfter: 5,
+      lockoutDuration: 60 * 1000,
+      window: 10 * 60 * 1000
+    });
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  it('should allow the free attempts without delay', async () => {
+    await limiter.fail('ip:1', start);
+
+    expect(await limiter.check('ip:1', start)).toBeNull();
+  });
+
+  it('should back off exponentially after the free attempts', async () => {
+    await limiter.fail('ip:1', start);
+    await limiter.fail('ip:1', start);
+    expect(await limiter.check('ip:1', start)).toEqual({ reason: 'throttled', retryAfter: 1 });
+
+    await limiter.fail('ip:1', start + 1000);
+    expect(await limiter.check('ip:1', start + 1000)).toEqual({ reason: 'throttled', retryAfter: 2 });
+    expect(await limiter.check('ip:1', start + 3000)).toBeNull();
+  });
+
+  it('should cap the delay', () => {
+    expect(limiter.delayFor(20)).toBe(8000);
+  });
+
+  it('should lock out after repeated failures', async () => {
+    for (let i = 0; i < 5; i++) {
+      await limiter.fail('account:a', start);
+    }
+
+    expect(await limiter.check('account:a', start + 30 * 1000)).toEqual({ reason: 'locked', retryAfter: 30 });
+    expect(await limiter.check('account:a', start + 61 * 1000)).toBeNull();
+  });
+
+  it('should forget failures after the window or a reset', async () => {
+    await limiter.fail('ip:1', start);
+    await limiter.fail('ip:2', start);
+    await limiter.reset('ip:2');
+
+    expect(await store.get('ip:1', start + 11 * 60 * 1000)).toBeNull();
+    expect(await store.get('ip:2', start)).toBeNull();
+  });
+
+  it('should report the longest wait across limiters', async () => {
+    const other = new AttemptLimiter(store, { freeAttempts: 0, baseDelay: 5000 });
+    await limiter.fail('ip:1', start);
+    await limiter.fail('ip:1', start);
+    await other.fail('account:a', start);
+
+    const block = await checkAttempts([[limiter, 'ip:1'], [other, 'account:a']], start);
+
+    expect(block).toEqual({ reason: 'throttled', retryAfter: 10 });
+  });
+});
@@ -1,7 +1,20 @@
 const request = require('supertest');
+const sharp = require('sharp');
 const mongoose = require('mongoose');
 const { app } = require('../index');
 const User = require('../models/UserModel');
+const { setTransport } = require('../utils/mailer');
+const { generateCode, timeStep } = require('../utils/totp');
+
+// Capture mail instead of writing it to the outbox
+let sentMail = [];
+setTransport({ send: async (message) => sentMail.push(message) });
+
+// Helper function to pull the token out of the last mailed link
+const lastMailedToken = () => {
+  const link = sentMail[sentMail.length - 1].text.match(/https?:\/\/\S+/)[0];
+  return new URL(link).searchParams.get('token');
+};
 
 let testUser;
 let authToken;
@@ -12,6 +25,8 @@ beforeAll(async () => {
 });
 
 beforeEach(async () => {
+  sentMail = [];
+
   // Clear users before each test
   await User.deleteMany({});
   
@@ -164,6 +179,136 @@ describe('Auth API', () => {
     });
   });
 
+  describe('Brute-force protection', () => {
+    const attempt = (password) => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password });
+
+    it('should throttle an account after repeated failures', async () => {
+      for (let i = 0; i < 3; i++) {
+        expect((await attempt('wrongpassword')).status).toBe(401);
+      }
+
+      // Even the right password has to wait out the backoff
+      const response = await attempt('password123');
+      expect(response.status).toBe(429);
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        error: expect.stringMatching(/^Too many attempts/),
+        data: { reason: 'throttled' }
+      });
+    });
+
+    it('should count unknown accounts like known ones', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'nobody@example.com', password: 'password123' });
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'password123' });
+      expect(response.status).toBe(429);
+    });
+  });
+
+  describe('Guest accounts', () => {
+    it('should sign in a guest with a generated username', async () => {
+      const response = await request(app).post('/api/auth/guest');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data).toHaveProperty('refreshToken');
+      expect(response.body.data.user).toMatchObject({ isGuest: true });
+      expect(response.body.data.user.username).toMatch(/^Guest_[0-9a-f]{6}$/);
+      expect(response.body.data.user.email).toBeUndefined();
+    });
+
+    it('should let many guests sign in from one address without blocking sign-ups', async () => {
+      for (let i = 0; i < 10; i++) {
+        expect((await request(app).post('/api/auth/guest')).status).toBe(201);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'afterguests',
+          email: 'afterguests@example.com',
+          password: 'password123'
+        });
+      expect(response.status).toBe(201);
+    });
+
+    it('should not let guests create rooms', async () => {
+      const guest = await request(app).post('/api/auth/guest');
+
+      const response = await request(app)
+        .post('/api/rooms')
+        .set('Authorization', `Bearer ${guest.body.data.token}`)
+        .send({ name: 'Guest Room' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        error: 'Guests cannot create rooms. Create an account to continue.'
+      });
+    });
+
+    it('should convert a guest to a full account with the same id', async () => {
+      const guest = await request(app).post('/api/auth/guest');
+      const { user, token } = guest.body.data;
+
+      const response = await request(app)
+        .post('/api/auth/guest/convert')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ username: 'converted', email: 'converted@example.com', password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user).toMatchObject({
+        _id: user._id,
+        username: 'converted',
+        email: 'converted@example.com',
+        isGuest: false,
+        emailVerified: false
+      });
+      expect(sentMail[sentMail.length - 1].to).toBe('converted@example.com');
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'converted@example.com', password: 'password123' });
+      expect(login.status).toBe(200);
+      expect(login.body.data.user._id).toBe(user._id);
+    });
+
+    it('should not convert to an email that is already taken', async () => {
+      const guest = await request(app).post('/api/auth/guest');
+
+      const response = await request(app)
+        .post('/api/auth/guest/convert')
+        .set('Authorization', `Bearer ${guest.body.data.token}`)
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Email already taken');
+    });
+
+    it('should refuse to convert a registered account', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .post('/api/auth/guest/convert')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ email: 'other@example.com', password: 'password123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Account is already registered');
+    });
+  });
+
   describe('POST /api/auth/logout', () => {
     beforeEach(async () => {
       // Login to get token
@@ -189,10 +334,25 @@ describe('Auth API', () => {
         }
       });
 
-      // Verify user is offline
-      const user = await User.findById(testUser._id);
-      expect(user.isOnline).toBe(false);
-      expect(user.currentRoom).toBe('lobby');
+    });
+
+    it('should keep the user\'s other sessions signed in', async () => {
+      const otherLogin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test@example.com',
+          password: 'password123'
+        });
+      const otherToken = otherLogin.body.data.token;
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const meResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${otherToken}`);
+      expect(meResponse.status).toBe(200);
     });
 
     it('should require authentication', async () => {
@@ -207,6 +367,408 @@ describe('Auth API', () => {
     });
   });
 
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test@example.com',
+          password: 'password123'
+        });
+      authToken = loginResponse.body.data.token;
+      refreshToken = loginResponse.body.data.refreshToken;
+    });
+
+    it('should issue new tokens for a valid refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        status: 'success',
+        data: {
+          token: expect.any(String),
+          refreshToken: expect.any(String)
+        }
+      });
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+      const meResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`);
+      expect(meResponse.status).toBe(200);
+    });
+
+    it('should revoke the token family when a refresh token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      expect(first.status).toBe(200);
+
+      const reused = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      expect(reused.status).toBe(401);
+      expect(reused.body).toMatchObject({
+        status: 'error',
+        error: 'Invalid refresh token'
+      });
+
+      // The token issued by the first refresh is revoked as well
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken });
+      expect(rotated.status).toBe(401);
+    });
+
+    it('should require a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        error: 'Refresh token is required'
+      });
+    });
+
+    it('should revoke tokens on logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ refreshToken });
+
+      const meResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(meResponse.status).toBe(401);
+      expect(meResponse.body).toMatchObject({
+        status: 'error',
+        error: 'Token has been revoked'
+      });
+
+      const refreshResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      expect(refreshResponse.status).toBe(401);
+    });
+  });
+
+  describe('/api/auth/sessions', () => {
+    const loginFrom = (userAgent) => request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({
+        email: 'test@example.com',
+        password: 'password123'
+      });
+
+    let desktop;
+    let phone;
+
+    beforeEach(async () => {
+      desktop = (await loginFrom('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36')).body.data;
+      phone = (await loginFrom('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Version/17.0 Safari/604.1')).body.data;
+    });
+
+    it('should list active sessions with device details', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${desktop.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.sessions).toHaveLength(2);
+      expect(response.body.data.sessions).toEqual(expect.arrayContaining([
+        expect.objectContaining({ device: 'Chrome on Windows', current: true, connections: 0 }),
+        expect.objectContaining({ device: 'Safari on iOS', current: false })
+      ]));
+    });
+
+    it('should revoke a single session', async () => {
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${desktop.token}`);
+      const other = list.body.data.sessions.find(session => !session.current);
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${other._id}`)
+        .set('Authorization', `Bearer ${desktop.token}`);
+      expect(response.status).toBe(200);
+
+      const phoneResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${phone.token}`);
+      expect(phoneResponse.status).toBe(401);
+      expect(phoneResponse.body.error).toBe('Session has been revoked');
+
+      const refreshResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: phone.refreshToken });
+      expect(refreshResponse.status).toBe(401);
+    });
+
+    it('should not revoke another user\'s session', async () => {
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${desktop.token}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        error: 'Session not found'
+      });
+    });
+
+    it('should revoke all other sessions', async () => {
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${desktop.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.revoked).toBe(1);
+
+      const desktopResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${desktop.token}`);
+      expect(desktopResponse.status).toBe(200);
+
+      const phoneResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${phone.token}`);
+      expect(phoneResponse.status).toBe(401);
+    });
+  });
+
+  describe('Email verification', () => {
+    it('should mail a verification link on registration', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'newuser',
+          email: 'new@example.com',
+          password: 'password123'
+        });
+
+      expect(response.body.data.user.emailVerified).toBe(false);
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0]).toMatchObject({
+        to: 'new@example.com',
+        subject: 'Verify your email address'
+      });
+    });
+
+    it('should verify the email once per token', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'newuser',
+          email: 'new@example.com',
+          password: 'password123'
+        });
+      const token = lastMailedToken();
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token });
+      expect(response.status).toBe(200);
+
+      const user = await User.findOne({ email: 'new@example.com' });
+      expect(user.emailVerified).toBe(true);
+
+      const reused = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token });
+      expect(reused.status).toBe(400);
+      expect(reused.body).toMatchObject({
+        status: 'error',
+        error: 'Token has already been used'
+      });
+    });
+
+    it('should resend the verification email to unverified users', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .post('/api/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${loginResponse.body.data.token}`);
+
+      expect(response.status).toBe(200);
+      expect(sentMail[0].to).toBe('test@example.com');
+    });
+  });
+
+  describe('Password reset', () => {
+    it('should not reveal whether an account exists', async () => {
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(known.status).toBe(200);
+      expect(unknown.body).toEqual(known.body);
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('test@example.com');
+    });
+
+    it('should reset the password with a single-use token and end sessions', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+      const token = lastMailedToken();
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' });
+      expect(response.status).toBe(200);
+
+      const reused = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword' });
+      expect(reused.status).toBe(400);
+
+      const oldSession = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${loginResponse.body.data.token}`);
+      expect(oldSession.status).toBe(401);
+
+      const newLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'newpassword123' });
+      expect(newLogin.status).toBe(200);
+    });
+
+    it('should reject tokens meant for another purpose', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'newuser',
+          email: 'new@example.com',
+          password: 'password123'
+        });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: lastMailedToken(), password: 'newpassword123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        error: 'Invalid or expired token'
+      });
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    let secret;
+    let recoveryCodes;
+
+    const login = () => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'password123' });
+
+    beforeEach(async () => {
+      authToken = (await login()).body.data.token;
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(setup.status).toBe(200);
+      expect(setup.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+      secret = setup.body.data.secret;
+
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: generateCode(secret, timeStep()) });
+      expect(enable.status).toBe(200);
+      recoveryCodes = enable.body.data.recoveryCodes;
+    });
+
+    it('should return recovery codes once enabled', () => {
+      expect(recoveryCodes).toHaveLength(10);
+    });
+
+    it('should answer login with a challenge instead of tokens', async () => {
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        twoFactorRequired: true,
+        challengeToken: expect.any(String)
+      });
+      expect(response.body.data.token).toBeUndefined();
+    });
+
+    it('should complete login with a code and refuse to replay it', async () => {
+      const { challengeToken } = (await login()).body.data;
+      // The enrollment code used up the current step
+      const code = generateCode(secret, timeStep() + 1);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code });
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        token: expect.any(String),
+        refreshToken: expect.any(String),
+        user: expect.objectContaining({ twoFactorEnabled: true })
+      });
+
+      const second = (await login()).body.data.challengeToken;
+      const replay = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: second, code });
+      expect(replay.status).toBe(401);
+      expect(replay.body.error).toBe('Invalid code');
+    });
+
+    it('should accept each recovery code once', async () => {
+      const first = (await login()).body.data.challengeToken;
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: first, recoveryCode: recoveryCodes[0] });
+      expect(response.status).toBe(200);
+
+      const second = (await login()).body.data.challengeToken;
+      const reused = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: second, recoveryCode: recoveryCodes[0] });
+      expect(reused.status).toBe(401);
+    });
+
+    it('should reject an access token as a challenge', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: authToken, code: '123456' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid or expired token');
+    });
+
+    it('should disable two-factor with the password and a recovery code', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'password123', recoveryCode: recoveryCodes[1] });
+      expect(response.status).toBe(200);
+
+      const loginResponse = await login();
+      expect(loginResponse.body.data.token).toEqual(expect.any(String));
+    });
+  });
+
   describe('GET /api/auth/me', () => {
     beforeEach(async () => {
       // Login to get token
@@ -347,4 +909,84 @@ describe('Auth API', () => {
       });
     });
   });
+
+  describe('PATCH /api/auth/me', () => {
+    beforeEach(async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      authToken = loginResponse.body.data.token;
+    });
+
+    it('should update the username', async () => {
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ username: 'renamed_user' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.username).toBe('renamed_user');
+    });
+
+    it('should validate fields before saving', async () => {
+      const invalid = [
+        [{ username: 'a' }, /^Username must be/],
+        [{ email: 'not-an-email' }, /^Please provide a valid email$/],
+        [{ avatar: 'https://example.com/x.png' }, /^Avatar must be a built-in image name/],
+        [{}, /^No profile changes given$/]
+      ];
+
+      for (const [body, error] of invalid) {
+        const response = await request(app)
+          .patch('/api/auth/me')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send(body);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(error);
+      }
+    });
+  });
+
+  describe('POST /api/auth/me/avatar', () => {
+    beforeEach(async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      authToken = loginResponse.body.data.token;
+    });
+
+    it('should store an uploaded avatar with a thumbnail', async () => {
+      const image = await sharp({
+        create: { width: 200, height: 120, channels: 3, background: '#ff0000' }
+      }).jpeg().toBuffer();
+
+      const response = await request(app)
+        .post('/api/auth/me/avatar')
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('avatar', image, { filename: 'me.jpg', contentType: 'image/jpeg' });
+
+      expect(response.status).toBe(200);
+      const { avatar, avatarThumbnail } = response.body.data.user;
+      expect(avatar).toMatch(/^\/uploads\/avatars\/.+\.png$/);
+      expect(avatarThumbnail).toMatch(/-thumb\.png$/);
+
+      const served = await request(app).get(avatar);
+      expect(served.status).toBe(200);
+      expect(served.headers['content-type']).toBe('image/png');
+    });
+
+    it('should reject files that are not PNG or JPEG', async () => {
+      const response = await request(app)
+        .post('/api/auth/me/avatar')
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('avatar', Buffer.from('GIF89a'), { filename: 'me.gif', contentType: 'image/gif' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        status: 'error',
+        error: 'Avatar must be a PNG or JPEG image'
+      });
+    });
+  });
 }); 
\ No newline at end of file
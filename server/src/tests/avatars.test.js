@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+process.env.AVATAR_UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'avatars-'));
+const {
+  AVATAR_DIR,
+  processAvatar,
+  saveAvatar,
+  removeAvatarFiles
+} = require('../utils/avatars');
+
+// Helper function to create a solid colour test image
+const createImage = (width, height, format = 'png') => sharp({
+  create: { width, height, channels: 3, background: '#3366ff' }
+})[format]().toBuffer();
+
+describe('Avatars', () => {
+  afterAll(() => {
+    fs.rmSync(AVATAR_DIR, { recursive: true, force: true });
+  });
+
+  describe('processAvatar', () => {
+    it('should render a square avatar and thumbnail from a JPEG', async () => {
+      const { avatar, thumbnail } = await processAvatar(await createImage(640, 480, 'jpeg'));
+
+      expect(await sharp(avatar).metadata()).toMatchObject({ format: 'png', width: 256, height: 256 });
+      expect(await sharp(thumbnail).metadata()).toMatchObject({ width: 64, height: 64 });
+    });
+
+    it('should reject other formats and non-images', async () => {
+      await expect(processAvatar(await createImage(128, 128, 'webp')))
+        .rejects.toThrow('Avatar must be a PNG or JPEG image');
+      await expect(processAvatar(Buffer.from('not an image')))
+        .rejects.toThrow('Avatar must be a PNG or JPEG image');
+    });
+
+    it('should reject images that are too small or too large', async () => {
+      await expect(processAvatar(await createImage(32, 128)))
+        .rejects.toThrow('Avatar must be at least 64x64 pixels');
+      await expect(processAvatar(await createImage(5000, 100)))
+        .rejects.toThrow('Avatar must be at most 4096x4096 pixels');
+    });
+  });
+
+  describe('saveAvatar', () => {
+    it('should store both sizes and remove them again', async () => {
+      const urls = await saveAvatar('user1', await createImage(100, 100));
+
+      expect(urls.avatar).toMatch(/^\/uploads\/avatars\/user1-\d+\.png$/);
+      expect(urls.avatarThumbnail).toMatch(/^\/uploads\/avatars\/user1-\d+-thumb\.png$/);
+      const files = [urls.avatar, urls.avatarThumbnail].map(url => path.join(AVATAR_DIR, path.basename(url)));
+      files.forEach(file => expect(fs.existsSync(file)).toBe(true));
+
+      await removeAvatarFiles([urls.avatar, urls.avatarThumbnail, 'default-avatar.png']);
+      files.forEach(file => expect(fs.existsSync(file)).toBe(false));
+    });
+  });
+});
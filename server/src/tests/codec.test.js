@@ -0,0 +1,101 @@
+const { decode, encode, isBinary, negotiateEncoding } = require('../../../shared/codec');
+
+const userA = '64b7f0c2a1b2c3d4e5f60718';
+const userB = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('Codec', () => {
+  describe('negotiateEncoding', () => {
+    it('should use binary only when the client offers it', () => {
+      expect(negotiateEncoding(['binary', 'json'])).toBe('binary');
+      expect(negotiateEncoding(['json'])).toBe('json');
+      expect(negotiateEncoding(undefined)).toBe('json');
+    });
+  });
+
+  describe('userMove', () => {
+    it('should round-trip a move with its sequence number', () => {
+      const encoded = encode('userMove', { position: { x: 120.5, y: 99.25 }, seq: 42 });
+
+      expect(isBinary(encoded)).toBe(true);
+      expect(encoded.byteLength).toBe(12);
+      expect(decode('userMove', encoded)).toEqual({ position: { x: 120.5, y: 99.25 }, seq: 42 });
+    });
+
+    it('should decode from a Node Buffer as received by the server', () => {
+      const encoded = Buffer.from(encode('userMove', { position: { x: 10, y: 20 } }));
+
+      expect(decode('userMove', encoded)).toEqual({ position: { x: 10, y: 20 }, seq: undefined });
+    });
+  });
+
+  describe('playersMoved', () => {
+    it('should round-trip a batch of updates', () => {
+      const batch = {
+        tick: 1234,
+        timestamp: 1700000000123,
+        updates: [
+          { userId: userA, position: { x: 100, y: 200 } },
+          { userId: userB, position: { x: 300.5, y: 400.75 } }
+        ]
+      };
+
+      expect(decode('playersMoved', encode('playersMoved', batch))).toEqual(batch);
+    });
+
+    it('should keep positions within float32 precision', () => {
+      const batch = { tick: 1, timestamp: 1, updates: [{ userId: userA, position: { x: 123.456, y: 78.9 } }] };
+      const { position } = decode('playersMoved', encode('playersMoved', batch)).updates[0];
+
+      expect(position.x).toBeCloseTo(123.456, 3);
+      expect(position.y).toBeCloseTo(78.9, 3);
+    });
+
+    it('should reject ids that are not ObjectIds', () => {
+      const batch = { tick: 1, timestamp: 1, updates: [{ userId: 'guest', position: { x: 0, y: 0 } }] };
+
+      expect(() => encode('playersMoved', batch)).toThrow('Cannot encode user id');
+    });
+  });
+
+  describe('roomState', () => {
+    it('should move positions into a binary block and restore them', () => {
+      const state = {
+        _id: 'room1',
+        name: 'Lobby',
+        objects: [{ type: 'wall', position: { x: 0, y: 0 } }],
+        participants: [
+          {
+            user: { _id: userA, username: 'alice' },
+            position: { x: 100, y: 100 },
+            lastPosition: { x: 90, y: 100 },
+            status: 'online'
+          },
+          {
+            user: { _id: userB, username: 'bob' },
+            position: { x: 200, y: 150 },
+            lastPosition: { x: 200, y: 150 },
+            status: 'reconnecting'
+          }
+        ]
+      };
+
+      const encoded = encode('roomState', state);
+      expect(isBinary(encoded.positions)).toBe(true);
+      expect(encoded.participants[0].position).toBeUndefined();
+      expect(encoded.objects).toEqual(state.objects);
+
+      expect(decode('roomState', encoded)).toEqual(state);
+    });
+  });
+
+  describe('JSON fallback', () => {
+    it('should pass JSON payloads through unchanged', () => {
+      const move = { position: { x: 1, y: 2 }, seq: 3 };
+      const state = { name: 'Lobby', participants: [] };
+
+      expect(decode('userMove', move)).toBe(move);
+      expect(decode('roomState', state)).toBe(state);
+      expect(encode('chatMessage', { message: 'hi' })).toEqual({ message: 'hi' });
+    });
+  });
+});
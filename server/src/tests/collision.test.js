@@ -0,0 +1,112 @@
+const {
+  getSolids,
+  isBlocked,
+  canMove,
+  findFreePosition,
+  maxStepDistance,
+  resolveMove
+} = require('../utils/collision');
+
+const objects = [
+  { type: 'wall', position: { x: 0, y: 0 }, properties: { width: 800, height: 20 } },
+  { type: 'wall', position: { x: 200, y: 200 }, properties: { width: 400, height: 20 } },
+  { type: 'furniture', position: { x: 100, y: 100 }, properties: { type: 'chair' } },
+  { type: 'decoration', position: { x: 400, y: 300 }, properties: { type: 'plant' } }
+];
+
+describe('Collision', () => {
+  describe('getSolids', () => {
+    it('should build rectangles for walls and circles for furniture', () => {
+      const solids = getSolids(objects);
+
+      expect(solids).toHaveLength(3);
+      expect(solids[1]).toMatchObject({ shape: 'rect', x: 200, y: 200, width: 400, height: 20 });
+      expect(solids[2]).toMatchObject({ shape: 'circle', x: 115, y: 115, radius: 15 });
+    });
+
+    it('should read properties stored as a Map', () => {
+      const solids = getSolids([
+        { type: 'wall', position: { x: 10, y: 10 }, properties: new Map([['width', 50], ['height', 30]]) }
+      ]);
+
+      expect(solids[0]).toMatchObject({ width: 50, height: 30 });
+    });
+  });
+
+  describe('isBlocked', () => {
+    const solids = getSolids(objects);
+
+    it('should detect positions inside walls and furniture', () => {
+      expect(isBlocked({ x: 300, y: 210 }, solids)).toBe(true);
+      expect(isBlocked({ x: 300, y: 190 }, solids)).toBe(true);
+      expect(isBlocked({ x: 115, y: 115 }, solids)).toBe(true);
+    });
+
+    it('should ignore decorations and open space', () => {
+      expect(isBlocked({ x: 415, y: 315 }, solids)).toBe(false);
+      expect(isBlocked({ x: 500, y: 500 }, solids)).toBe(false);
+    });
+  });
+
+  describe('canMove', () => {
+    it('should not allow tunneling through a thin wall', () => {
+      const solids = getSolids(objects);
+
+      expect(canMove({ x: 300, y: 180 }, { x: 300, y: 240 }, solids)).toBe(false);
+      expect(canMove({ x: 300, y: 240 }, { x: 300, y: 280 }, solids)).toBe(true);
+    });
+  });
+
+  describe('findFreePosition', () => {
+    it('should move a spawn point out of furniture', () => {
+      const solids = getSolids(objects);
+      const position = findFreePosition(solids, { x: 100, y: 100 });
+
+      expect(isBlocked(position, solids)).toBe(false);
+    });
+  });
+
+  describe('resolveMove', () => {
+    const solids = getSolids(objects);
+
+    it('should accept a valid move unchanged', () => {
+      const result = resolveMove({ x: 500, y: 500 }, { x: 510, y: 500 }, solids, maxStepDistance(50));
+
+      expect(result).toEqual({
+        position: { x: 510, y: 500 },
+        corrected: false,
+        reason: null
+      });
+    });
+
+    it('should cap the distance covered per step', () => {
+      const result = resolveMove({ x: 500, y: 500 }, { x: 700, y: 500 }, solids, maxStepDistance(50));
+
+      expect(result.corrected).toBe(true);
+      expect(result.reason).toBe('speed');
+      expect(result.position.x).toBeCloseTo(500 + maxStepDistance(50));
+      expect(result.position.y).toBe(500);
+    });
+
+    it('should clamp positions to the room bounds', () => {
+      const result = resolveMove({ x: 775, y: 500 }, { x: 785, y: 500 }, [], maxStepDistance(50));
+
+      expect(result.position).toEqual({ x: 780, y: 500 });
+      expect(result.reason).toBe('bounds');
+    });
+
+    it('should keep the player out of walls', () => {
+      const result = resolveMove({ x: 300, y: 180 }, { x: 300, y: 200 }, solids, maxStepDistance(50));
+
+      expect(result.corrected).toBe(true);
+      expect(result.reason).toBe('collision');
+      expect(isBlocked(result.position, solids)).toBe(false);
+    });
+
+    it('should slide along a wall when moving diagonally into it', () => {
+      const result = resolveMove({ x: 300, y: 180 }, { x: 310, y: 190 }, solids, maxStepDistance(100));
+
+      expect(result.position).toEqual({ x: 310, y: 180 });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const Session = require('../models/Session');
+const ChatMessage = require('../models/ChatMessage');
+const Room = require('../models/Room');
+const {
+  GUEST_TTL,
+  generateGuestUsername,
+  createGuestUser,
+  syncUserIndexes,
+  cleanupStaleGuests
+} = require('../utils/guests');
+
+const HOUR = 60 * 60 * 1000;
+
+// Helper function to create a guest last seen some time ago
+const createStaleGuest = async (age = GUEST_TTL + HOUR) => {
+  const guest = await createGuestUser();
+  guest.lastSeen = new Date(Date.now() - age);
+  guest.isOnline = false;
+  await guest.save();
+  return guest;
+};
+
+describe('Guests', () => {
+  describe('generateGuestUsername', () => {
+    it('should follow the username rules', () => {
+      expect(generateGuestUsername()).toMatch(/^[a-zA-Z0-9_]{3,20}$/);
+    });
+  });
+
+  describe('createGuestUser', () => {
+    it('should create guests after the old email index is rebuilt', async () => {
+      // The unique email index as it was before guests existed
+      await User.init();
+      await User.collection.dropIndex('email_1');
+      await User.collection.createIndex({ email: 1 }, { unique: true });
+
+      await syncUserIndexes();
+
+      const first = await createGuestUser();
+      const second = await createGuestUser();
+      expect(first.email).toBeUndefined();
+      expect(second._id).not.toEqual(first._id);
+    });
+  });
+
+  describe('cleanupStaleGuests', () => {
+    it('should remove stale guests with their messages and room memberships', async () => {
+      const guest = await createStaleGuest();
+      const room = await Room.create({
+        name: 'Cleanup Room',
+        createdBy: new mongoose.Types.ObjectId(),
+        participants: [{ user: guest._id, position: { x: 0, y: 0 } }]
+      });
+      await ChatMessage.create({ room: room._id, user: guest._id, message: 'hi' });
+
+      const removed = await cleanupStaleGuests();
+
+      expect(removed).toBe(1);
+      expect(await User.exists({ _id: guest._id })).toBeNull();
+      expect(await ChatMessage.countDocuments({ user: guest._id })).toBe(0);
+      expect((await Room.findById(room._id)).participants).toHaveLength(0);
+    });
+
+    it('should keep guests seen recently or with an active session', async () => {
+      const recent = await createStaleGuest(HOUR);
+      const active = await createStaleGuest();
+      await Session.create({
+        user: active._id,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + 24 * HOUR)
+      });
+
+      const removed = await cleanupStaleGuests();
+
+      expect(removed).toBe(0);
+      expect(await User.exists({ _id: recent._id })).not.toBeNull();
+      expect(await User.exists({ _id: active._id })).not.toBeNull();
+    });
+
+    it('should leave registered users alone', async () => {
+      const user = await User.create({
+        username: 'registered',
+        email: 'registered@example.com',
+        password: 'password123',
+        lastSeen: new Date(Date.now() - GUEST_TTL - HOUR)
+      });
+
+      await cleanupStaleGuests();
+
+      expect(await User.exists({ _id: user._id })).not.toBeNull();
+    });
+  });
+});
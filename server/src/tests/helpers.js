@@ -0,0 +1,20 @@
+// Helpers shared by the API test files
+const request = require('supertest');
+const { app } = require('../index');
+const User = require('../models/UserModel');
+
+// Helper function to create a user with a global role and log them in
+const loginAs = async (username, role = 'user') => {
+  const user = await User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'password123',
+    role
+  });
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ email: `${username}@example.com`, password: 'password123' });
+  return { user, token: response.body.data.token };
+};
+
+module.exports = { loginAs };
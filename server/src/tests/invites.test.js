@@ -0,0 +1,101 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app } = require('../index');
+const Room = require('../models/Room');
+const { loginAs } = require('./helpers');
+
+let owner;
+let room;
+
+// Helper function to create an invite as the room owner
+const issueInvite = (body = {}) => request(app)
+  .post(`/api/rooms/${room._id}/invites`)
+  .set('Authorization', `Bearer ${owner.token}`)
+  .send(body);
+
+// Helper function to join the room with an invite
+const joinWith = (token, invite) => request(app)
+  .post(`/api/rooms/${room._id}/join`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ invite });
+
+beforeEach(async () => {
+  owner = await loginAs('host');
+  room = await Room.create({
+    name: 'Hideout',
+    isPrivate: true,
+    password: 'secret',
+    createdBy: owner.user._id
+  });
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Room invites', () => {
+  it('should let an invited user join a private room without the password', async () => {
+    const created = await issueInvite({ maxUses: 5, expiresInHours: 24 });
+    expect(created.status).toBe(201);
+    expect(created.body.data.link).toContain(created.body.data.token);
+
+    const guest = await loginAs('friend');
+    const joined = await joinWith(guest.token, created.body.data.token);
+    expect(joined.status).toBe(200);
+
+    const list = await request(app)
+      .get(`/api/rooms/${room._id}/invites`)
+      .set('Authorization', `Bearer ${owner.token}`);
+    expect(list.status).toBe(200);
+    expect(list.body.data.invites[0]).toMatchObject({ uses: 1, maxUses: 5 });
+  });
+
+  it('should stop at the use limit', async () => {
+    const { token } = (await issueInvite({ maxUses: 1 })).body.data;
+
+    const first = await loginAs('first');
+    const second = await loginAs('second');
+    expect((await joinWith(first.token, token)).status).toBe(200);
+
+    const response = await joinWith(second.token, token);
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Invite has reached its use limit');
+  });
+
+  it('should only admit the target user of a targeted invite', async () => {
+    const target = await loginAs('target');
+    const other = await loginAs('other');
+    const { token } = (await issueInvite({ userId: target.user._id })).body.data;
+
+    const refused = await joinWith(other.token, token);
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toBe('This invite is for another user');
+
+    expect((await joinWith(target.token, token)).status).toBe(200);
+  });
+
+  it('should refuse revoked invites', async () => {
+    const { invite, token } = (await issueInvite()).body.data;
+
+    const revoked = await request(app)
+      .delete(`/api/rooms/${room._id}/invites/${invite._id}`)
+      .set('Authorization', `Bearer ${owner.token}`);
+    expect(revoked.status).toBe(200);
+
+    const guest = await loginAs('late');
+    const response = await joinWith(guest.token, token);
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Invite has been revoked');
+  });
+
+  it('should not let members create invites', async () => {
+    const member = await loginAs('member');
+
+    const response = await request(app)
+      .post(`/api/rooms/${room._id}/invites`)
+      .set('Authorization', `Bearer ${member.token}`)
+      .send({});
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('You do not have permission to invite users to this room');
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  OutboxTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  clientUrl
+} = require('../utils/mailer');
+
+describe('Mailer', () => {
+  let outboxDir;
+
+  beforeEach(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  });
+
+  afterEach(() => {
+    setTransport(null);
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  it('should write messages to the outbox directory', async () => {
+    const transport = new OutboxTransport(outboxDir);
+    const { id, file } = await transport.send({
+      to: 'test@example.com',
+      subject: 'Hello',
+      text: 'Hi there'
+    });
+
+    expect(path.dirname(file)).toBe(outboxDir);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toMatchObject({
+      id,
+      to: 'test@example.com',
+      subject: 'Hello',
+      text: 'Hi there',
+      sentAt: expect.any(String)
+    });
+  });
+
+  it('should send through the configured transport', async () => {
+    const sent = [];
+    setTransport({ send: async (message) => sent.push(message) });
+
+    await sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Hi there' });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({
+      from: expect.any(String),
+      to: 'test@example.com',
+      subject: 'Hello'
+    });
+  });
+
+  it('should fall back to the outbox transport', () => {
+    expect(getTransport()).toBeInstanceOf(OutboxTransport);
+  });
+
+  it('should build links to the client app', () => {
+    const link = clientUrl('/verify-email', { token: 'a.b+c' });
+
+    expect(link).toMatch(/\/verify-email\?token=a\.b%2Bc$/);
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app } = require('../index');
+const Room = require('../models/Room');
+const { loginAs } = require('./helpers');
+
+let owner;
+let member;
+let room;
+
+// Helper function to join the room as a user
+const join = (token) => request(app)
+  .post(`/api/rooms/${room._id}/join`)
+  .set('Authorization', `Bearer ${token}`);
+
+beforeEach(async () => {
+  owner = await loginAs('host');
+  member = await loginAs('rowdy');
+  room = await Room.create({ name: 'Moderated Room', createdBy: owner.user._id });
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Room moderation', () => {
+  it('should keep banned users out with the reason until unbanned', async () => {
+    const banned = await request(app)
+      .put(`/api/rooms/${room._id}/bans/${member.user._id}`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ reason: 'Spamming', durationMinutes: 60 });
+    expect(banned.status).toBe(200);
+    expect(banned.body.data.expiresAt).toBeTruthy();
+
+    const refused = await join(member.token);
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toMatch(/^You are banned from this room until .+: Spamming$/);
+
+    const unbanned = await request(app)
+      .delete(`/api/rooms/${room._id}/bans/${member.user._id}`)
+      .set('Authorization', `Bearer ${owner.token}`);
+    expect(unbanned.status).toBe(200);
+
+    expect((await join(member.token)).status).toBe(200);
+  });
+
+  it('should remove kicked users from the room', async () => {
+    await join(member.token);
+
+    const kicked = await request(app)
+      .post(`/api/rooms/${room._id}/kick/${member.user._id}`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ reason: 'Cool off' });
+    expect(kicked.status).toBe(200);
+
+    const stored = await Room.findById(room._id);
+    expect(stored.participants.map(p => p.user.toString())).not.toContain(member.user._id.toString());
+  });
+
+  it('should list bans, mutes and the moderation log', async () => {
+    await request(app)
+      .put(`/api/rooms/${room._id}/mutes/${member.user._id}`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ reason: 'Shouting', durationMinutes: 10 });
+
+    const response = await request(app)
+      .get(`/api/rooms/${room._id}/moderation`)
+      .set('Authorization', `Bearer ${owner.token}`);
+    expect(response.status).toBe(200);
+    expect(response.body.data.bans).toHaveLength(0);
+    expect(response.body.data.mutes[0]).toMatchObject({ reason: 'Shouting', user: { username: 'rowdy' } });
+    expect(response.body.data.log[0]).toMatchObject({
+      action: 'mute',
+      reason: 'Shouting',
+      user: { username: 'rowdy' },
+      moderator: { username: 'host' }
+    });
+  });
+
+  it('should not let members moderate or anyone moderate the owner', async () => {
+    const asMember = await request(app)
+      .put(`/api/rooms/${room._id}/bans/${owner.user._id}`)
+      .set('Authorization', `Bearer ${member.token}`)
+      .send({});
+    expect(asMember.status).toBe(403);
+    expect(asMember.body.error).toBe('You do not have permission to moderate this room');
+
+    const coHost = await loginAs('helper');
+    await Room.updateOne({ _id: room._id }, { coHosts: [{ user: coHost.user._id }] });
+
+    const againstOwner = await request(app)
+      .put(`/api/rooms/${room._id}/bans/${owner.user._id}`)
+      .set('Authorization', `Bearer ${coHost.token}`)
+      .send({});
+    expect(againstOwner.status).toBe(400);
+    expect(againstOwner.body.error).toBe('This user cannot be moderated');
+  });
+});
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const {
+  getRoomRole,
+  getRoomPermissions,
+  hasRoomPermission,
+  hasGlobalPermission
+} = require('../utils/permissions');
+
+const ownerId = new mongoose.Types.ObjectId();
+const coHostId = new mongoose.Types.ObjectId();
+const moderatorCoHostId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+
+const room = {
+  createdBy: ownerId,
+  coHosts: [{ user: coHostId }, { user: moderatorCoHostId, permissions: ['moderate'] }]
+};
+const lobby = { isSystemRoom: true, coHosts: [] };
+
+const user = (_id, role = 'user') => ({ _id, role });
+
+describe('Permissions', () => {
+  describe('getRoomRole', () => {
+    it('should tell owners, co-hosts and members apart', () => {
+      expect(getRoomRole(room, ownerId)).toBe('owner');
+      expect(getRoomRole(room, coHostId.toString())).toBe('co-host');
+      expect(getRoomRole(room, memberId)).toBe('member');
+      expect(getRoomRole(lobby, memberId)).toBe('member');
+    });
+  });
+
+  describe('hasRoomPermission', () => {
+    it('should give room roles their permissions', () => {
+      expect(hasRoomPermission(user(ownerId), room, 'room:delete')).toBe(true);
+      expect(hasRoomPermission(user(coHostId), room, 'room:update')).toBe(true);
+      expect(hasRoomPermission(user(coHostId), room, 'room:delete')).toBe(false);
+      expect(hasRoomPermission(user(memberId), room, 'room:update')).toBe(false);
+    });
+
+    it('should only give co-hosts the permission groups they were given', () => {
+      expect(hasRoomPermission(user(moderatorCoHostId), room, 'room:moderate')).toBe(true);
+      expect(hasRoomPermission(user(moderatorCoHostId), room, 'room:invite')).toBe(true);
+      expect(hasRoomPermission(user(moderatorCoHostId), room, 'room:update')).toBe(false);
+      expect(hasRoomPermission(user(moderatorCoHostId), room, 'room:editMap')).toBe(false);
+      expect(getRoomPermissions(room, coHostId)).toEqual(expect.arrayContaining([
+        'room:update', 'room:moderate', 'room:editMap'
+      ]));
+    });
+
+    it('should keep ownership transfer to the owner', () => {
+      expect(hasRoomPermission(user(ownerId), room, 'room:transfer')).toBe(true);
+      expect(hasRoomPermission(user(coHostId), room, 'room:transfer')).toBe(false);
+    });
+
+    it('should let admins manage any room, including system rooms', () => {
+      expect(hasRoomPermission(user(memberId, 'admin'), room, 'room:delete')).toBe(true);
+      expect(hasRoomPermission(user(memberId, 'admin'), lobby, 'room:update')).toBe(true);
+    });
+
+    it('should let moderators moderate but not manage rooms', () => {
+      expect(hasRoomPermission(user(memberId, 'moderator'), lobby, 'room:moderate')).toBe(true);
+      expect(hasRoomPermission(user(memberId, 'moderator'), lobby, 'room:update')).toBe(false);
+    });
+  });
+
+  describe('hasGlobalPermission', () => {
+    it('should only let admins manage user roles', () => {
+      expect(hasGlobalPermission(user(memberId, 'admin'), 'users:manageRoles')).toBe(true);
+      expect(hasGlobalPermission(user(memberId, 'moderator'), 'users:manageRoles')).toBe(false);
+      expect(hasGlobalPermission(undefined, 'users:manageRoles')).toBe(false);
+    });
+  });
+});
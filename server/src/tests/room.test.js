@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const { app } = require('../index');
 const Room = require('../models/Room');
 const User = require('../models/UserModel');
+const { loginAs } = require('./helpers');
 
 let authToken;
 let testUser;
@@ -74,7 +75,7 @@ describe('Room API', () => {
             name: 'New Room',
             description: 'A new room',
             isPrivate: false,
-            maxParticipants: 30,
+            settings: expect.objectContaining({ maxParticipants: 30 }),
             createdBy: testUser._id.toString()
           })
         }
@@ -214,7 +215,7 @@ describe('Room API', () => {
         data: {
           room: expect.objectContaining({
             description: 'Updated description',
-            maxParticipants: 40
+            settings: expect.objectContaining({ maxParticipants: 40 })
           })
         }
       });
@@ -242,11 +243,281 @@ describe('Room API', () => {
       expect(response.status).toBe(403);
       expect(response.body).toMatchObject({
         status: 'error',
-        error: 'Only room creator can update settings'
+        error: 'You do not have permission to update this room'
       });
     });
   });
 
+  describe('Room roles', () => {
+    afterEach(async () => {
+      await User.deleteMany({ _id: { $ne: testUser._id } });
+    });
+
+    it('should let the owner make a co-host who can then update the room', async () => {
+      const coHost = await loginAs('cohost');
+
+      const promoted = await request(app)
+        .put(`/api/rooms/${testRoom._id}/roles/${coHost.user._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ role: 'co-host' });
+      expect(promoted.status).toBe(200);
+      expect(promoted.body.data.role).toBe('co-host');
+
+      const updated = await request(app)
+        .patch(`/api/rooms/${testRoom._id}`)
+        .set('Authorization', `Bearer ${coHost.token}`)
+        .send({ description: 'Updated by co-host' });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.room.description).toBe('Updated by co-host');
+    });
+
+    it('should not let co-hosts change roles or delete the room', async () => {
+      const coHost = await loginAs('cohost');
+      const member = await loginAs('member');
+      await Room.updateOne({ _id: testRoom._id }, { coHosts: [{ user: coHost.user._id }] });
+
+      const promoted = await request(app)
+        .put(`/api/rooms/${testRoom._id}/roles/${member.user._id}`)
+        .set('Authorization', `Bearer ${coHost.token}`)
+        .send({ role: 'co-host' });
+      expect(promoted.status).toBe(403);
+      expect(promoted.body.error).toBe('You do not have permission to change roles in this room');
+
+      const deleted = await request(app)
+        .delete(`/api/rooms/${testRoom._id}`)
+        .set('Authorization', `Bearer ${coHost.token}`);
+      expect(deleted.status).toBe(403);
+    });
+
+    it('should only give co-hosts the permission groups they were given', async () => {
+      const coHost = await loginAs('cohost');
+
+      const promoted = await request(app)
+        .put(`/api/rooms/${testRoom._id}/roles/${coHost.user._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ role: 'co-host', permissions: ['map'] });
+      expect(promoted.status).toBe(200);
+      expect(promoted.body.data.permissions).toEqual(['map']);
+
+      const refused = await request(app)
+        .patch(`/api/rooms/${testRoom._id}`)
+        .set('Authorization', `Bearer ${coHost.token}`)
+        .send({ description: 'Updated by co-host' });
+      expect(refused.status).toBe(403);
+
+      const objects = [{ type: 'furniture', position: { x: 200, y: 200 }, properties: { name: 'table' } }];
+      const edited = await request(app)
+        .put(`/api/rooms/${testRoom._id}/objects`)
+        .set('Authorization', `Bearer ${coHost.token}`)
+        .send({ objects });
+      expect(edited.status).toBe(200);
+      expect(edited.body.data.objects).toHaveLength(1);
+
+      const invalid = await request(app)
+        .put(`/api/rooms/${testRoom._id}/roles/${coHost.user._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ role: 'co-host', permissions: ['delete'] });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should not make guests co-hosts', async () => {
+      const guest = await request(app).post('/api/auth/guest');
+
+      const refused = await request(app)
+        .put(`/api/rooms/${testRoom._id}/roles/${guest.body.data.user._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ role: 'co-host' });
+      expect(refused.status).toBe(400);
+      expect(refused.body.error).toBe('Guests cannot be co-hosts');
+
+      const room = await Room.findById(testRoom._id);
+      expect(room.coHosts).toHaveLength(0);
+    });
+
+    it('should let the owner transfer the room and stay on as a co-host', async () => {
+      const heir = await loginAs('heir');
+
+      const transferred = await request(app)
+        .post(`/api/rooms/${testRoom._id}/transfer`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ userId: heir.user._id });
+      expect(transferred.status).toBe(200);
+
+      const room = await Room.findById(testRoom._id);
+      expect(room.createdBy.toString()).toBe(heir.user._id.toString());
+      expect(room.coHosts.map(c => c.user.toString())).toEqual([testUser._id.toString()]);
+
+      // The previous owner can no longer give the room away
+      const refused = await request(app)
+        .post(`/api/rooms/${testRoom._id}/transfer`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ userId: testUser._id });
+      expect(refused.status).toBe(403);
+
+      const deleted = await request(app)
+        .delete(`/api/rooms/${testRoom._id}`)
+        .set('Authorization', `Bearer ${heir.token}`);
+      expect(deleted.status).toBe(200);
+    });
+
+    it('should let admins manage system rooms but not delete them', async () => {
+      const admin = await loginAs('admin', 'admin');
+      const lobby = await Room.create({ name: 'Lobby', isSystemRoom: true });
+
+      const updated = await request(app)
+        .patch(`/api/rooms/${lobby._id}`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ description: 'Welcome!' });
+      expect(updated.status).toBe(200);
+
+      const refused = await request(app)
+        .patch(`/api/rooms/${lobby._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ description: 'Hijacked' });
+      expect(refused.status).toBe(403);
+
+      const deleted = await request(app)
+        .delete(`/api/rooms/${lobby._id}`)
+        .set('Authorization', `Bearer ${admin.token}`);
+      expect(deleted.status).toBe(400);
+      expect(deleted.body.error).toBe('System rooms cannot be deleted');
+    });
+
+    it('should only let admins set global roles', async () => {
+      const admin = await loginAs('admin', 'admin');
+      const member = await loginAs('member');
+
+      const refused = await request(app)
+        .patch(`/api/users/${member.user._id}/role`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ role: 'moderator' });
+      expect(refused.status).toBe(403);
+
+      const response = await request(app)
+        .patch(`/api/users/${member.user._id}/role`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ role: 'moderator' });
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.role).toBe('moderator');
+    });
+  });
+
+  describe('POST /api/rooms/:id/join', () => {
+    it('should require a verified email when the room asks for one', async () => {
+      await User.create({
+        username: 'joiner',
+        email: 'joiner@example.com',
+        password: 'password123'
+      });
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'joiner@example.com', password: 'password123' });
+      const token = loginResponse.body.data.token;
+
+      const room = await Room.create({
+        name: 'Verified Room',
+        createdBy: testUser._id,
+        settings: { requireVerifiedEmail: true }
+      });
+
+      const refused = await request(app)
+        .post(`/api/rooms/${room._id}/join`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(refused.status).toBe(403);
+      expect(refused.body).toMatchObject({
+        status: 'error',
+        error: 'This room requires a verified email address'
+      });
+
+      await User.updateOne({ email: 'joiner@example.com' }, { emailVerified: true });
+
+      const joined = await request(app)
+        .post(`/api/rooms/${room._id}/join`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(joined.status).toBe(200);
+    });
+
+    it('should hash the password and check it on join', async () => {
+      const room = await Room.create({
+        name: 'Locked Room',
+        isPrivate: true,
+        password: 'secret',
+        createdBy: testUser._id
+      });
+      const stored = await Room.findById(room._id).select('+password');
+      expect(stored.password).not.toBe('secret');
+      expect(stored.password).toMatch(/^\$2/);
+
+      await User.create({
+        username: 'joiner',
+        email: 'joiner@example.com',
+        password: 'password123'
+      });
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'joiner@example.com', password: 'password123' });
+      const token = loginResponse.body.data.token;
+
+      const refused = await request(app)
+        .post(`/api/rooms/${room._id}/join`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'wrong' });
+      expect(refused.status).toBe(401);
+      expect(refused.body.error).toBe('Invalid password');
+
+      const joined = await request(app)
+        .post(`/api/rooms/${room._id}/join`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'secret' });
+      expect(joined.status).toBe(200);
+      expect(joined.body.data.room.password).toBeUndefined();
+    });
+
+    it('should refuse to join a full room', async () => {
+      const room = await Room.create({
+        name: 'Full Room',
+        createdBy: testUser._id,
+        settings: { maxParticipants: 1 },
+        participants: [{ user: testUser._id }]
+      });
+
+      await User.create({
+        username: 'joiner',
+        email: 'joiner@example.com',
+        password: 'password123'
+      });
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'joiner@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .post(`/api/rooms/${room._id}/join`)
+        .set('Authorization', `Bearer ${loginResponse.body.data.token}`);
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Room is full');
+    });
+
+    it('should let the owner rotate the password', async () => {
+      const room = await Room.create({
+        name: 'Rotating Room',
+        isPrivate: true,
+        password: 'old-secret',
+        createdBy: testUser._id
+      });
+
+      const updated = await request(app)
+        .patch(`/api/rooms/${room._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'new-secret' });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.room.password).toBeUndefined();
+
+      const stored = await Room.findById(room._id);
+      expect(await stored.comparePassword('new-secret')).toBe(true);
+      expect(await stored.comparePassword('old-secret')).toBe(false);
+    });
+  });
+
   describe('DELETE /api/rooms/:id', () => {
     it('should delete room', async () => {
       const response = await request(app)
@@ -285,7 +556,7 @@ describe('Room API', () => {
       expect(response.status).toBe(403);
       expect(response.body).toMatchObject({
         status: 'error',
-        error: 'Only room creator can delete room'
+        error: 'You do not have permission to delete this room'
       });
     });
   });
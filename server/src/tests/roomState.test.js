@@ -0,0 +1,65 @@
+const RoomState = require('../utils/roomState');
+
+const room = {
+  _id: 'room1',
+  name: 'Test Room',
+  objects: [{ type: 'wall', position: { x: 0, y: 0 } }],
+  participants: [
+    { user: { _id: 'user1', username: 'alice' }, position: { x: 100, y: 100 } }
+  ]
+};
+
+describe('RoomState', () => {
+  it('should load participants keyed by user id', () => {
+    const state = new RoomState(room);
+
+    expect(state.id).toBe('room1');
+    expect(state.objects).toHaveLength(1);
+    expect(state.hasParticipant('user1')).toBe(true);
+    expect(state.getParticipant({ _id: 'user1' }).position).toEqual({ x: 100, y: 100 });
+  });
+
+  it('should track dirty positions until they are taken for a flush', () => {
+    const state = new RoomState(room);
+
+    state.setPosition('user1', { x: 120, y: 100 });
+    expect(state.getParticipant('user1').lastPosition).toEqual({ x: 100, y: 100 });
+    expect(state.takeDirty()).toEqual(['user1']);
+    expect(state.takeDirty()).toEqual([]);
+  });
+
+  it('should re-mark positions after a failed flush', () => {
+    const state = new RoomState(room);
+    state.addParticipant({ _id: 'user2', username: 'bob' }, { x: 200, y: 200 });
+
+    state.setPosition('user1', { x: 120, y: 100 });
+    state.setPosition('user2', { x: 220, y: 200 });
+    const dirty = state.takeDirty();
+    state.removeParticipant('user2');
+    state.markDirty(dirty);
+
+    expect(state.takeDirty()).toEqual(['user1']);
+  });
+
+  it('should apply profile changes to a participant', () => {
+    const state = new RoomState(room);
+
+    state.updateUser('user1', { avatar: '/uploads/avatars/user1.png' });
+
+    expect(state.getParticipant('user1').user).toEqual({
+      _id: 'user1',
+      username: 'alice',
+      avatar: '/uploads/avatars/user1.png'
+    });
+    expect(state.updateUser('nobody', { avatar: 'x.png' })).toBeNull();
+  });
+
+  it('should serialize participants back into a room snapshot', () => {
+    const state = new RoomState(room);
+    state.addParticipant({ _id: 'user2', username: 'bob' }, { x: 200, y: 200 });
+
+    const json = state.toJSON();
+    expect(json.name).toBe('Test Room');
+    expect(json.participants.map(p => p.user.username)).toEqual(['alice', 'bob']);
+  });
+});
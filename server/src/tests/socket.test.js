@@ -1,13 +1,23 @@
 const { io: Client } = require('socket.io-client');
-const { app, server, io } = require('../index');
+const request = require('supertest');
+const { app, server, io, flushAllRoomStates } = require('../index');
 const User = require('../models/UserModel');
 const Room = require('../models/Room');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const { decode, encode } = require('../../../shared/codec');
+const { issueTokens, signAccessToken, revokeAccessToken } = require('../utils/tokens');
+const { revokeSession, disconnectSession } = require('../utils/sessions');
+const Session = require('../models/Session');
+const { createApiKey } = require('../utils/apiKeys');
+const { createInvite } = require('../utils/invites');
+const RoomInvite = require('../models/RoomInvite');
 
 // Increase timeout for all tests
 jest.setTimeout(30000);
 
 let clientSocket;
+let serverUrl;
 let testUser;
 let authToken;
 let testRoom;
@@ -44,11 +54,17 @@ const waitForEvent = (socket, event, timeout = 10000) => {
   });
 };
 
+// The server only listens by itself outside of tests; use any free port
 beforeAll(async () => {
-  // Clear existing data
-  await Room.deleteMany({});
-  await User.deleteMany({});
-  
+  await new Promise((resolve) => {
+    server.listen(0, resolve);
+  });
+  serverUrl = `http://localhost:${server.address().port}`;
+});
+
+// setup.js clears the database before each test, so the fixtures are made
+// again for every test
+beforeEach(async () => {
   // Create test user and get token
   const { user, token } = await createTestUser();
   testUser = user;
@@ -66,7 +82,7 @@ beforeAll(async () => {
 
 beforeEach((done) => {
   // Create new socket client for each test
-  clientSocket = new Client('http://localhost:5000', {
+  clientSocket = new Client(serverUrl, {
     transports: ['websocket'],
     autoConnect: false,
     reconnection: false,
@@ -93,8 +109,6 @@ afterEach(() => {
 });
 
 afterAll(async () => {
-  await Room.deleteMany({});
-  await User.deleteMany({});
   await new Promise((resolve) => {
     server.close(resolve);
   });
@@ -134,6 +148,91 @@ describe('Socket.IO', () => {
       });
     });
 
+    it('should reject revoked tokens', async () => {
+      const token = signAccessToken(testUser);
+      await revokeAccessToken(jwt.decode(token));
+
+      const response = await new Promise((resolve) => {
+        clientSocket.emit('authenticate', { token }, resolve);
+      });
+
+      expect(response).toMatchObject({
+        error: 'Token has been revoked'
+      });
+    });
+
+    it('should track sockets on their session and drop them when it is revoked', async () => {
+      const { token, sessionId } = await issueTokens(testUser, { userAgent: 'jest' });
+
+      await new Promise((resolve) => {
+        clientSocket.emit('authenticate', { token }, resolve);
+      });
+
+      const session = await Session.findById(sessionId);
+      expect(session.sockets).toContain(clientSocket.id);
+
+      const revoked = waitForEvent(clientSocket, 'sessionRevoked');
+      const disconnected = waitForEvent(clientSocket, 'disconnect');
+      await revokeSession(sessionId);
+      disconnectSession(io, sessionId);
+
+      expect(await revoked).toMatchObject({ sessionId });
+      expect(await disconnected).toBe('io server disconnect');
+
+      const response = await new Promise((resolve) => {
+        const socket = new Client(serverUrl, { transports: ['websocket'], reconnection: false });
+        socket.on('connect', () => {
+          socket.emit('authenticate', { token }, (result) => {
+            socket.disconnect();
+            resolve(result);
+          });
+        });
+      });
+      expect(response).toMatchObject({ error: 'Session has been revoked' });
+    });
+
+    it('should drop the sockets of a login when it logs out', async () => {
+      const { token } = await issueTokens(testUser, { userAgent: 'jest' });
+
+      await new Promise((resolve) => {
+        clientSocket.emit('authenticate', { token }, resolve);
+      });
+
+      const disconnected = waitForEvent(clientSocket, 'disconnect');
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(await disconnected).toBe('io server disconnect');
+    });
+
+    it('should accept API keys and enforce their scopes', async () => {
+      const bot = await User.create({
+        username: 'roombot',
+        email: 'bot@example.com',
+        password: 'password123'
+      });
+      const { key } = await createApiKey(bot._id, { name: 'Bot', scopes: ['presence'] });
+
+      const response = await new Promise((resolve) => {
+        clientSocket.emit('authenticate', { token: key }, resolve);
+      });
+      expect(response).toMatchObject({
+        success: true,
+        user: { username: 'roombot' },
+        scopes: ['presence']
+      });
+
+      clientSocket.emit('joinRoom', testRoom._id.toString());
+      await waitForEvent(clientSocket, 'roomState');
+
+      const chat = await new Promise((resolve) => {
+        clientSocket.emit('chatMessage', { message: 'beep' }, resolve);
+      });
+      expect(chat).toMatchObject({ error: 'API key is missing the chat:write scope' });
+    });
+
     it('should reject missing token', async () => {
       const response = await new Promise((resolve, reject) => {
         clientSocket.emit('authenticate', {}, (response) => {
@@ -196,6 +295,25 @@ describe('Socket.IO', () => {
       });
     });
 
+    it('should require the password for private rooms', async () => {
+      const privateRoom = await Room.create({
+        name: 'Private Socket Room',
+        isPrivate: true,
+        password: 'secret',
+        createdBy: new mongoose.Types.ObjectId()
+      });
+
+      const errorPromise = waitForEvent(clientSocket, 'error');
+      clientSocket.emit('joinRoom', privateRoom._id);
+      expect(await errorPromise).toMatchObject({ message: 'Password required for private room' });
+
+      const roomStatePromise = waitForEvent(clientSocket, 'roomState');
+      clientSocket.emit('joinRoom', { roomId: privateRoom._id, password: 'secret' });
+      const roomState = await roomStatePromise;
+      expect(roomState._id).toBe(privateRoom._id.toString());
+      expect(roomState.password).toBeUndefined();
+    });
+
     it('should handle user movement', async () => {
       // Join room first
       await new Promise((resolve) => {
@@ -203,58 +321,162 @@ describe('Socket.IO', () => {
         clientSocket.once('roomState', resolve);
       });
 
-      // Listen for room state updates
-      const roomStatePromise = waitForEvent(clientSocket, 'roomState');
+      // Listen for the move acknowledgement
+      const ackPromise = waitForEvent(clientSocket, 'moveAck');
       
       // Move user
       clientSocket.emit('userMove', {
         roomId: testRoom._id,
-        position: { x: 100, y: 100 }
+        position: { x: 120, y: 110 },
+        seq: 1
       });
       
-      // Wait for room state update
+      await ackPromise;
+
+      // Position should be stored on the server
+      const roomStatePromise = waitForEvent(clientSocket, 'roomState');
+      clientSocket.emit('requestRoomState');
       const roomState = await roomStatePromise;
       
-      // Find user in participants
       const participant = roomState.participants.find(
         p => p.user._id.toString() === testUser._id.toString()
       );
       
       expect(participant).toMatchObject({
-        position: { x: 100, y: 100 },
-        lastPosition: expect.any(Object)
+        position: { x: 120, y: 110 }
       });
     });
 
-    it('should validate movement bounds', async () => {
+    it('should send full room state on resync request', async () => {
       // Join room first
       await new Promise((resolve) => {
         clientSocket.emit('joinRoom', testRoom._id);
         clientSocket.once('roomState', resolve);
       });
 
-      // Listen for room state updates
       const roomStatePromise = waitForEvent(clientSocket, 'roomState');
       
+      clientSocket.emit('requestRoomState');
+      
+      const roomState = await roomStatePromise;
+      
+      expect(roomState).toMatchObject({
+        _id: testRoom._id.toString(),
+        participants: expect.arrayContaining([
+          expect.objectContaining({
+            user: expect.objectContaining({
+              _id: testUser._id.toString()
+            })
+          })
+        ])
+      });
+    });
+
+    it('should validate movement bounds', async () => {
+      // Join room first
+      await new Promise((resolve) => {
+        clientSocket.emit('joinRoom', testRoom._id);
+        clientSocket.once('roomState', resolve);
+      });
+
+      // Listen for the server correction
+      const correctionPromise = waitForEvent(clientSocket, 'positionCorrected');
+      
       // Try to move outside bounds
       clientSocket.emit('userMove', {
         roomId: testRoom._id,
-        position: { x: 1000, y: 1000 }
+        position: { x: 1000, y: 1000 },
+        seq: 2
       });
       
-      // Wait for room state update
-      const roomState = await roomStatePromise;
+      // Wait for the corrected position
+      const { position } = await correctionPromise;
       
-      // Find user in participants
-      const participant = roomState.participants.find(
+      // Position should be clamped to room bounds
+      expect(position.x).toBeLessThanOrEqual(780);
+      expect(position.y).toBeLessThanOrEqual(580);
+      expect(position.x).toBeGreaterThanOrEqual(20);
+      expect(position.y).toBeGreaterThanOrEqual(20);
+    });
+
+    it('should acknowledge processed movement inputs', async () => {
+      // Join room first
+      const roomState = await new Promise((resolve) => {
+        clientSocket.emit('joinRoom', testRoom._id);
+        clientSocket.once('roomState', resolve);
+      });
+
+      const { position: start } = roomState.participants.find(
         p => p.user._id.toString() === testUser._id.toString()
       );
+
+      const ackPromise = waitForEvent(clientSocket, 'moveAck');
       
-      // Position should be clamped to room bounds
-      expect(participant.position.x).toBeLessThanOrEqual(780);
-      expect(participant.position.y).toBeLessThanOrEqual(580);
-      expect(participant.position.x).toBeGreaterThanOrEqual(20);
-      expect(participant.position.y).toBeGreaterThanOrEqual(20);
+      clientSocket.emit('userMove', {
+        position: { x: start.x + (start.x > 400 ? -5 : 5), y: start.y },
+        seq: 7
+      });
+      
+      const ack = await ackPromise;
+      
+      expect(ack).toMatchObject({
+        ack: 7,
+        timestamp: expect.any(Number)
+      });
+    });
+
+    it('should correct moves that exceed the speed limit', async () => {
+      // Join room first
+      const roomState = await new Promise((resolve) => {
+        clientSocket.emit('joinRoom', testRoom._id);
+        clientSocket.once('roomState', resolve);
+      });
+
+      const { position: start } = roomState.participants.find(
+        p => p.user._id.toString() === testUser._id.toString()
+      );
+
+      const correctionPromise = waitForEvent(clientSocket, 'positionCorrected');
+      
+      // Try to teleport across the room
+      clientSocket.emit('userMove', {
+        position: { x: start.x > 400 ? 20 : 780, y: start.y },
+        seq: 8
+      });
+      
+      const correction = await correctionPromise;
+      
+      expect(correction).toMatchObject({
+        reason: 'speed',
+        ack: 8,
+        position: expect.any(Object)
+      });
+      expect(Math.abs(correction.position.x - start.x)).toBeLessThan(100);
+    });
+
+    it('should write positions behind to the database', async () => {
+      // Join room first
+      const roomState = await new Promise((resolve) => {
+        clientSocket.emit('joinRoom', testRoom._id);
+        clientSocket.once('roomState', resolve);
+      });
+
+      const { position: start } = roomState.participants.find(
+        p => p.user._id.toString() === testUser._id.toString()
+      );
+      const target = { x: start.x + (start.x > 400 ? -5 : 5), y: start.y };
+
+      const ackPromise = waitForEvent(clientSocket, 'moveAck');
+      clientSocket.emit('userMove', { position: target, seq: 9 });
+      await ackPromise;
+
+      await flushAllRoomStates();
+
+      const room = await Room.findById(testRoom._id);
+      const participant = room.participants.find(
+        p => p.user.toString() === testUser._id.toString()
+      );
+      expect(participant.position).toMatchObject(target);
     });
   });
 
@@ -277,6 +499,18 @@ describe('Socket.IO', () => {
       });
     });
 
+    it('should refuse chat from muted users with the reason', async () => {
+      await Room.updateOne(
+        { _id: testRoom._id },
+        { mutes: [{ user: testUser._id, reason: 'Spamming' }] }
+      );
+
+      const response = await new Promise((resolve) => {
+        clientSocket.emit('chatMessage', { message: 'Still here' }, resolve);
+      });
+      expect(response).toMatchObject({ error: 'You are muted in this room: Spamming' });
+    });
+
     it('should send and receive chat messages', async () => {
       const messagePromise = waitForEvent(clientSocket, 'newMessage');
       
@@ -314,7 +548,7 @@ describe('Socket.IO', () => {
     it('should not send message without authentication', async () => {
       // Disconnect and create new unauthenticated socket
       clientSocket.disconnect();
-      clientSocket = new Client('http://localhost:5000', {
+      clientSocket = new Client(serverUrl, {
         transports: ['websocket'],
         autoConnect: false,
         reconnection: false
@@ -355,6 +589,578 @@ describe('Socket.IO', () => {
     });
   });
 
+  describe('Interest Management', () => {
+    const CLUSTER_SIZE = 6;
+    let interestRoom;
+    let clients;
+
+    // Positions far enough apart that the two clusters share no grid cells
+    const clusterPosition = (cluster, index) => (
+      cluster === 0
+        ? { x: 60 + index * 10, y: 60 }
+        : { x: 700 - index * 10, y: 520 }
+    );
+
+    const connectClient = () => new Promise((resolve, reject) => {
+      const socket = new Client(serverUrl, {
+        transports: ['websocket'],
+        autoConnect: false,
+        reconnection: false
+      });
+      socket.once('connect', () => resolve(socket));
+      socket.once('connect_error', reject);
+      socket.connect();
+    });
+
+    const authenticate = (socket, token) => new Promise((resolve, reject) => {
+      socket.emit('authenticate', { token }, (response) => {
+        if (response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+
+    // Collect every event of a type received within a window
+    const collectEvents = (socket, event, duration = 500) => new Promise((resolve) => {
+      const received = [];
+      const handler = (data) => received.push(data);
+      socket.on(event, handler);
+      setTimeout(() => {
+        socket.off(event, handler);
+        resolve(received);
+      }, duration);
+    });
+
+    beforeEach(async () => {
+      const users = [];
+      for (let i = 0; i < CLUSTER_SIZE * 2; i++) {
+        users.push(await User.create({
+          username: `aoiuser${i}`,
+          email: `aoi${i}@example.com`,
+          password: 'password123'
+        }));
+      }
+
+      interestRoom = await Room.create({
+        name: 'Interest Room',
+        createdBy: testUser._id,
+        participants: users.map((user, i) => ({
+          user: user._id,
+          position: clusterPosition(i < CLUSTER_SIZE ? 0 : 1, i % CLUSTER_SIZE)
+        }))
+      });
+
+      clients = [];
+      for (const user of users) {
+        const socket = await connectClient();
+        const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+        await authenticate(socket, token);
+
+        const roomState = waitForEvent(socket, 'roomState');
+        socket.emit('joinRoom', interestRoom._id.toString());
+        await roomState;
+
+        clients.push({ socket, user });
+      }
+    });
+
+    afterEach(() => {
+      clients.forEach(({ socket }) => {
+        if (socket.connected) {
+          socket.disconnect();
+        }
+      });
+    });
+
+    it('should only send movement to players in nearby cells', async () => {
+      const mover = clients[0];
+      const start = clusterPosition(0, 0);
+
+      const receivedByClient = clients.map(({ socket }) => collectEvents(socket, 'playersMoved'));
+
+      mover.socket.emit('userMove', {
+        position: { x: start.x, y: start.y + 10 },
+        seq: 1
+      });
+
+      const received = await Promise.all(receivedByClient);
+
+      received.forEach((events, i) => {
+        if (i === 0) {
+          expect(events).toHaveLength(0);
+        } else if (i < CLUSTER_SIZE) {
+          expect(events).toEqual([
+            {
+              tick: expect.any(Number),
+              timestamp: expect.any(Number),
+              updates: [{
+                userId: mover.user._id.toString(),
+                position: { x: start.x, y: start.y + 10 }
+              }]
+            }
+          ]);
+        } else {
+          expect(events).toHaveLength(0);
+        }
+      });
+    });
+
+    it('should apply queued inputs in order and batch them per tick', async () => {
+      const mover = clients[0];
+      const observer = clients[1];
+      const start = clusterPosition(0, 0);
+
+      const acks = collectEvents(mover.socket, 'moveAck');
+      const batches = collectEvents(observer.socket, 'playersMoved');
+
+      // Several inputs sent faster than the tick rate
+      for (let i = 1; i <= 3; i++) {
+        mover.socket.emit('userMove', {
+          position: { x: start.x, y: start.y + i * 3 },
+          seq: i
+        });
+      }
+
+      const ackEvents = await acks;
+      const batchEvents = await batches;
+
+      expect(ackEvents[ackEvents.length - 1]).toMatchObject({ ack: 3 });
+      expect(batchEvents.length).toBeLessThanOrEqual(3);
+
+      const moverUpdates = batchEvents
+        .flatMap(batch => batch.updates)
+        .filter(update => update.userId === mover.user._id.toString());
+      expect(moverUpdates[moverUpdates.length - 1].position).toEqual({ x: start.x, y: start.y + 9 });
+
+      // Ticks only ever increase
+      const ticks = batchEvents.map(batch => batch.tick);
+      expect([...ticks].sort((a, b) => a - b)).toEqual(ticks);
+    });
+
+    it('should only include nearby players in the room state', async () => {
+      const { socket, user } = clients[CLUSTER_SIZE];
+
+      const roomStatePromise = waitForEvent(socket, 'roomState');
+      socket.emit('requestRoomState');
+      const roomState = await roomStatePromise;
+
+      const visibleIds = roomState.participants.map(p => p.user._id.toString());
+      expect(visibleIds).toContain(user._id.toString());
+      expect(visibleIds).toHaveLength(CLUSTER_SIZE);
+      clients.slice(0, CLUSTER_SIZE).forEach(({ user: farUser }) => {
+        expect(visibleIds).not.toContain(farUser._id.toString());
+      });
+    });
+
+    it('should only deliver chat to nearby players', async () => {
+      const sender = clients[0];
+      const receivedByClient = clients.map(({ socket }) => collectEvents(socket, 'newMessage'));
+
+      sender.socket.emit('chatMessage', { message: 'Hello, neighbours!' });
+
+      const received = await Promise.all(receivedByClient);
+
+      received.forEach((events, i) => {
+        expect(events).toHaveLength(i < CLUSTER_SIZE ? 1 : 0);
+      });
+    });
+
+    it('should send enter and exit events when crossing cell boundaries', async () => {
+      const mover = clients[CLUSTER_SIZE];
+      const farCluster = clients.slice(0, CLUSTER_SIZE);
+      const nearCluster = clients.slice(CLUSTER_SIZE + 1);
+
+      const moverEntered = collectEvents(mover.socket, 'playerEntered', 5000);
+      const moverExited = collectEvents(mover.socket, 'playerExited', 5000);
+      const farEntered = farCluster.map(({ socket }) => collectEvents(socket, 'playerEntered', 5000));
+      const nearExited = nearCluster.map(({ socket }) => collectEvents(socket, 'playerExited', 5000));
+
+      // Walk from the bottom-right cluster towards the top-left one
+      let position = clusterPosition(1, 0);
+      let seq = 1;
+      while (position.x > 200 || position.y > 160) {
+        // Steps stay under the server's per-move speed cap
+        position = {
+          x: Math.max(200, position.x - 24),
+          y: Math.max(160, position.y - 18)
+        };
+        mover.socket.emit('userMove', { position, seq: seq++ });
+        await new Promise(resolve => setTimeout(resolve, 120));
+      }
+
+      const entered = await moverEntered;
+      const exited = await moverExited;
+
+      expect(entered.map(e => e.userId)).toEqual(
+        expect.arrayContaining(farCluster.map(({ user }) => user._id.toString()))
+      );
+      expect(exited.map(e => e.userId)).toEqual(
+        expect.arrayContaining(nearCluster.map(({ user }) => user._id.toString()))
+      );
+
+      (await Promise.all(farEntered)).forEach(events => {
+        expect(events).toEqual([
+          expect.objectContaining({
+            userId: mover.user._id.toString(),
+            username: mover.user.username,
+            position: expect.any(Object)
+          })
+        ]);
+      });
+      (await Promise.all(nearExited)).forEach(events => {
+        expect(events).toEqual([{ userId: mover.user._id.toString() }]);
+      });
+    });
+  });
+
+  describe('Reconnection', () => {
+    const connectClient = () => new Promise((resolve, reject) => {
+      const socket = new Client(serverUrl, {
+        transports: ['websocket'],
+        autoConnect: false,
+        reconnection: false
+      });
+      socket.once('connect', () => resolve(socket));
+      socket.once('connect_error', reject);
+      socket.connect();
+    });
+
+    const authenticate = (socket, data) => new Promise((resolve, reject) => {
+      socket.emit('authenticate', data, (response) => {
+        if (response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+
+    const joinRoom = async (socket, userId) => {
+      const roomStatePromise = waitForEvent(socket, 'roomState');
+      socket.emit('joinRoom', testRoom._id.toString());
+      const roomState = await roomStatePromise;
+      return roomState.participants.find(p => p.user._id.toString() === userId.toString());
+    };
+
+    let observer;
+    let observerSocket;
+    let resumedSocket;
+
+    beforeEach(async () => {
+      observer = await User.create({
+        username: 'observer',
+        email: 'observer@example.com',
+        password: 'password123'
+      });
+    });
+
+    afterEach(async () => {
+      [observerSocket, resumedSocket].forEach(socket => {
+        if (socket?.connected) {
+          socket.disconnect();
+        }
+      });
+      observerSocket = null;
+      resumedSocket = null;
+      await User.deleteOne({ _id: observer._id });
+    });
+
+    it('should resume the room and position after a dropped connection', async () => {
+      const { resumeToken } = await authenticate(clientSocket, { token: authToken });
+      expect(resumeToken).toEqual(expect.any(String));
+
+      const participant = await joinRoom(clientSocket, testUser._id);
+
+      // Drop the transport without a clean disconnect
+      clientSocket.io.engine.close();
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      resumedSocket = await connectClient();
+      const roomStatePromise = waitForEvent(resumedSocket, 'roomState');
+      const response = await authenticate(resumedSocket, { token: authToken, resumeToken });
+
+      expect(response).toMatchObject({
+        success: true,
+        resumed: true,
+        roomId: testRoom._id.toString(),
+        resumeToken: expect.any(String)
+      });
+      expect(response.resumeToken).not.toBe(resumeToken);
+
+      const roomState = await roomStatePromise;
+      const restored = roomState.participants.find(
+        p => p.user._id.toString() === testUser._id.toString()
+      );
+      expect(restored.position).toEqual(participant.position);
+      expect(restored.status).toBe('online');
+    });
+
+    it('should show the player as reconnecting and replay missed chat', async () => {
+      const { resumeToken } = await authenticate(clientSocket, { token: authToken });
+      await joinRoom(clientSocket, testUser._id);
+
+      observerSocket = await connectClient();
+      const observerToken = jwt.sign({ userId: observer._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+      await authenticate(observerSocket, { token: observerToken });
+      await joinRoom(observerSocket, observer._id);
+
+      const reconnectingPromise = waitForEvent(observerSocket, 'playerReconnecting');
+      clientSocket.io.engine.close();
+      const reconnecting = await reconnectingPromise;
+      expect(reconnecting).toMatchObject({ userId: testUser._id.toString() });
+
+      await new Promise((resolve) => {
+        observerSocket.emit('chatMessage', { message: 'Are you still there?' }, resolve);
+      });
+
+      resumedSocket = await connectClient();
+      const missedPromise = waitForEvent(resumedSocket, 'newMessage');
+      const reconnectedPromise = waitForEvent(observerSocket, 'playerReconnected');
+      const response = await authenticate(resumedSocket, { token: authToken, resumeToken });
+
+      expect(response.resumed).toBe(true);
+      const missed = await missedPromise;
+      expect(missed.message).toBe('Are you still there?');
+      await reconnectedPromise;
+    });
+
+    it('should not resume after an explicit disconnect', async () => {
+      const { resumeToken } = await authenticate(clientSocket, { token: authToken });
+      await joinRoom(clientSocket, testUser._id);
+
+      clientSocket.disconnect();
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      resumedSocket = await connectClient();
+      const response = await authenticate(resumedSocket, { token: authToken, resumeToken });
+
+      expect(response.resumed).toBe(false);
+    });
+  });
+
+  describe('Binary Encoding', () => {
+    it('should negotiate binary movement and snapshots', async () => {
+      const response = await new Promise((resolve) => {
+        clientSocket.emit('authenticate', { token: authToken, encodings: ['binary', 'json'] }, resolve);
+      });
+      expect(response.encoding).toBe('binary');
+
+      const roomStatePromise = waitForEvent(clientSocket, 'roomState');
+      clientSocket.emit('joinRoom', testRoom._id);
+      const roomState = decode('roomState', await roomStatePromise);
+
+      const { position: start } = roomState.participants.find(
+        p => p.user._id.toString() === testUser._id.toString()
+      );
+      expect(start).toEqual({ x: expect.any(Number), y: expect.any(Number) });
+
+      const ackPromise = waitForEvent(clientSocket, 'moveAck');
+      clientSocket.emit('userMove', encode('userMove', {
+        position: { x: start.x + (start.x > 400 ? -5 : 5), y: start.y },
+        seq: 11
+      }));
+
+      expect(await ackPromise).toMatchObject({ ack: 11 });
+    });
+
+    it('should fall back to JSON when binary is not offered', async () => {
+      const response = await new Promise((resolve) => {
+        clientSocket.emit('authenticate', { token: authToken }, resolve);
+      });
+      expect(response.encoding).toBe('json');
+
+      const roomStatePromise = waitForEvent(clientSocket, 'roomState');
+      clientSocket.emit('joinRoom', testRoom._id);
+      const roomState = await roomStatePromise;
+
+      expect(roomState.positions).toBeUndefined();
+      expect(roomState.participants[0].position).toEqual(expect.any(Object));
+    });
+  });
+
+  describe('Waitlist', () => {
+    let hostSocket;
+    let waiterSocket;
+
+    const connectClient = () => new Promise((resolve, reject) => {
+      const socket = new Client(serverUrl, {
+        transports: ['websocket'],
+        autoConnect: false,
+        reconnection: false
+      });
+      socket.once('connect', () => resolve(socket));
+      socket.once('connect_error', reject);
+      socket.connect();
+    });
+
+    const connectAs = async (username) => {
+      const user = await User.create({
+        username,
+        email: `${username}@example.com`,
+        password: 'password123'
+      });
+      const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      const socket = await connectClient();
+      await new Promise((resolve, reject) => {
+        socket.emit('authenticate', { token }, (response) => {
+          if (response.error) {
+            reject(new Error(response.error));
+          } else {
+            resolve(response);
+          }
+        });
+      });
+      return { user, socket };
+    };
+
+    afterEach(() => {
+      [hostSocket, waiterSocket].forEach(socket => {
+        if (socket?.connected) socket.disconnect();
+      });
+    });
+
+    it('should queue users for a full room and offer them a freed place', async () => {
+      const host = await connectAs('host');
+      const waiter = await connectAs('waiter');
+      hostSocket = host.socket;
+      waiterSocket = waiter.socket;
+
+      const fullRoom = await Room.create({
+        name: 'Tiny Room',
+        createdBy: host.user._id,
+        settings: { maxParticipants: 1 }
+      });
+      const roomId = fullRoom._id.toString();
+
+      hostSocket.emit('joinRoom', roomId);
+      await waitForEvent(hostSocket, 'roomState');
+
+      const errorPromise = waitForEvent(waiterSocket, 'error');
+      waiterSocket.emit('joinRoom', roomId);
+      expect(await errorPromise).toMatchObject({ message: 'Room is full', roomId });
+
+      const queued = await new Promise((resolve) => {
+        waiterSocket.emit('joinWaitlist', roomId, resolve);
+      });
+      expect(queued).toMatchObject({ success: true, full: true, position: 1, size: 1 });
+
+      // The host leaving frees the place, which is held for the waiter
+      const offerPromise = waitForEvent(waiterSocket, 'waitlistOffer');
+      hostSocket.disconnect();
+      const offer = await offerPromise;
+      expect(offer.roomId).toBe(roomId);
+
+      const roomStatePromise = waitForEvent(waiterSocket, 'roomState');
+      waiterSocket.emit('joinRoom', roomId);
+      expect((await roomStatePromise)._id).toBe(roomId);
+    });
+
+    it('should not let REST joins take a place held for the waitlist', async () => {
+      const host = await connectAs('host');
+      const waiter = await connectAs('waiter');
+      hostSocket = host.socket;
+      waiterSocket = waiter.socket;
+
+      const fullRoom = await Room.create({
+        name: 'Tiny Room',
+        createdBy: host.user._id,
+        settings: { maxParticipants: 1 }
+      });
+      const roomId = fullRoom._id.toString();
+
+      hostSocket.emit('joinRoom', roomId);
+      await waitForEvent(hostSocket, 'roomState');
+      await new Promise((resolve) => {
+        waiterSocket.emit('joinWaitlist', roomId, resolve);
+      });
+
+      const offerPromise = waitForEvent(waiterSocket, 'waitlistOffer');
+      hostSocket.disconnect();
+      await offerPromise;
+
+      const response = await request(app)
+        .post(`/api/rooms/${roomId}/join`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Room is full');
+    });
+
+    it('should keep users banned while queued out of the room', async () => {
+      const host = await connectAs('host');
+      const waiter = await connectAs('waiter');
+      hostSocket = host.socket;
+      waiterSocket = waiter.socket;
+
+      const fullRoom = await Room.create({
+        name: 'Tiny Room',
+        createdBy: host.user._id,
+        settings: { maxParticipants: 1 }
+      });
+      const roomId = fullRoom._id.toString();
+
+      hostSocket.emit('joinRoom', roomId);
+      await waitForEvent(hostSocket, 'roomState');
+
+      await new Promise((resolve) => {
+        waiterSocket.emit('joinWaitlist', roomId, resolve);
+      });
+      await Room.updateOne({ _id: roomId }, { bans: [{ user: waiter.user._id }] });
+
+      const offerPromise = waitForEvent(waiterSocket, 'waitlistOffer');
+      hostSocket.disconnect();
+      await offerPromise;
+
+      const errorPromise = waitForEvent(waiterSocket, 'error');
+      waiterSocket.emit('joinRoom', roomId);
+      expect(await errorPromise).toMatchObject({ message: 'You are banned from this room', roomId });
+    });
+
+    it('should only count an invite once the user is let in', async () => {
+      const host = await connectAs('host');
+      const waiter = await connectAs('waiter');
+      hostSocket = host.socket;
+      waiterSocket = waiter.socket;
+
+      const fullRoom = await Room.create({
+        name: 'Tiny Hideout',
+        isPrivate: true,
+        password: 'secret',
+        createdBy: host.user._id,
+        settings: { maxParticipants: 1 }
+      });
+      const roomId = fullRoom._id.toString();
+      const { invite, token } = await createInvite(fullRoom._id, host.user._id, { maxUses: 1 });
+
+      hostSocket.emit('joinRoom', roomId);
+      await waitForEvent(hostSocket, 'roomState');
+
+      const errorPromise = waitForEvent(waiterSocket, 'error');
+      waiterSocket.emit('joinRoom', { roomId, invite: token });
+      expect(await errorPromise).toMatchObject({ message: 'Room is full' });
+
+      const queued = await new Promise((resolve) => {
+        waiterSocket.emit('joinWaitlist', { roomId, invite: token }, resolve);
+      });
+      expect(queued).toMatchObject({ success: true, full: true });
+      expect((await RoomInvite.findById(invite._id)).uses).toBe(0);
+
+      const offerPromise = waitForEvent(waiterSocket, 'waitlistOffer');
+      hostSocket.disconnect();
+      await offerPromise;
+
+      const roomStatePromise = waitForEvent(waiterSocket, 'roomState');
+      waiterSocket.emit('joinRoom', roomId);
+      await roomStatePromise;
+
+      // The use is counted just after the room state is sent
+      await new Promise(resolve => setTimeout(resolve, 200));
+      expect((await RoomInvite.findById(invite._id)).uses).toBe(1);
+    });
+  });
+
   describe('WebRTC Signaling', () => {
     let otherSocket;
     let otherUser;
@@ -373,7 +1179,7 @@ describe('Socket.IO', () => {
         { expiresIn: '7d' }
       );
 
-      otherSocket = new Client('http://localhost:5000', {
+      otherSocket = new Client(serverUrl, {
         transports: ['websocket'],
         autoConnect: false,
         reconnection: false
@@ -401,6 +1207,13 @@ describe('Socket.IO', () => {
           }
         });
       });
+
+      // Calls only go between users in the same room
+      for (const socket of [clientSocket, otherSocket]) {
+        const roomStatePromise = waitForEvent(socket, 'roomState');
+        socket.emit('joinRoom', testRoom._id.toString());
+        await roomStatePromise;
+      }
     });
 
     afterEach(() => {
@@ -430,6 +1243,32 @@ describe('Socket.IO', () => {
         }
       });
     });
+
+    it('should not relay signals to users in another room', async () => {
+      const otherRoom = await Room.create({ name: 'Other Room', createdBy: otherUser._id });
+      const roomStatePromise = waitForEvent(otherSocket, 'roomState');
+      otherSocket.emit('joinRoom', otherRoom._id.toString());
+      await roomStatePromise;
+
+      const errorPromise = waitForEvent(clientSocket, 'error');
+      clientSocket.emit('signal', {
+        to: otherSocket.id,
+        signal: { type: 'offer', sdp: 'test-sdp' }
+      });
+
+      expect(await errorPromise).toMatchObject({ message: 'User is not in your room' });
+    });
+
+    it('should not relay signals from banned users', async () => {
+      await Room.updateOne({ _id: testRoom._id }, { bans: [{ user: testUser._id }] });
+
+      const errorPromise = waitForEvent(clientSocket, 'error');
+      clientSocket.emit('signal', {
+        to: otherSocket.id,
+        signal: { type: 'offer', sdp: 'test-sdp' }
+      });
+
+      expect(await errorPromise).toMatchObject({ message: 'You are banned from this room' });
+    });
   });
-}); 
-}); 
\ No newline at end of file
+});
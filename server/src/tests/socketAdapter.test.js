@@ -0,0 +1,99 @@
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: Client } = require('socket.io-client');
+const { createAdapter, createMemoryBus } = require('../utils/socketAdapter');
+const { ownerOf } = require('../utils/sharding');
+
+// Helper function to start a Socket.IO server on a random port
+const startServer = (bus) => new Promise((resolve) => {
+  const httpServer = http.createServer();
+  const io = new Server(httpServer, {
+    transports: ['websocket'],
+    adapter: createAdapter('memory', { bus })
+  });
+  httpServer.listen(0, () => resolve({ io, httpServer, port: httpServer.address().port }));
+});
+
+const connectClient = (port) => new Promise((resolve, reject) => {
+  const socket = new Client(`http://localhost:${port}`, {
+    transports: ['websocket'],
+    reconnection: false
+  });
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+const waitForEvent = (socket, event, timeout = 5000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timeout waiting for ${event} event`)), timeout);
+  socket.once(event, (data) => {
+    clearTimeout(timer);
+    resolve(data);
+  });
+});
+
+describe('Socket adapter', () => {
+  let workers;
+  let clients;
+
+  beforeEach(async () => {
+    const bus = createMemoryBus();
+    workers = [await startServer(bus), await startServer(bus)];
+    clients = [];
+
+    // Let the adapters discover each other through their heartbeats
+    await new Promise(resolve => setTimeout(resolve, 100));
+  });
+
+  afterEach(async () => {
+    clients.forEach(socket => socket.disconnect());
+    await Promise.all(workers.map(({ io }) => new Promise(resolve => io.close(resolve))));
+  });
+
+  it('should deliver room broadcasts to sockets on other workers', async () => {
+    workers[1].io.on('connection', socket => socket.join('room1'));
+    const client = await connectClient(workers[1].port);
+    clients.push(client);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const received = waitForEvent(client, 'newMessage');
+    workers[0].io.to('room1').emit('newMessage', { message: 'hello' });
+
+    expect(await received).toEqual({ message: 'hello' });
+  });
+
+  it('should deliver emits addressed to a socket id on another worker', async () => {
+    const client = await connectClient(workers[1].port);
+    clients.push(client);
+
+    const received = waitForEvent(client, 'signal');
+    workers[0].io.to(client.id).emit('signal', { signal: 'offer' });
+
+    expect(await received).toEqual({ signal: 'offer' });
+  });
+
+  it('should collect server-side acknowledgements from other workers', async () => {
+    workers[1].io.on('roomCommand', (name, payload, callback) => {
+      callback({ result: { name, roomId: payload.roomId } });
+    });
+
+    const responses = await workers[0].io.serverSideEmitWithAck('roomCommand', 'join', { roomId: 'room1' });
+
+    expect(responses).toEqual([{ result: { name: 'join', roomId: 'room1' } }]);
+  });
+});
+
+describe('Room sharding', () => {
+  it('should map a room to the same worker every time', () => {
+    const roomId = '64b7f0c2a1b2c3d4e5f60718';
+    expect(ownerOf(roomId, 4)).toBe(ownerOf(roomId, 4));
+    expect(ownerOf(roomId, 1)).toBe(0);
+  });
+
+  it('should spread rooms across workers', () => {
+    const owners = new Set();
+    for (let i = 0; i < 50; i++) {
+      owners.add(ownerOf(`room-${i}`, 4));
+    }
+    expect(owners).toEqual(new Set([0, 1, 2, 3]));
+  });
+});
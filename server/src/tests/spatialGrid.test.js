@@ -0,0 +1,53 @@
+const SpatialGrid = require('../utils/spatialGrid');
+
+describe('SpatialGrid', () => {
+  let grid;
+
+  beforeEach(() => {
+    grid = new SpatialGrid(100);
+  });
+
+  it('should insert entries into cells by position', () => {
+    grid.insert('a', { x: 50, y: 50 });
+    grid.insert('b', { x: 150, y: 50 });
+
+    expect(grid.size).toBe(2);
+    expect(grid.cellOf({ x: 150, y: 50 })).toEqual({ cellX: 1, cellY: 0 });
+    expect(grid.getPosition('b')).toEqual({ x: 150, y: 50 });
+  });
+
+  it('should report when an update crosses a cell boundary', () => {
+    grid.insert('a', { x: 50, y: 50 });
+
+    expect(grid.update('a', { x: 90, y: 50 })).toEqual({ changed: false });
+    expect(grid.update('a', { x: 110, y: 50 })).toEqual({ changed: true });
+    expect(grid.getPosition('a')).toEqual({ x: 110, y: 50 });
+  });
+
+  it('should return neighbours within the cell range', () => {
+    grid.insert('a', { x: 50, y: 50 });
+    grid.insert('b', { x: 150, y: 150 });
+    grid.insert('c', { x: 250, y: 50 });
+    grid.insert('d', { x: 60, y: 60 });
+
+    expect([...grid.getNeighbors('a')].sort()).toEqual(['b', 'd']);
+    expect([...grid.getNeighbors('a', 2)].sort()).toEqual(['b', 'c', 'd']);
+  });
+
+  it('should remove entries and empty cells', () => {
+    grid.insert('a', { x: 50, y: 50 });
+    grid.insert('b', { x: 60, y: 60 });
+
+    expect(grid.remove('a')).toBe(true);
+    expect(grid.remove('a')).toBe(false);
+    expect(grid.has('a')).toBe(false);
+    expect([...grid.getNeighbors('b')]).toEqual([]);
+
+    grid.remove('b');
+    expect(grid.cells.size).toBe(0);
+  });
+
+  it('should return an empty set for unknown entries', () => {
+    expect(grid.getNeighbors('missing').size).toBe(0);
+  });
+});
@@ -0,0 +1,68 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+} = require('../utils/totp');
+
+// Secret from the RFC 6238 test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  describe('base32', () => {
+    it('should round-trip bytes', () => {
+      const bytes = Buffer.from('hello world');
+
+      expect(base32Encode(bytes)).toBe('NBSWY3DPEB3W64TMMQ');
+      expect(base32Decode('NBSWY3DPEB3W64TMMQ')).toEqual(bytes);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 secret');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(generateCode(RFC_SECRET, Math.floor(59 / 30), 8)).toBe('94287082');
+      expect(generateCode(RFC_SECRET, Math.floor(1111111109 / 30), 8)).toBe('07081804');
+      expect(generateCode(RFC_SECRET, Math.floor(1234567890 / 30), 8)).toBe('89005924');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1111111109 * 1000;
+
+    it('should accept the current code and return its step', () => {
+      const step = Math.floor(now / 30000);
+
+      expect(verifyCode(RFC_SECRET, '081804', { now })).toBe(step);
+    });
+
+    it('should allow one step of clock drift', () => {
+      const previous = generateCode(RFC_SECRET, Math.floor(now / 30000) - 1);
+      const tooOld = generateCode(RFC_SECRET, Math.floor(now / 30000) - 2);
+
+      expect(verifyCode(RFC_SECRET, previous, { now })).not.toBeNull();
+      expect(verifyCode(RFC_SECRET, tooOld, { now })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyCode(RFC_SECRET, '12345', { now })).toBeNull();
+      expect(verifyCode(RFC_SECRET, 'abcdef', { now })).toBeNull();
+      expect(verifyCode(RFC_SECRET, undefined, { now })).toBeNull();
+    });
+  });
+
+  it('should generate 160-bit secrets', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'test@example.com', issuer: 'Metaverse' });
+
+    expect(uri).toBe('otpauth://totp/Metaverse%3Atest%40example.com?secret=ABC&issuer=Metaverse&algorithm=SHA1&digits=6&period=30');
+  });
+});
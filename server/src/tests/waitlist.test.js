@@ -0,0 +1,52 @@
+const Waitlist = require('../utils/waitlist');
+
+const entry = (userId) => ({ userId, username: userId, socketId: `socket-${userId}` });
+
+describe('Waitlist', () => {
+  it('should queue users in arrival order', () => {
+    const waitlist = new Waitlist();
+
+    expect(waitlist.add(entry('alice'))).toBe(1);
+    expect(waitlist.add(entry('bob'))).toBe(2);
+    expect(waitlist.position('bob')).toBe(2);
+    expect(waitlist.position('carol')).toBeNull();
+  });
+
+  it('should keep a place when the same user queues again', () => {
+    const waitlist = new Waitlist();
+    waitlist.add(entry('alice'));
+    waitlist.add(entry('bob'));
+
+    expect(waitlist.add({ ...entry('alice'), socketId: 'new-socket' })).toBe(1);
+    expect(waitlist.size).toBe(2);
+    expect(waitlist.queue[0].socketId).toBe('new-socket');
+  });
+
+  it('should offer the front of the queue a held place', () => {
+    const waitlist = new Waitlist();
+    waitlist.add(entry('alice'));
+    waitlist.add(entry('bob'));
+
+    const offer = waitlist.offerNext(new Date());
+    expect(offer.userId).toBe('alice');
+    expect(waitlist.reserved).toBe(1);
+    expect(waitlist.position('alice')).toBe(0);
+    expect(waitlist.position('bob')).toBe(1);
+
+    expect(waitlist.takeOffer('alice').userId).toBe('alice');
+    expect(waitlist.takeOffer('alice')).toBeNull();
+    expect(waitlist.reserved).toBe(0);
+  });
+
+  it('should remove users from the queue or their offer', () => {
+    const waitlist = new Waitlist();
+    waitlist.add(entry('alice'));
+    waitlist.add(entry('bob'));
+    waitlist.offerNext(new Date());
+
+    expect(waitlist.remove('alice')).toBe('offered');
+    expect(waitlist.remove('bob')).toBe('queued');
+    expect(waitlist.remove('bob')).toBeNull();
+    expect(waitlist.isEmpty).toBe(true);
+  });
+});
@@ -0,0 +1,178 @@
+// Personal data export and account deletion, run by utils/accountJobs
+const User = require('../models/UserModel');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ChatMessage = require('../models/ChatMessage');
+const LoginAttempt = require('../models/LoginAttempt');
+const Room = require('../models/Room');
+const ApiKey = require('../models/ApiKey');
+const RoomInvite = require('../models/RoomInvite');
+const ModerationLog = require('../models/ModerationLog');
+const { disconnectSession } = require('./sessions');
+const { disconnectApiKey } = require('./apiKeys');
+const { removeAvatarFiles } = require('./avatars');
+const { transferOwnership } = require('./ownership');
+
+// Collect everything stored about a user into one JSON-ready object
+const buildAccountExport = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const [messages, rooms, sessions, apiKeys] = await Promise.all([
+    ChatMessage.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Room.find({ createdBy: userId }).lean(),
+    Session.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    ApiKey.find({ user: userId }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      isGuest: user.isGuest,
+      role: user.role,
+      avatar: user.avatar,
+      avatarThumbnail: user.avatarThumbnail,
+      twoFactorEnabled: user.twoFactor?.enabled || false,
+      currentRoom: user.currentRoom,
+      lastSeen: user.lastSeen,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    messages: messages.map(message => ({
+      _id: message._id,
+      room: message.room,
+      message: message.message,
+      type: message.type,
+      createdAt: message.createdAt
+    })),
+    roomsCreated: rooms.map(room => ({
+      _id: room._id,
+      name: room.name,
+      description: room.description,
+      isPrivate: room.isPrivate,
+      settings: room.settings,
+      createdAt: room.createdAt
+    })),
+    sessions: sessions.map(session => ({
+      _id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      revokedAt: session.revokedAt
+    })),
+    apiKeys: apiKeys.map(apiKey => ({
+      _id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      createdAt: apiKey.createdAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp,
+      revokedAt: apiKey.revokedAt
+    }))
+  };
+};
+
+// Give each of the user's rooms to its longest-serving co-host, or delete the
+// room when it has none
+const releaseOwnedRooms = async (userId, io) => {
+  const rooms = await Room.find({ createdBy: userId });
+  let transferred = 0;
+  let deleted = 0;
+
+  for (const room of rooms) {
+    const roomId = room._id.toString();
+    const [heir] = [...room.coHosts].sort((a, b) => a.addedAt - b.addedAt);
+
+    if (heir) {
+      await transferOwnership(room, heir.user, { keepPreviousOwner: false, io });
+      transferred++;
+    } else {
+      await ChatMessage.deleteMany({ room: room._id });
+      await RoomInvite.deleteMany({ room: room._id });
+      await ModerationLog.deleteMany({ room: room._id });
+      await User.updateMany({ currentRoom: roomId }, { currentRoom: 'lobby' });
+      await room.deleteOne();
+      deleted++;
+    }
+  }
+
+  return { transferred, deleted };
+};
+
+// Remove a user and their personal data. Chat messages are deleted or kept
+// without an author depending on the messages option.
+const deleteAccountData = async (userId, { messages = 'anonymize', io } = {}) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  // Drop live connections first so nothing new is written for the user
+  const sessions = await Session.find({ user: userId }).select('_id');
+  sessions.forEach(session => disconnectSession(io, session._id, 'Account deleted'));
+  await Session.deleteMany({ user: userId });
+  await RefreshToken.deleteMany({ user: userId });
+
+  const apiKeys = await ApiKey.find({ user: userId }).select('_id');
+  apiKeys.forEach(apiKey => disconnectApiKey(io, apiKey._id, 'Account deleted'));
+  await ApiKey.deleteMany({ user: userId });
+
+  // Invites the user made stop working along with their account
+  await RoomInvite.deleteMany({ $or: [{ invitedUser: userId }, { createdBy: userId }] });
+
+  // Moderation history is kept for the rooms, without the user in it
+  await ModerationLog.updateMany(
+    { user: userId },
+    { $unset: { user: 1 }, $set: { anonymized: true } }
+  );
+  await ModerationLog.updateMany(
+    { moderator: userId },
+    { $unset: { moderator: 1 }, $set: { anonymized: true } }
+  );
+
+  if (messages === 'delete') {
+    await ChatMessage.deleteMany({ user: userId });
+  } else {
+    await ChatMessage.updateMany(
+      { user: userId },
+      { $unset: { user: 1 }, $set: { anonymized: true } }
+    );
+  }
+
+  const rooms = await releaseOwnedRooms(userId, io);
+  await Room.updateMany(
+    { 'participants.user': userId },
+    { $pull: { participants: { user: userId } } }
+  );
+  await Room.updateMany(
+    { 'coHosts.user': userId },
+    { $pull: { coHosts: { user: userId } } }
+  );
+  await Room.updateMany(
+    { $or: [{ 'bans.user': userId }, { 'mutes.user': userId }] },
+    { $pull: { bans: { user: userId }, mutes: { user: userId } } }
+  );
+
+  if (user.email) {
+    await LoginAttempt.deleteMany({ key: `login:account:${user.email}` });
+  }
+  await removeAvatarFiles([user.avatar, user.avatarThumbnail]);
+  await user.deleteOne();
+
+  return { rooms };
+};
+
+module.exports = {
+  buildAccountExport,
+  releaseOwnedRooms,
+  deleteAccountData
+};
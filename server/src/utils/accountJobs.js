@@ -0,0 +1,164 @@
+// Queue for account exports and deletions. Jobs are stored in MongoDB so they
+// survive restarts, and one process works through them in order.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const AccountJob = require('../models/AccountJob');
+const { buildAccountExport, deleteAccountData } = require('./accountData');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '../../exports');
+const JOB_POLL_INTERVAL = 5000;
+
+// Finished jobs, and the export files with them, are kept this long
+const JOB_RETENTION = (Number(process.env.ACCOUNT_JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+const hashStatusToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Queue a job; the status token is only returned here
+const createJob = async (userId, type, options = {}) => {
+  const statusToken = crypto.randomBytes(24).toString('hex');
+  const job = await AccountJob.create({
+    user: userId,
+    type,
+    ...options,
+    statusTokenHash: hashStatusToken(statusToken)
+  });
+
+  return { job, statusToken };
+};
+
+const findActiveJob = (userId, type) => AccountJob.findOne({
+  user: userId,
+  type,
+  status: { $in: ['pending', 'running'] }
+});
+
+// Look up a job by id and status token
+const findJobByStatusToken = async (jobId, statusToken) => {
+  if (!statusToken) return null;
+
+  const job = await AccountJob.findById(jobId).select('+statusTokenHash');
+  if (!job) return null;
+
+  const expected = Buffer.from(job.statusTokenHash);
+  const given = Buffer.from(hashStatusToken(statusToken));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+  return job;
+};
+
+// Helper function to write an export to its own file
+const writeExport = async (job) => {
+  const data = await buildAccountExport(job.user);
+
+  await fs.mkdir(EXPORT_DIR, { recursive: true });
+  const filePath = path.join(EXPORT_DIR, `${job._id}.json`);
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  return filePath;
+};
+
+// Helper function to remove a job's export file if it has one
+const removeExportFile = async (filePath) => {
+  if (!filePath) return;
+
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error removing export file:', error);
+    }
+  }
+};
+
+const runJob = async (job, io) => {
+  try {
+    if (job.type === 'export') {
+      job.filePath = await writeExport(job);
+    } else {
+      // Exports of an account that is about to go should not outlive it
+      const exports = await AccountJob.find({ user: job.user, type: 'export' }).select('+filePath');
+      for (const exportJob of exports) {
+        await removeExportFile(exportJob.filePath);
+        await exportJob.deleteOne();
+      }
+
+      await deleteAccountData(job.user, { messages: job.messages, io });
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error(`Account ${job.type} job ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date();
+  job.expiresAt = new Date(Date.now() + JOB_RETENTION);
+  await job.save();
+  return job;
+};
+
+// Claim the oldest pending job so that only one worker runs it
+const claimNextJob = () => AccountJob.findOneAndUpdate(
+  { status: 'pending' },
+  { status: 'running', startedAt: new Date() },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+// Remove finished jobs past their retention along with their export files
+const removeExpiredJobs = async (now = new Date()) => {
+  const jobs = await AccountJob.find({ expiresAt: { $lt: now } }).select('+filePath');
+  for (const job of jobs) {
+    await removeExportFile(job.filePath);
+    await job.deleteOne();
+  }
+  return jobs.length;
+};
+
+// Run every pending job, oldest first
+const processJobs = async (io) => {
+  let processed = 0;
+  let job;
+  while ((job = await claimNextJob())) {
+    await runJob(job, io);
+    processed++;
+  }
+  return processed;
+};
+
+// Poll for jobs. Jobs left running by a process that stopped are run again.
+const startAccountJobs = (io, interval = JOB_POLL_INTERVAL) => {
+  let busy = false;
+
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await processJobs(io);
+      await removeExpiredJobs();
+    } catch (error) {
+      console.error('Error processing account jobs:', error);
+    } finally {
+      busy = false;
+    }
+  };
+
+  AccountJob.updateMany({ status: 'running' }, { status: 'pending' })
+    .catch(error => console.error('Error requeueing account jobs:', error));
+
+  const timer = setInterval(tick, interval);
+  timer.unref?.();
+  return timer;
+};
+
+module.exports = {
+  EXPORT_DIR,
+  createJob,
+  findActiveJob,
+  findJobByStatusToken,
+  runJob,
+  processJobs,
+  removeExpiredJobs,
+  startAccountJobs
+};
@@ -0,0 +1,95 @@
+// Personal API keys: scoped, revocable credentials accepted by the auth
+// middleware and the socket authenticate event in place of an access token
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/UserModel');
+
+const API_KEY_PREFIX = 'mvk_';
+const API_KEY_SCOPES = ['rooms:read', 'chat:write', 'presence'];
+const MAX_API_KEYS = 20;
+
+// Only record use of a key this often, so every request is not a write
+const TOUCH_INTERVAL = 60 * 1000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+// Socket.IO room holding every socket authenticated with a key
+const apiKeyChannel = (keyId) => `apiKey:${keyId}`;
+
+// Mint a key for a user; the key itself is only returned here
+const createApiKey = async (userId, { name, scopes, expiresAt = null }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key)
+  });
+
+  return { apiKey, key };
+};
+
+// Record that a key was used, at most once per TOUCH_INTERVAL
+const touchApiKey = (keyId, ip) => {
+  const now = new Date();
+  return ApiKey.updateOne(
+    {
+      _id: keyId,
+      $or: [
+        { lastUsedAt: null },
+        { lastUsedAt: { $lt: new Date(now.getTime() - TOUCH_INTERVAL) } }
+      ]
+    },
+    { lastUsedAt: now, lastUsedIp: ip || null }
+  );
+};
+
+// Find the key and its owner, throwing if it cannot be used
+const verifyApiKey = async (key, { ip } = {}) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+  if (!apiKey) {
+    throw new Error('Invalid API key');
+  }
+  if (apiKey.revokedAt) {
+    throw new Error('API key has been revoked');
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    throw new Error('API key has expired');
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user) {
+    throw new Error('Invalid API key');
+  }
+
+  touchApiKey(apiKey._id, ip).catch(error => {
+    console.error('Error updating API key usage:', error);
+  });
+
+  return { apiKey, user };
+};
+
+const hasScope = (apiKey, scope) => !scope || apiKey.scopes.includes(scope);
+
+// Tell a key's live sockets why and drop them, on whichever worker they are
+const disconnectApiKey = (io, keyId, reason = 'API key revoked') => {
+  if (!io) return;
+  const channel = apiKeyChannel(keyId);
+  io.to(channel).emit('apiKeyRevoked', { keyId: keyId.toString(), reason });
+  io.in(channel).disconnectSockets(true);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_API_KEYS,
+  isApiKey,
+  apiKeyChannel,
+  createApiKey,
+  verifyApiKey,
+  hasScope,
+  disconnectApiKey
+};
@@ -0,0 +1,183 @@
+// Failed attempt tracking for brute-force protection. An AttemptLimiter turns
+// failure counts into an exponential backoff and, past a limit, a temporary
+// lockout. Counters live in a store: any object with get, increment, lock and
+// reset, like the two below.
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Process-local store; counters are lost on restart and not shared by workers
+class MemoryAttemptStore {
+  constructor({ sweepInterval = 60 * 1000 } = {}) {
+    this.records = new Map(); // key -> { failures, lastFailureAt, lockedUntil, expiresAt }
+
+    this.sweepTimer = setInterval(() => this.sweep(), sweepInterval);
+    this.sweepTimer.unref?.();
+  }
+
+  async get(key, now = Date.now()) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    if (record.expiresAt <= now) {
+      this.records.delete(key);
+      return null;
+    }
+    return { ...record };
+  }
+
+  async increment(key, { now = Date.now(), expiresAt }) {
+    const current = await this.get(key, now);
+    const record = {
+      failures: (current?.failures || 0) + 1,
+      lastFailureAt: now,
+      lockedUntil: current?.lockedUntil || null,
+      expiresAt: Math.max(expiresAt, current?.expiresAt || 0)
+    };
+    this.records.set(key, record);
+    return { ...record };
+  }
+
+  async lock(key, { lockedUntil, expiresAt }) {
+    const record = this.records.get(key);
+    if (!record) return;
+    record.lockedUntil = lockedUntil;
+    record.expiresAt = Math.max(expiresAt, record.expiresAt);
+  }
+
+  async reset(key) {
+    this.records.delete(key);
+  }
+
+  sweep(now = Date.now()) {
+    this.records.forEach((record, key) => {
+      if (record.expiresAt <= now) this.records.delete(key);
+    });
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+// Converts a LoginAttempt document into the plain record limiters work with
+const toRecord = (doc) => doc && {
+  failures: doc.failures,
+  lastFailureAt: doc.lastFailureAt?.getTime() || 0,
+  lockedUntil: doc.lockedUntil?.getTime() || null,
+  expiresAt: doc.expiresAt.getTime()
+};
+
+// Shared store backed by MongoDB; works across workers and restarts
+class MongoAttemptStore {
+  async get(key, now = Date.now()) {
+    const doc = await LoginAttempt.findOne({ key, expiresAt: { $gt: new Date(now) } });
+    return toRecord(doc);
+  }
+
+  async increment(key, { now = Date.now(), expiresAt }) {
+    // The TTL monitor runs about once a minute, so clear an expired counter first
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date(now) } });
+
+    const doc = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: new Date(now) },
+        $max: { expiresAt: new Date(expiresAt) }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return toRecord(doc);
+  }
+
+  async lock(key, { lockedUntil, expiresAt }) {
+    await LoginAttempt.updateOne(
+      { key },
+      {
+        $set: { lockedUntil: new Date(lockedUntil) },
+        $max: { expiresAt: new Date(expiresAt) }
+      }
+    );
+  }
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+}
+
+class AttemptLimiter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.freeAttempts = options.freeAttempts ?? 3; // failures allowed before backoff starts
+    this.baseDelay = options.baseDelay ?? 1000; // ms, doubled for each further failure
+    this.maxDelay = options.maxDelay ?? 60 * 1000;
+    this.lockoutAfter = options.lockoutAfter ?? 10; // failures before a lockout
+    this.lockoutDuration = options.lockoutDuration ?? 15 * 60 * 1000;
+    this.window = options.window ?? 15 * 60 * 1000; // counters reset this long after the last failure
+  }
+
+  delayFor(failures) {
+    if (failures < this.freeAttempts) return 0;
+    return Math.min(this.maxDelay, this.baseDelay * 2 ** (failures - this.freeAttempts));
+  }
+
+  // Returns null if an attempt may go ahead, otherwise why not and how many
+  // seconds until it may
+  async check(key, now = Date.now()) {
+    const record = await this.store.get(key, now);
+    if (!record) return null;
+
+    if (record.lockedUntil && record.lockedUntil > now) {
+      return { reason: 'locked', retryAfter: Math.ceil((record.lockedUntil - now) / 1000) };
+    }
+
+    const readyAt = record.lastFailureAt + this.delayFor(record.failures);
+    if (readyAt > now) {
+      return { reason: 'throttled', retryAfter: Math.ceil((readyAt - now) / 1000) };
+    }
+
+    return null;
+  }
+
+  async fail(key, now = Date.now()) {
+    const record = await this.store.increment(key, { now, expiresAt: now + this.window });
+
+    if (record.failures >= this.lockoutAfter) {
+      const lockedUntil = now + this.lockoutDuration;
+      await this.store.lock(key, { lockedUntil, expiresAt: lockedUntil + this.window });
+      return { ...record, lockedUntil };
+    }
+    return record;
+  }
+
+  reset(key) {
+    return this.store.reset(key);
+  }
+}
+
+// Helper function to check several limiters at once, returning the longest wait
+const checkAttempts = async (checks, now = Date.now()) => {
+  const blocks = await Promise.all(checks.map(([limiter, key]) => limiter.check(key, now)));
+
+  return blocks
+    .filter(Boolean)
+    .sort((a, b) => b.retryAfter - a.retryAfter)[0] || null;
+};
+
+// Pick a store from ATTEMPT_STORE: 'memory', or MongoDB by default
+const createAttemptStore = (type = process.env.ATTEMPT_STORE) => {
+  switch (type) {
+    case 'memory':
+      return new MemoryAttemptStore();
+    case 'mongo':
+    default:
+      return new MongoAttemptStore();
+  }
+};
+
+module.exports = {
+  MemoryAttemptStore,
+  MongoAttemptStore,
+  AttemptLimiter,
+  checkAttempts,
+  createAttemptStore
+};
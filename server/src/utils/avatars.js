@@ -0,0 +1,121 @@
+// Avatar uploads: accept a PNG or JPEG, check it, and store a square avatar
+// plus a small thumbnail under AVATAR_UPLOAD_DIR, served at AVATAR_URL_PREFIX.
+const fs = require('fs/promises');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const AVATAR_DIR = process.env.AVATAR_UPLOAD_DIR || path.join(__dirname, '../../uploads/avatars');
+const AVATAR_URL_PREFIX = '/uploads/avatars';
+
+const MAX_AVATAR_BYTES = Number(process.env.MAX_AVATAR_BYTES) || 2 * 1024 * 1024;
+const MIN_DIMENSION = 64;
+const MAX_DIMENSION = 4096;
+const AVATAR_SIZE = 256;
+const THUMBNAIL_SIZE = 64;
+
+const ALLOWED_MIME_TYPES = ['image/png', 'image/jpeg'];
+const ALLOWED_FORMATS = ['png', 'jpeg'];
+const INVALID_FORMAT = 'Avatar must be a PNG or JPEG image';
+
+// Keep the upload in memory; it is only written once it has been checked
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AVATAR_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      callback(null, true);
+    } else {
+      callback(new Error(INVALID_FORMAT));
+    }
+  }
+}).single('avatar');
+
+// Read the multipart "avatar" field into req.file, with readable errors
+const receiveAvatar = (req, res) => new Promise((resolve, reject) => {
+  upload(req, res, (error) => {
+    if (!error) return resolve(req.file);
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return reject(new Error(`Avatar must be at most ${MAX_AVATAR_BYTES / (1024 * 1024)} MB`));
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return reject(new Error('Upload the image in the "avatar" field'));
+    }
+    reject(error);
+  });
+});
+
+// Check the image itself, since the declared type can be anything, and render
+// the avatar and thumbnail as PNG
+const processAvatar = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new Error(INVALID_FORMAT);
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new Error(INVALID_FORMAT);
+  }
+
+  const { width, height } = metadata;
+  if (width < MIN_DIMENSION || height < MIN_DIMENSION) {
+    throw new Error(`Avatar must be at least ${MIN_DIMENSION}x${MIN_DIMENSION} pixels`);
+  }
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(`Avatar must be at most ${MAX_DIMENSION}x${MAX_DIMENSION} pixels`);
+  }
+
+  // rotate() applies the EXIF orientation; metadata is dropped on output
+  const render = (size) => sharp(buffer)
+    .rotate()
+    .resize(size, size, { fit: 'cover' })
+    .png()
+    .toBuffer();
+
+  return {
+    avatar: await render(AVATAR_SIZE),
+    thumbnail: await render(THUMBNAIL_SIZE)
+  };
+};
+
+// Process and store a user's avatar, returning the URLs to save on the user
+const saveAvatar = async (userId, buffer) => {
+  const { avatar, thumbnail } = await processAvatar(buffer);
+  const baseName = `${userId}-${Date.now()}`;
+
+  await fs.mkdir(AVATAR_DIR, { recursive: true });
+  await fs.writeFile(path.join(AVATAR_DIR, `${baseName}.png`), avatar);
+  await fs.writeFile(path.join(AVATAR_DIR, `${baseName}-thumb.png`), thumbnail);
+
+  return {
+    avatar: `${AVATAR_URL_PREFIX}/${baseName}.png`,
+    avatarThumbnail: `${AVATAR_URL_PREFIX}/${baseName}-thumb.png`
+  };
+};
+
+// Delete previously uploaded files; built-in avatars are left alone
+const removeAvatarFiles = async (urls) => {
+  for (const url of urls) {
+    if (typeof url !== 'string' || !url.startsWith(`${AVATAR_URL_PREFIX}/`)) continue;
+
+    try {
+      await fs.unlink(path.join(AVATAR_DIR, path.basename(url)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error removing avatar file:', error);
+      }
+    }
+  }
+};
+
+module.exports = {
+  AVATAR_DIR,
+  AVATAR_URL_PREFIX,
+  receiveAvatar,
+  processAvatar,
+  saveAvatar,
+  removeAvatarFiles
+};
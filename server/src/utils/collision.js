@@ -0,0 +1,196 @@
+// Server-side movement validation against room geometry
+
+// Playable area for player centers
+const ROOM_BOUNDS = {
+  minX: 20,
+  maxX: 780,
+  minY: 20,
+  maxY: 580
+};
+
+// Matches PlayerSprite and the furniture circles drawn by the client
+const PLAYER_RADIUS = 15;
+const FURNITURE_RADIUS = 15;
+
+// Movement speed limits (client moves at 180 px/s)
+const MAX_SPEED = 180;
+const SPEED_TOLERANCE = 1.5;
+const MIN_STEP_MS = 50;
+const MAX_STEP_MS = 200;
+
+// Read an object property whether it is a Mongoose Map or a plain object
+const getProperty = (obj, key) => {
+  const props = obj.properties;
+  if (!props) return undefined;
+  return typeof props.get === 'function' ? props.get(key) : props[key];
+};
+
+// Build the list of solid shapes from a room's objects
+const getSolids = (objects = []) => {
+  const solids = [];
+
+  objects.forEach(obj => {
+    if (!obj || !obj.position) return;
+
+    if (obj.type === 'wall') {
+      solids.push({
+        shape: 'rect',
+        x: obj.position.x,
+        y: obj.position.y,
+        width: getProperty(obj, 'width') || 20,
+        height: getProperty(obj, 'height') || 20
+      });
+    } else if (obj.type === 'furniture') {
+      const radius = getProperty(obj, 'radius') || FURNITURE_RADIUS;
+      solids.push({
+        shape: 'circle',
+        x: obj.position.x + radius,
+        y: obj.position.y + radius,
+        radius
+      });
+    }
+  });
+
+  return solids;
+};
+
+// Check whether a player circle at position overlaps a solid
+const intersects = (position, solid, radius = PLAYER_RADIUS) => {
+  if (solid.shape === 'rect') {
+    const nearestX = Math.max(solid.x, Math.min(position.x, solid.x + solid.width));
+    const nearestY = Math.max(solid.y, Math.min(position.y, solid.y + solid.height));
+    const dx = position.x - nearestX;
+    const dy = position.y - nearestY;
+    return dx * dx + dy * dy < radius * radius;
+  }
+
+  const dx = position.x - solid.x;
+  const dy = position.y - solid.y;
+  const minDistance = radius + solid.radius;
+  return dx * dx + dy * dy < minDistance * minDistance;
+};
+
+const isBlocked = (position, solids) => solids.some(solid => intersects(position, solid));
+
+// Check the path between two positions so fast moves cannot tunnel through thin walls
+const canMove = (from, to, solids, sampleDistance = PLAYER_RADIUS / 3) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const steps = Math.max(1, Math.ceil(Math.sqrt(dx * dx + dy * dy) / sampleDistance));
+
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    if (isBlocked({ x: from.x + dx * t, y: from.y + dy * t }, solids)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// Clamp a position to the room bounds
+const clampToBounds = (position) => ({
+  x: Math.max(ROOM_BOUNDS.minX, Math.min(ROOM_BOUNDS.maxX, position.x)),
+  y: Math.max(ROOM_BOUNDS.minY, Math.min(ROOM_BOUNDS.maxY, position.y))
+});
+
+// Maximum distance a player may cover given the time since their last move
+const maxStepDistance = (elapsedMs) => {
+  const elapsed = Math.max(MIN_STEP_MS, Math.min(MAX_STEP_MS, elapsedMs));
+  return MAX_SPEED * SPEED_TOLERANCE * (elapsed / 1000);
+};
+
+// Find the nearest free position around a preferred point
+const findFreePosition = (solids, preferred, step = PLAYER_RADIUS, maxRings = 20) => {
+  const start = clampToBounds(preferred);
+  if (!isBlocked(start, solids)) return start;
+
+  for (let ring = 1; ring <= maxRings; ring++) {
+    for (let i = -ring; i <= ring; i++) {
+      const candidates = [
+        { x: start.x + i * step, y: start.y - ring * step },
+        { x: start.x + i * step, y: start.y + ring * step },
+        { x: start.x - ring * step, y: start.y + i * step },
+        { x: start.x + ring * step, y: start.y + i * step }
+      ];
+
+      for (const candidate of candidates) {
+        const clamped = clampToBounds(candidate);
+        if (clamped.x === candidate.x && clamped.y === candidate.y &&
+            !isBlocked(candidate, solids)) {
+          return candidate;
+        }
+      }
+    }
+  }
+
+  return start;
+};
+
+const distanceBetween = (a, b) => Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+
+// Resolve a requested move into the position the server accepts, moving at
+// most maxDistance (see maxStepDistance)
+const resolveMove = (from, to, solids, maxDistance) => {
+  let target = { x: to.x, y: to.y };
+  let reason = null;
+
+  // Cap distance per step to stop speed hacks
+  const dx = target.x - from.x;
+  const dy = target.y - from.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  if (distance > maxDistance) {
+    target = {
+      x: from.x + (dx / distance) * maxDistance,
+      y: from.y + (dy / distance) * maxDistance
+    };
+    reason = 'speed';
+  }
+
+  const clamped = clampToBounds(target);
+  if (clamped.x !== target.x || clamped.y !== target.y) {
+    target = clamped;
+    reason = reason || 'bounds';
+  }
+
+  if (!canMove(from, target, solids)) {
+    reason = 'collision';
+
+    // Slide along the solid on one axis if possible
+    const slides = [
+      { x: target.x, y: from.y },
+      { x: from.x, y: target.y }
+    ];
+    const slide = slides.find(candidate => canMove(from, candidate, solids));
+
+    if (slide) {
+      target = slide;
+    } else if (isBlocked(from, solids)) {
+      // Already stuck inside a solid, push out to the nearest free spot
+      target = findFreePosition(solids, from);
+    } else {
+      target = { x: from.x, y: from.y };
+    }
+  }
+
+  return {
+    position: target,
+    corrected: reason !== null,
+    reason
+  };
+};
+
+module.exports = {
+  ROOM_BOUNDS,
+  PLAYER_RADIUS,
+  MAX_SPEED,
+  getSolids,
+  intersects,
+  isBlocked,
+  canMove,
+  clampToBounds,
+  maxStepDistance,
+  distanceBetween,
+  findFreePosition,
+  resolveMove
+};
@@ -0,0 +1,130 @@
+// Guest accounts: ephemeral users with a generated name and no email or
+// password. They can convert to a full account, and stale ones are removed.
+const crypto = require('crypto');
+const User = require('../models/UserModel');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ChatMessage = require('../models/ChatMessage');
+const Room = require('../models/Room');
+const RoomInvite = require('../models/RoomInvite');
+const { removeAvatarFiles } = require('./avatars');
+
+// Guests are removed this long after they were last seen
+const GUEST_TTL = (Number(process.env.GUEST_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const GUEST_CLEANUP_INTERVAL = (Number(process.env.GUEST_CLEANUP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const CLEANUP_BATCH_SIZE = 100;
+
+// Fits the username rules: letters, numbers and underscores, 3-20 characters
+const generateGuestUsername = () => `Guest_${crypto.randomBytes(3).toString('hex')}`;
+
+// Create a guest, retrying if the generated name is already taken
+const createGuestUser = async (attempts = 5) => {
+  for (let i = 0; i < attempts; i++) {
+    const username = generateGuestUsername();
+    if (await User.exists({ username })) continue;
+
+    try {
+      return await User.create({
+        username,
+        isGuest: true,
+        currentRoom: 'lobby',
+        isOnline: true,
+        lastSeen: new Date()
+      });
+    } catch (error) {
+      // Lost a race for the name; try another
+      if (error.code !== 11000 || !error.keyPattern?.username) throw error;
+    }
+  }
+
+  throw new Error('Could not create a guest account, please try again');
+};
+
+// Databases created before guests have a unique email index that is not
+// sparse, so every guest after the first clashes on its missing email.
+// Mongoose does not change existing indexes by itself; this rebuilds the
+// user indexes that differ from the schema.
+const syncUserIndexes = () => User.syncIndexes();
+
+// Guests not seen since the cutoff and with no session used since then or
+// still holding a socket
+const findStaleGuests = async (now = Date.now()) => {
+  const cutoff = new Date(now - GUEST_TTL);
+  const candidates = await User.find({ isGuest: true, lastSeen: { $lt: cutoff } })
+    .select('_id avatar avatarThumbnail')
+    .limit(CLEANUP_BATCH_SIZE);
+  if (candidates.length === 0) return [];
+
+  const active = await Session.distinct('user', {
+    user: { $in: candidates.map(guest => guest._id) },
+    revokedAt: null,
+    $or: [
+      { lastUsedAt: { $gte: cutoff } },
+      { 'sockets.0': { $exists: true } }
+    ]
+  });
+  const activeIds = new Set(active.map(id => id.toString()));
+
+  return candidates.filter(guest => !activeIds.has(guest._id.toString()));
+};
+
+// Delete a guest along with their sessions, messages and room memberships
+const removeGuest = async (guest) => {
+  await Session.deleteMany({ user: guest._id });
+  await RefreshToken.deleteMany({ user: guest._id });
+  await ChatMessage.deleteMany({ user: guest._id });
+  await RoomInvite.deleteMany({ invitedUser: guest._id });
+  await Room.updateMany(
+    { 'participants.user': guest._id },
+    { $pull: { participants: { user: guest._id } } }
+  );
+  await removeAvatarFiles([guest.avatar, guest.avatarThumbnail]);
+
+  // Only delete if they were not converted to a full account meanwhile
+  await User.deleteOne({ _id: guest._id, isGuest: true });
+};
+
+// Remove every stale guest, one batch at a time
+const cleanupStaleGuests = async (now = Date.now()) => {
+  let removed = 0;
+
+  for (;;) {
+    const guests = await findStaleGuests(now);
+    for (const guest of guests) {
+      await removeGuest(guest);
+    }
+    removed += guests.length;
+    if (guests.length < CLEANUP_BATCH_SIZE) break;
+  }
+
+  return removed;
+};
+
+// Run the cleanup periodically; only one process needs to do this
+const startGuestCleanup = (interval = GUEST_CLEANUP_INTERVAL) => {
+  const run = async () => {
+    try {
+      const removed = await cleanupStaleGuests();
+      if (removed > 0) {
+        console.log(`Removed ${removed} stale guest account${removed === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.error('Error cleaning up guest accounts:', error);
+    }
+  };
+
+  const timer = setInterval(run, interval);
+  timer.unref?.();
+  return timer;
+};
+
+module.exports = {
+  GUEST_TTL,
+  generateGuestUsername,
+  createGuestUser,
+  syncUserIndexes,
+  findStaleGuests,
+  removeGuest,
+  cleanupStaleGuests,
+  startGuestCleanup
+};
@@ -0,0 +1,96 @@
+// Room invitations: links that let their holder into a room without its
+// password, limited by expiry, use count and optionally a target user
+const crypto = require('crypto');
+const RoomInvite = require('../models/RoomInvite');
+const { clientUrl } = require('./mailer');
+
+const DEFAULT_INVITE_HOURS = 7 * 24;
+const MAX_INVITE_HOURS = 30 * 24;
+const MAX_INVITE_USES = 1000;
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Link that opens the client and joins the room with the invite
+const inviteLink = (roomId, token) => clientUrl('/', { room: roomId.toString(), invite: token });
+
+// Create an invite; the token is only returned here
+const createInvite = async (roomId, createdBy, {
+  invitedUser = null,
+  maxUses = null,
+  expiresInHours = DEFAULT_INVITE_HOURS
+} = {}) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const invite = await RoomInvite.create({
+    room: roomId,
+    createdBy,
+    invitedUser,
+    maxUses,
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    tokenHash: hashInviteToken(token)
+  });
+
+  return { invite, token, link: inviteLink(roomId, token) };
+};
+
+// Invites in a room that can still be used
+const findActiveInvites = (roomId, now = new Date()) => RoomInvite.find({
+  room: roomId,
+  revokedAt: null,
+  expiresAt: { $gt: now },
+  $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+}).sort({ createdAt: -1 });
+
+// Check an invite token for a room and user, throwing with the reason it
+// cannot be used. Does not count a use.
+const checkInvite = async (roomId, token, userId) => {
+  const invite = await RoomInvite.findOne({ tokenHash: hashInviteToken(token) });
+  if (!invite || invite.room.toString() !== roomId.toString()) {
+    throw new Error('Invalid invite');
+  }
+  if (invite.revokedAt) {
+    throw new Error('Invite has been revoked');
+  }
+  if (invite.expiresAt <= new Date()) {
+    throw new Error('Invite has expired');
+  }
+  if (invite.invitedUser && invite.invitedUser.toString() !== userId.toString()) {
+    throw new Error('This invite is for another user');
+  }
+  if (invite.maxUses !== null && invite.uses >= invite.maxUses) {
+    throw new Error('Invite has reached its use limit');
+  }
+
+  return invite;
+};
+
+// Check an invite and count a use. The count is taken atomically so a limit
+// holds when the last use is raced.
+const redeemInvite = async (roomId, token, userId) => {
+  const invite = await checkInvite(roomId, token, userId);
+
+  const redeemed = await RoomInvite.findOneAndUpdate(
+    {
+      _id: invite._id,
+      revokedAt: null,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+  if (!redeemed) {
+    throw new Error('Invite has reached its use limit');
+  }
+
+  return redeemed;
+};
+
+module.exports = {
+  DEFAULT_INVITE_HOURS,
+  MAX_INVITE_HOURS,
+  MAX_INVITE_USES,
+  inviteLink,
+  createInvite,
+  findActiveInvites,
+  checkInvite,
+  redeemInvite
+};
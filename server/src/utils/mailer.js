@@ -0,0 +1,65 @@
+// Outgoing mail. Messages go through a transport, any object with an async
+// send(message) method. The default transport writes each message to a local
+// outbox directory so mail flows work offline and in tests.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../../outbox');
+
+class OutboxTransport {
+  constructor(dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(this.dir, `${id}.json`);
+    await fs.writeFile(file, JSON.stringify({
+      id,
+      ...message,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+
+    return { id, file };
+  }
+}
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = new OutboxTransport();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for an SMTP client in production or a stub in tests
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: process.env.MAIL_FROM || 'Metaverse <no-reply@localhost>',
+  to,
+  subject,
+  text,
+  html
+});
+
+// Links in mail point at the client app
+const clientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  OutboxTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  clientUrl
+};
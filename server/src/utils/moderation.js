@@ -0,0 +1,185 @@
+// Room moderation: kicks, bans and mutes. Used by both the REST routes and
+// the socket moderate event, which check the room:moderate permission first.
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/UserModel');
+const ModerationLog = require('../models/ModerationLog');
+const { getRoomRole, hasRoomPermission, hasGlobalPermission } = require('./permissions');
+const { userChannel } = require('./sessions');
+
+const MODERATION_ACTIONS = ['kick', 'ban', 'unban', 'mute', 'unmute'];
+const MAX_REASON_LENGTH = 200;
+const MAX_DURATION_MINUTES = 365 * 24 * 60;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+// The ban or mute on a user that is still in force, if any
+const findActiveRestriction = (restrictions = [], userId, now = new Date()) =>
+  restrictions.find(entry =>
+    toId(entry.user) === toId(userId) && (!entry.expiresAt || entry.expiresAt > now)
+  );
+
+// Helper function to explain a ban or mute to the user it applies to
+const describeRestriction = (prefix, restriction) => {
+  let message = restriction.expiresAt
+    ? `${prefix} until ${restriction.expiresAt.toISOString()}`
+    : prefix;
+  if (restriction.reason) {
+    message += `: ${restriction.reason}`;
+  }
+  return message;
+};
+
+// Throw with the reason if the user is banned from the room. Takes a room
+// loaded with +bans, or a room id.
+const checkNotBanned = async (room, userId) => {
+  if (!room?.bans) {
+    room = await Room.findById(toId(room)).select('+bans');
+  }
+
+  const ban = findActiveRestriction(room?.bans, userId);
+  if (ban) {
+    throw new Error(describeRestriction('You are banned from this room', ban));
+  }
+};
+
+// Throw with the reason if the user is muted in the room
+const checkNotMuted = async (roomId, userId) => {
+  const room = await Room.findById(roomId).select('+mutes');
+
+  const mute = findActiveRestriction(room?.mutes, userId);
+  if (mute) {
+    throw new Error(describeRestriction('You are muted in this room', mute));
+  }
+};
+
+// Helper function to check a moderation request before acting on it
+const validateModeration = ({ action, reason, durationMinutes }) => {
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw new Error(`Action must be one of: ${MODERATION_ACTIONS.join(', ')}`);
+  }
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    throw new Error(`Reason must be at most ${MAX_REASON_LENGTH} characters`);
+  }
+  if (durationMinutes !== undefined && durationMinutes !== null &&
+      !(Number.isInteger(durationMinutes) && durationMinutes >= 1 && durationMinutes <= MAX_DURATION_MINUTES)) {
+    throw new Error(`Duration must be 1-${MAX_DURATION_MINUTES} minutes`);
+  }
+};
+
+// Helper function to stop moderators acting on the owner, admins, themselves
+// or, unless they can manage roles, other hosts
+const checkCanModerate = (room, moderator, target) => {
+  if (toId(moderator._id) === toId(target._id)) {
+    throw new Error('You cannot moderate yourself');
+  }
+  if (getRoomRole(room, target._id) === 'owner' || hasGlobalPermission(target, 'users:manageRoles')) {
+    throw new Error('This user cannot be moderated');
+  }
+  if (hasRoomPermission(target, room, 'room:moderate') &&
+      !hasRoomPermission(moderator, room, 'room:manageRoles')) {
+    throw new Error('Only the room owner can moderate other hosts');
+  }
+};
+
+// Replace any existing ban or mute on the user with a new one
+const placeRestriction = async (roomId, field, restriction) => {
+  await Room.updateOne({ _id: roomId }, { $pull: { [field]: { user: restriction.user } } });
+  await Room.updateOne({ _id: roomId }, { $push: { [field]: restriction } });
+};
+
+// Lift a ban or mute, throwing if the user had none
+const liftRestriction = async (roomId, field, userId) => {
+  const result = await Room.updateOne(
+    { _id: roomId, [`${field}.user`]: userId },
+    { $pull: { [field]: { user: userId } } }
+  );
+  if (result.modifiedCount === 0) {
+    throw new Error(field === 'bans' ? 'User is not banned' : 'User is not muted');
+  }
+};
+
+// Kick, ban, unban, mute or unmute a user in a room. Bans also remove the
+// user from the room. A mute with a duration works as a timeout. The user is
+// told why with a moderated event, and the action is logged.
+const moderateUser = async ({
+  room,
+  moderator,
+  targetId,
+  action,
+  reason,
+  durationMinutes,
+  io,
+  runRoomCommand
+}) => {
+  validateModeration({ action, reason, durationMinutes });
+
+  const target = mongoose.isValidObjectId(targetId)
+    ? await User.findById(targetId).select('username role')
+    : null;
+  if (!target) {
+    throw new Error('User not found');
+  }
+  checkCanModerate(room, moderator, target);
+
+  const roomId = room._id.toString();
+  const userId = target._id.toString();
+  const expiresAt = ['ban', 'mute'].includes(action) && durationMinutes
+    ? new Date(Date.now() + durationMinutes * 60 * 1000)
+    : null;
+  const restriction = {
+    user: target._id,
+    reason: reason || undefined,
+    expiresAt,
+    createdBy: moderator._id
+  };
+
+  switch (action) {
+    case 'ban':
+      await placeRestriction(roomId, 'bans', restriction);
+      break;
+    case 'unban':
+      await liftRestriction(roomId, 'bans', target._id);
+      break;
+    case 'mute':
+      await placeRestriction(roomId, 'mutes', restriction);
+      break;
+    case 'unmute':
+      await liftRestriction(roomId, 'mutes', target._id);
+      break;
+  }
+
+  // Tell the user first so they know why they are about to leave the room
+  io?.to(userChannel(userId)).emit('moderated', {
+    roomId,
+    roomName: room.name,
+    action,
+    reason: reason || null,
+    expiresAt
+  });
+
+  if (action === 'kick' || action === 'ban') {
+    await runRoomCommand?.(roomId, 'kick', { userId });
+    await Room.updateOne({ _id: roomId }, { $pull: { participants: { user: target._id } } });
+    await User.updateOne({ _id: userId, currentRoom: roomId }, { currentRoom: 'lobby' });
+  }
+
+  await ModerationLog.create({
+    room: room._id,
+    action,
+    user: target._id,
+    moderator: moderator._id,
+    reason,
+    expiresAt
+  });
+
+  return { action, userId, reason: reason || null, expiresAt };
+};
+
+module.exports = {
+  MODERATION_ACTIONS,
+  findActiveRestriction,
+  checkNotBanned,
+  checkNotMuted,
+  moderateUser
+};
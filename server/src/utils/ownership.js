@@ -0,0 +1,33 @@
+// Moving a room to a new owner, by request or when the owner's account goes
+const { CO_HOST_PERMISSION_NAMES } = require('./permissions');
+
+// Make a user the room's owner. The previous owner stays on as a co-host
+// with every permission unless they are leaving, in which case pass
+// { keepPreviousOwner: false }.
+const transferOwnership = async (room, newOwnerId, { keepPreviousOwner = true, io } = {}) => {
+  const roomId = room._id.toString();
+  const ownerId = newOwnerId.toString();
+  const previousOwnerId = room.createdBy?.toString();
+
+  room.coHosts = room.coHosts.filter(coHost => coHost.user.toString() !== ownerId);
+  if (keepPreviousOwner && previousOwnerId) {
+    room.coHosts.push({ user: previousOwnerId, permissions: CO_HOST_PERMISSION_NAMES });
+  }
+  room.createdBy = newOwnerId;
+  await room.save();
+
+  // Let the room update host badges and controls straight away
+  io?.to(roomId).emit('roomRoleChanged', { roomId, userId: ownerId, role: 'owner' });
+  if (keepPreviousOwner && previousOwnerId) {
+    io?.to(roomId).emit('roomRoleChanged', {
+      roomId,
+      userId: previousOwnerId,
+      role: 'co-host',
+      permissions: CO_HOST_PERMISSION_NAMES
+    });
+  }
+
+  return room;
+};
+
+module.exports = { transferOwnership };
@@ -0,0 +1,136 @@
+// Role-based access control. Users have a global role; in each room they are
+// also its owner, a co-host or a member. Permissions come from either.
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/UserModel');
+
+const GLOBAL_ROLES = ['user', 'moderator', 'admin'];
+const ROOM_ROLES = ['owner', 'co-host', 'member'];
+
+// What each room role may do in its own room. Co-hosts also get the
+// permissions of the CO_HOST_PERMISSIONS groups they were given.
+const ROOM_ROLE_PERMISSIONS = {
+  owner: [
+    'room:update',
+    'room:delete',
+    'room:manageRoles',
+    'room:transfer',
+    'room:moderate',
+    'room:chatWhenDisabled',
+    'room:invite',
+    'room:editMap'
+  ],
+  'co-host': ['room:invite'],
+  member: []
+};
+
+// Permission groups an owner can give each co-host, by the name used in the API
+const CO_HOST_PERMISSIONS = {
+  settings: ['room:update'],
+  moderate: ['room:moderate', 'room:chatWhenDisabled'],
+  map: ['room:editMap']
+};
+const CO_HOST_PERMISSION_NAMES = Object.keys(CO_HOST_PERMISSIONS);
+
+// What each global role may do in every room, including system rooms
+const GLOBAL_ROLE_PERMISSIONS = {
+  admin: [
+    'room:update',
+    'room:delete',
+    'room:manageRoles',
+    'room:transfer',
+    'room:moderate',
+    'room:chatWhenDisabled',
+    'room:invite',
+    'room:editMap',
+    'users:manageRoles'
+  ],
+  moderator: ['room:moderate', 'room:chatWhenDisabled'],
+  user: []
+};
+
+// Used in error messages: "You do not have permission to ..."
+const PERMISSION_DESCRIPTIONS = {
+  'room:update': 'update this room',
+  'room:delete': 'delete this room',
+  'room:manageRoles': 'change roles in this room',
+  'room:moderate': 'moderate this room',
+  'room:chatWhenDisabled': 'chat while chat is turned off in this room',
+  'room:invite': 'invite users to this room',
+  'room:transfer': 'transfer ownership of this room',
+  'room:editMap': 'edit this room\'s map',
+  'users:manageRoles': 'change user roles'
+};
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const permissionError = (permission) =>
+  `You do not have permission to ${PERMISSION_DESCRIPTIONS[permission] || permission}`;
+
+// The user's role in a room: owner, co-host or member
+const getRoomRole = (room, userId) => {
+  const id = toId(userId);
+  if (room.createdBy && toId(room.createdBy) === id) return 'owner';
+  if ((room.coHosts || []).some(coHost => toId(coHost.user) === id)) return 'co-host';
+  return 'member';
+};
+
+// What the user may do in a room because of their role there. Co-hosts from
+// before permission groups existed have all of them.
+const getRoomPermissions = (room, userId) => {
+  const role = getRoomRole(room, userId);
+  if (role !== 'co-host') return ROOM_ROLE_PERMISSIONS[role];
+
+  const coHost = room.coHosts.find(entry => toId(entry.user) === toId(userId));
+  const groups = coHost.permissions ?? CO_HOST_PERMISSION_NAMES;
+  return [
+    ...ROOM_ROLE_PERMISSIONS['co-host'],
+    ...groups.flatMap(group => CO_HOST_PERMISSIONS[group] || [])
+  ];
+};
+
+const hasGlobalPermission = (user, permission) =>
+  (GLOBAL_ROLE_PERMISSIONS[user?.role] || []).includes(permission);
+
+// Check a permission given by the user's global role or their role in the room
+const hasRoomPermission = (user, room, permission) => {
+  if (!user || !room) return false;
+  if (hasGlobalPermission(user, permission)) return true;
+  return getRoomPermissions(room, user._id).includes(permission);
+};
+
+// Socket counterpart of the requireRoomPermission middleware. Loads the
+// current role so changes apply without reconnecting, and throws if refused.
+const authorizeRoomAction = async (userId, roomId, permission) => {
+  if (!mongoose.isValidObjectId(roomId)) {
+    throw new Error('Room not found');
+  }
+
+  const [user, room] = await Promise.all([
+    User.findById(userId).select('role'),
+    Room.findById(roomId)
+  ]);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (!room) {
+    throw new Error('Room not found');
+  }
+  if (!hasRoomPermission(user, room, permission)) {
+    throw new Error(permissionError(permission));
+  }
+
+  return { user, room };
+};
+
+module.exports = {
+  GLOBAL_ROLES,
+  ROOM_ROLES,
+  CO_HOST_PERMISSION_NAMES,
+  permissionError,
+  getRoomRole,
+  getRoomPermissions,
+  hasGlobalPermission,
+  hasRoomPermission,
+  authorizeRoomAction
+};
@@ -0,0 +1,121 @@
+// In-memory state for an active room. This is the source of truth for
+// participant positions while the room is loaded; MongoDB is written behind.
+
+const toId = (value) => (value?._id || value).toString();
+
+class RoomState {
+  constructor(room) {
+    const { participants = [], ...data } = room.toJSON ? room.toJSON() : room;
+
+    this.id = toId(data._id);
+    this.data = data;
+    this.participants = new Map(); // userId -> participant
+    this.dirty = new Set(); // userIds whose positions are not yet in MongoDB
+
+    participants.forEach(p => {
+      if (!p.user) return;
+      this.participants.set(toId(p.user), {
+        user: p.user,
+        position: { x: p.position.x, y: p.position.y },
+        lastPosition: { x: p.position.x, y: p.position.y },
+        lastActive: p.lastActive ? new Date(p.lastActive) : new Date(),
+        status: 'online'
+      });
+    });
+  }
+
+  get objects() {
+    return this.data.objects || [];
+  }
+
+  hasParticipant(userId) {
+    return this.participants.has(toId(userId));
+  }
+
+  getParticipant(userId) {
+    return this.participants.get(toId(userId));
+  }
+
+  addParticipant(user, position) {
+    const participant = {
+      user: {
+        _id: user._id,
+        username: user.username,
+        avatar: user.avatar,
+        avatarThumbnail: user.avatarThumbnail,
+        isOnline: true
+      },
+      position: { x: position.x, y: position.y },
+      lastPosition: { x: position.x, y: position.y },
+      lastActive: new Date(),
+      status: 'online'
+    };
+
+    this.participants.set(toId(user._id), participant);
+    return participant;
+  }
+
+  removeParticipant(userId) {
+    const id = toId(userId);
+    const participant = this.participants.get(id);
+    this.participants.delete(id);
+    this.dirty.delete(id);
+    return participant;
+  }
+
+  setPosition(userId, position, now = Date.now()) {
+    const id = toId(userId);
+    const participant = this.participants.get(id);
+    if (!participant) return null;
+
+    participant.lastPosition = participant.position;
+    participant.position = { x: position.x, y: position.y };
+    participant.lastActive = new Date(now);
+    this.dirty.add(id);
+    return participant;
+  }
+
+  // Apply profile changes (username, avatar) to a participant's user info
+  updateUser(userId, profile) {
+    const participant = this.participants.get(toId(userId));
+    if (!participant) return null;
+
+    participant.user = { ...participant.user, ...profile };
+    return participant;
+  }
+
+  // 'online' or 'reconnecting' while a dropped connection is in its grace period
+  setStatus(userId, status) {
+    const participant = this.participants.get(toId(userId));
+    if (participant) participant.status = status;
+    return participant;
+  }
+
+  // Take the dirty set for a flush; call markDirty with it again if the write fails
+  takeDirty() {
+    const userIds = [...this.dirty];
+    this.dirty.clear();
+    return userIds;
+  }
+
+  markDirty(userIds) {
+    userIds.forEach(id => {
+      if (this.participants.has(id)) this.dirty.add(id);
+    });
+  }
+
+  toJSON() {
+    return {
+      ...this.data,
+      participants: [...this.participants.values()].map(p => ({
+        user: p.user,
+        position: p.position,
+        lastPosition: p.lastPosition,
+        lastActive: p.lastActive,
+        status: p.status
+      }))
+    };
+  }
+}
+
+module.exports = RoomState;
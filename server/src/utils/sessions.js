@@ -0,0 +1,107 @@
+// Login sessions: one per device, tracked so users can see and end them
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+const SESSION_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Only record use of a session this often, so every request is not a write
+const TOUCH_INTERVAL = 60 * 1000;
+
+const sessionExpiry = () => new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Socket.IO room holding every socket authenticated with a session
+const sessionChannel = (sessionId) => `session:${sessionId}`;
+
+// Socket.IO room holding every socket of a user, across sessions and API keys
+const userChannel = (userId) => `user:${userId}`;
+
+// Helper function to turn a user agent into a short label such as "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /Firefox\//],
+    ['Chrome', /Chrome\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+// Start a session for a new login
+const createSession = (userId, { userAgent = '', ip = '' } = {}) => Session.create({
+  user: userId,
+  device: describeDevice(userAgent),
+  userAgent,
+  ip,
+  expiresAt: sessionExpiry()
+});
+
+const isSessionActive = async (sessionId) => !!await Session.exists({
+  _id: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Record that a session was used, at most once per TOUCH_INTERVAL
+const touchSession = (sessionId, { ip, extend = false } = {}) => {
+  const now = new Date();
+  const update = { lastUsedAt: now };
+  if (ip) update.ip = ip;
+  if (extend) update.expiresAt = sessionExpiry();
+
+  const filter = { _id: sessionId, revokedAt: null };
+  if (!extend) filter.lastUsedAt = { $lt: new Date(now.getTime() - TOUCH_INTERVAL) };
+
+  return Session.updateOne(filter, update);
+};
+
+const addSessionSocket = (sessionId, socketId) => Session.updateOne(
+  { _id: sessionId },
+  { $addToSet: { sockets: socketId }, lastUsedAt: new Date() }
+);
+
+const removeSessionSocket = (sessionId, socketId) => Session.updateOne(
+  { _id: sessionId },
+  { $pull: { sockets: socketId } }
+);
+
+// End a session and every refresh token issued for it. Live sockets are
+// disconnected separately by whoever holds the Socket.IO server.
+const revokeSession = async (sessionId) => {
+  const now = new Date();
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: now });
+  await RefreshToken.updateMany({ family: sessionId.toString(), revokedAt: null }, { revokedAt: now });
+};
+
+// Tell a session's live sockets why and drop them, on whichever worker they are
+const disconnectSession = (io, sessionId, reason = 'Session revoked') => {
+  if (!io) return;
+  const channel = sessionChannel(sessionId);
+  io.to(channel).emit('sessionRevoked', { sessionId: sessionId.toString(), reason });
+  io.in(channel).disconnectSockets(true);
+};
+
+module.exports = {
+  sessionChannel,
+  userChannel,
+  describeDevice,
+  createSession,
+  isSessionActive,
+  touchSession,
+  addSessionSocket,
+  removeSessionSocket,
+  revokeSession,
+  disconnectSession
+};
@@ -0,0 +1,25 @@
+// Rooms are sharded across workers so each room is simulated by exactly one process.
+// Workers are started by cluster.js with a fixed index, so a restarted worker
+// takes over the same rooms.
+
+const WORKER_INDEX = Number(process.env.WORKER_INDEX) || 0;
+const WORKER_COUNT = Number(process.env.WORKER_COUNT) || 1;
+
+// Stable hash of a room id onto a worker index
+const ownerOf = (roomId, workerCount = WORKER_COUNT) => {
+  const key = roomId.toString();
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+  }
+  return hash % workerCount;
+};
+
+const ownsRoom = (roomId) => ownerOf(roomId) === WORKER_INDEX;
+
+module.exports = {
+  WORKER_INDEX,
+  WORKER_COUNT,
+  ownerOf,
+  ownsRoom
+};
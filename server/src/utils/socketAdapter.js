@@ -0,0 +1,69 @@
+// Socket.IO adapter selection. With more than one server process, the adapter
+// carries broadcasts, socket-id emits and server-side events between them.
+const { EventEmitter } = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// In-memory stand-in for the cluster adapter: Socket.IO servers in one process
+// that share a bus behave like workers of the same cluster
+class MemoryClusterAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts = {}) {
+    super(nsp, opts);
+    this.bus = bus;
+
+    this.handleMessage = (message) => {
+      if (message.nsp !== this.nsp.name) return;
+
+      // Responses are only for the server that sent the request
+      if (message.requesterUid && message.requesterUid !== this.uid) return;
+      this.onMessage(message);
+    };
+    this.bus.on('message', this.handleMessage);
+
+    this.init();
+  }
+
+  // Deliver asynchronously, like messages between processes
+  doPublish(message) {
+    setImmediate(() => this.bus.emit('message', message));
+    return Promise.resolve(''); // connection state recovery is not supported
+  }
+
+  doPublishResponse(requesterUid, response) {
+    setImmediate(() => this.bus.emit('message', { ...response, requesterUid }));
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    setImmediate(() => this.bus.off('message', this.handleMessage));
+  }
+}
+
+const createMemoryBus = () => new EventEmitter().setMaxListeners(0);
+
+const defaultBus = createMemoryBus();
+
+// Helper function to build the adapter named by SOCKET_ADAPTER:
+// 'cluster' for Node cluster workers (see cluster.js), 'memory' for tests,
+// anything else for Socket.IO's default single-process adapter
+const createAdapter = (type = process.env.SOCKET_ADAPTER, options = {}) => {
+  switch (type) {
+    case 'cluster':
+      return require('@socket.io/cluster-adapter').createAdapter(options);
+    case 'memory': {
+      const { bus = defaultBus, ...opts } = options;
+      // Socket.IO calls this with new, so it cannot be an arrow function
+      return function (nsp) {
+        return new MemoryClusterAdapter(nsp, bus, opts);
+      };
+    }
+    default:
+      return undefined;
+  }
+};
+
+module.exports = {
+  MemoryClusterAdapter,
+  createMemoryBus,
+  createAdapter
+};
@@ -0,0 +1,118 @@
+// Uniform grid over participant positions used for area-of-interest queries
+
+class SpatialGrid {
+  constructor(cellSize = 160) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // cell key -> Set of ids
+    this.entries = new Map(); // id -> { cellX, cellY, position }
+  }
+
+  static key(cellX, cellY) {
+    return `${cellX}:${cellY}`;
+  }
+
+  cellOf(position) {
+    return {
+      cellX: Math.floor(position.x / this.cellSize),
+      cellY: Math.floor(position.y / this.cellSize)
+    };
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getPosition(id) {
+    return this.entries.get(id)?.position;
+  }
+
+  insert(id, position) {
+    if (this.entries.has(id)) {
+      return this.update(id, position);
+    }
+
+    const { cellX, cellY } = this.cellOf(position);
+    this.addToCell(id, cellX, cellY);
+    this.entries.set(id, { cellX, cellY, position: { x: position.x, y: position.y } });
+    return { changed: true };
+  }
+
+  // Move an entry, reporting whether it crossed into a different cell
+  update(id, position) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return this.insert(id, position);
+    }
+
+    entry.position = { x: position.x, y: position.y };
+    const { cellX, cellY } = this.cellOf(position);
+    if (cellX === entry.cellX && cellY === entry.cellY) {
+      return { changed: false };
+    }
+
+    this.removeFromCell(id, entry.cellX, entry.cellY);
+    this.addToCell(id, cellX, cellY);
+    entry.cellX = cellX;
+    entry.cellY = cellY;
+    return { changed: true };
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+
+    this.removeFromCell(id, entry.cellX, entry.cellY);
+    this.entries.delete(id);
+    return true;
+  }
+
+  // Ids in the cells within range of the given entry's cell, excluding itself
+  getNeighbors(id, range = 1) {
+    const entry = this.entries.get(id);
+    if (!entry) return new Set();
+
+    const neighbors = this.queryCells(entry.cellX, entry.cellY, range);
+    neighbors.delete(id);
+    return neighbors;
+  }
+
+  queryCells(cellX, cellY, range = 1) {
+    const result = new Set();
+
+    for (let x = cellX - range; x <= cellX + range; x++) {
+      for (let y = cellY - range; y <= cellY + range; y++) {
+        const cell = this.cells.get(SpatialGrid.key(x, y));
+        if (cell) {
+          cell.forEach(id => result.add(id));
+        }
+      }
+    }
+
+    return result;
+  }
+
+  addToCell(id, cellX, cellY) {
+    const key = SpatialGrid.key(cellX, cellY);
+    if (!this.cells.has(key)) {
+      this.cells.set(key, new Set());
+    }
+    this.cells.get(key).add(id);
+  }
+
+  removeFromCell(id, cellX, cellY) {
+    const key = SpatialGrid.key(cellX, cellY);
+    const cell = this.cells.get(key);
+    if (!cell) return;
+
+    cell.delete(id);
+    if (cell.size === 0) {
+      this.cells.delete(key);
+    }
+  }
+}
+
+module.exports = SpatialGrid;
@@ -0,0 +1,204 @@
+// Access and refresh token handling. Access tokens are short-lived JWTs that
+// can be revoked by id; refresh tokens are opaque, stored hashed and rotated.
+// Both belong to a login session (see utils/sessions).
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const {
+  createSession,
+  isSessionActive,
+  touchSession,
+  revokeSession
+} = require('./sessions');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const getSecret = () => process.env.JWT_SECRET || 'your-secret-key'; // Fallback for development
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh token families are session ids; older tokens may use a random family
+const isSessionFamily = (family) => mongoose.isValidObjectId(family);
+
+// Helper function to sign a short-lived access token with a revocable id
+const signAccessToken = (user, sessionId) => jwt.sign(
+  sessionId ? { userId: user._id, sid: sessionId.toString() } : { userId: user._id },
+  getSecret(),
+  { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+);
+
+// Helper function to store a new refresh token in a rotation family
+const createRefreshToken = async (userId, family) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return refreshToken;
+};
+
+// Start a session for a fresh login and issue its first token pair. client
+// holds the userAgent and ip the login came from.
+const issueTokens = async (user, client = {}) => {
+  const session = await createSession(user._id, client);
+  const sessionId = session._id.toString();
+
+  return {
+    sessionId,
+    token: signAccessToken(user, sessionId),
+    refreshToken: await createRefreshToken(user._id, sessionId)
+  };
+};
+
+const revokeRefreshFamily = (family) => {
+  if (isSessionFamily(family)) {
+    return revokeSession(family);
+  }
+  return RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Exchange a refresh token for a new pair, or return null if it is not valid.
+// Each refresh token works once; presenting a used one revokes its whole
+// family, since it has most likely been stolen.
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now }
+  );
+
+  if (!stored) {
+    const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+    if (reused) {
+      console.warn('Refresh token reused, revoking family:', {
+        user: reused.user.toString(),
+        family: reused.family
+      });
+      await revokeRefreshFamily(reused.family);
+    }
+    return null;
+  }
+
+  const sessionId = isSessionFamily(stored.family) ? stored.family : null;
+  if (sessionId) {
+    await touchSession(sessionId, { extend: true });
+  }
+
+  return {
+    userId: stored.user,
+    token: signAccessToken({ _id: stored.user }, sessionId),
+    refreshToken: await createRefreshToken(stored.user, stored.family)
+  };
+};
+
+// Revoke every rotation of the login a refresh token belongs to
+const revokeRefreshToken = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (stored) {
+    await revokeRefreshFamily(stored.family);
+  }
+};
+
+// Add a verified access token's id to the revocation list
+const revokeAccessToken = async (payload) => {
+  if (!payload?.jti) return;
+
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    {
+      jti: payload.jti,
+      user: payload.userId,
+      expiresAt: new Date(payload.exp * 1000)
+    },
+    { upsert: true }
+  );
+};
+
+// One-time tokens sent by mail. Each purpose signs with its own key so they
+// can never be used as access tokens or for a different purpose.
+const ACTION_TOKEN_TTL = {
+  passwordReset: process.env.PASSWORD_RESET_TTL || '1h',
+  emailVerification: process.env.EMAIL_VERIFICATION_TTL || '24h',
+  twoFactorChallenge: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m'
+};
+
+const getActionSecret = (purpose) => `${getSecret()}:${purpose}`;
+
+// Helper function to sign a single-use token for a mailed link
+const signActionToken = (user, purpose) => {
+  if (!ACTION_TOKEN_TTL[purpose]) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  return jwt.sign(
+    { userId: user._id, email: user.email },
+    getActionSecret(purpose),
+    { expiresIn: ACTION_TOKEN_TTL[purpose], jwtid: crypto.randomUUID() }
+  );
+};
+
+// Check a one-time token's signature, purpose and expiry without using it up
+const verifyActionToken = (token, purpose) => {
+  try {
+    return jwt.verify(token, getActionSecret(purpose));
+  } catch (error) {
+    throw new Error('Invalid or expired token');
+  }
+};
+
+// Verify a one-time token and mark it used. Marking it inserts its id into
+// the revocation list, whose unique index makes the first use the only one.
+const consumeActionToken = async (token, purpose) => {
+  const payload = verifyActionToken(token, purpose);
+
+  try {
+    await RevokedToken.create({
+      jti: payload.jti,
+      user: payload.userId,
+      expiresAt: new Date(payload.exp * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error('Token has already been used');
+    }
+    throw error;
+  }
+
+  return payload;
+};
+
+// Verify an access token and make sure it has not been revoked
+const verifyAccessToken = async (token) => {
+  const payload = jwt.verify(token, getSecret());
+
+  if (payload.jti && await RevokedToken.exists({ jti: payload.jti })) {
+    throw new Error('Token has been revoked');
+  }
+
+  if (payload.sid && !await isSessionActive(payload.sid)) {
+    throw new Error('Session has been revoked');
+  }
+
+  return payload;
+};
+
+module.exports = {
+  issueTokens,
+  signAccessToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  verifyAccessToken,
+  signActionToken,
+  verifyActionToken,
+  consumeActionToken
+};
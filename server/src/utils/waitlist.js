@@ -0,0 +1,88 @@
+// First-come, first-served queue for a full room. When a place opens the
+// user at the front is offered it and the place is held for them until they
+// accept or the offer expires.
+
+const toId = (value) => (value?._id || value).toString();
+
+class Waitlist {
+  constructor() {
+    this.queue = []; // { userId, username, socketId, queuedAt } in arrival order
+    this.offers = new Map(); // userId -> queue entry plus expiresAt and timer
+  }
+
+  get size() {
+    return this.queue.length;
+  }
+
+  // Places held for offers that have not been accepted yet
+  get reserved() {
+    return this.offers.size;
+  }
+
+  get isEmpty() {
+    return this.queue.length === 0 && this.offers.size === 0;
+  }
+
+  has(userId) {
+    const id = toId(userId);
+    return this.offers.has(id) || this.queue.some(entry => entry.userId === id);
+  }
+
+  // 1-based place in the queue, 0 once offered a place, or null if not waiting
+  position(userId) {
+    const id = toId(userId);
+    if (this.offers.has(id)) return 0;
+
+    const index = this.queue.findIndex(entry => entry.userId === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Queue a user, or update the socket of one already waiting without
+  // losing their place
+  add({ userId, username, socketId }) {
+    const id = toId(userId);
+    const existing = this.offers.get(id) || this.queue.find(entry => entry.userId === id);
+    if (existing) {
+      existing.socketId = socketId;
+      return this.position(id);
+    }
+
+    this.queue.push({ userId: id, username, socketId, queuedAt: new Date() });
+    return this.queue.length;
+  }
+
+  // Hold a place for the user at the front of the queue
+  offerNext(expiresAt, timer = null) {
+    const entry = this.queue.shift();
+    if (!entry) return null;
+
+    const offer = { ...entry, expiresAt, timer };
+    this.offers.set(entry.userId, offer);
+    return offer;
+  }
+
+  // Take up a held place; returns the offer, or null if there was none
+  takeOffer(userId) {
+    const id = toId(userId);
+    const offer = this.offers.get(id);
+    if (!offer) return null;
+
+    clearTimeout(offer.timer);
+    this.offers.delete(id);
+    return offer;
+  }
+
+  // Remove a user wherever they are; returns 'queued', 'offered' or null
+  remove(userId) {
+    const id = toId(userId);
+    if (this.takeOffer(id)) return 'offered';
+
+    const index = this.queue.findIndex(entry => entry.userId === id);
+    if (index === -1) return null;
+
+    this.queue.splice(index, 1);
+    return 'queued';
+  }
+}
+
+module.exports = Waitlist;
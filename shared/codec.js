@@ -0,0 +1,184 @@
+// Compact binary encoding for high-frequency socket events, shared by the
+// server and the client's NetworkManager. Clients opt in at authenticate;
+// JSON stays the fallback and anything that is not binary passes through.
+//
+// Layouts are little-endian. User ids are MongoDB ObjectIds packed to 12 bytes.
+
+const ID_BYTES = 12;
+const POSITION_BYTES = 8; // x f32 | y f32
+
+const isBinary = (data) => data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+
+// Helper function to view binary data from a Node Buffer or a browser ArrayBuffer
+const toView = (data) => (
+  ArrayBuffer.isView(data)
+    ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+    : new DataView(data)
+);
+
+const writeId = (view, offset, id) => {
+  const hex = String(id);
+  if (!/^[0-9a-f]{24}$/i.test(hex)) {
+    throw new Error(`Cannot encode user id: ${hex}`);
+  }
+  for (let i = 0; i < ID_BYTES; i++) {
+    view.setUint8(offset + i, parseInt(hex.substr(i * 2, 2), 16));
+  }
+};
+
+const readId = (view, offset) => {
+  let hex = '';
+  for (let i = 0; i < ID_BYTES; i++) {
+    hex += view.getUint8(offset + i).toString(16).padStart(2, '0');
+  }
+  return hex;
+};
+
+const writePosition = (view, offset, position) => {
+  view.setFloat32(offset, position.x, true);
+  view.setFloat32(offset + 4, position.y, true);
+};
+
+const readPosition = (view, offset) => ({
+  x: view.getFloat32(offset, true),
+  y: view.getFloat32(offset + 4, true)
+});
+
+// userMove: seq u32 (0 when absent) | x f32 | y f32
+const userMove = {
+  encode({ position, seq }) {
+    const view = new DataView(new ArrayBuffer(4 + POSITION_BYTES));
+    view.setUint32(0, seq || 0, true);
+    writePosition(view, 4, position);
+    return view.buffer;
+  },
+
+  decode(data) {
+    const view = toView(data);
+    const seq = view.getUint32(0, true);
+    return {
+      position: readPosition(view, 4),
+      seq: seq || undefined
+    };
+  },
+
+  isEncoded: isBinary
+};
+
+// playersMoved: tick u32 | timestamp f64 | count u16 | count x (id | x f32 | y f32)
+const playersMoved = {
+  encode({ tick, timestamp, updates }) {
+    const entryBytes = ID_BYTES + POSITION_BYTES;
+    const view = new DataView(new ArrayBuffer(14 + updates.length * entryBytes));
+    view.setUint32(0, tick, true);
+    view.setFloat64(4, timestamp, true);
+    view.setUint16(12, updates.length, true);
+
+    updates.forEach((update, i) => {
+      const offset = 14 + i * entryBytes;
+      writeId(view, offset, update.userId);
+      writePosition(view, offset + ID_BYTES, update.position);
+    });
+    return view.buffer;
+  },
+
+  decode(data) {
+    const view = toView(data);
+    const entryBytes = ID_BYTES + POSITION_BYTES;
+    const count = view.getUint16(12, true);
+    const updates = [];
+
+    for (let i = 0; i < count; i++) {
+      const offset = 14 + i * entryBytes;
+      updates.push({
+        userId: readId(view, offset),
+        position: readPosition(view, offset + ID_BYTES)
+      });
+    }
+
+    return {
+      tick: view.getUint32(0, true),
+      timestamp: view.getFloat64(4, true),
+      updates
+    };
+  },
+
+  isEncoded: isBinary
+};
+
+// roomState: the usual JSON snapshot, with participant positions moved into
+// positions: count u16 | count x (id | x f32 | y f32 | lastX f32 | lastY f32)
+const roomState = {
+  encode(state) {
+    const entryBytes = ID_BYTES + POSITION_BYTES * 2;
+    const participants = state.participants || [];
+    const view = new DataView(new ArrayBuffer(2 + participants.length * entryBytes));
+    view.setUint16(0, participants.length, true);
+
+    participants.forEach((participant, i) => {
+      const offset = 2 + i * entryBytes;
+      const userId = participant.user?._id || participant.user;
+      writeId(view, offset, userId);
+      writePosition(view, offset + ID_BYTES, participant.position);
+      writePosition(view, offset + ID_BYTES + POSITION_BYTES,
+        participant.lastPosition || participant.position);
+    });
+
+    return {
+      ...state,
+      participants: participants.map(participant => {
+        const rest = { ...participant };
+        delete rest.position;
+        delete rest.lastPosition;
+        return rest;
+      }),
+      positions: view.buffer
+    };
+  },
+
+  decode(data) {
+    const { positions, ...state } = data;
+    const view = toView(positions);
+    const entryBytes = ID_BYTES + POSITION_BYTES * 2;
+
+    state.participants = (state.participants || []).map((participant, i) => {
+      const offset = 2 + i * entryBytes;
+      return {
+        ...participant,
+        position: readPosition(view, offset + ID_BYTES),
+        lastPosition: readPosition(view, offset + ID_BYTES + POSITION_BYTES)
+      };
+    });
+    return state;
+  },
+
+  isEncoded: (data) => !!data && isBinary(data.positions)
+};
+
+const codecs = { userMove, playersMoved, roomState };
+
+const BINARY_EVENTS = Object.keys(codecs);
+
+// Helper function to pick an encoding from the list a client offers
+const negotiateEncoding = (offered) => (
+  Array.isArray(offered) && offered.includes('binary') ? 'binary' : 'json'
+);
+
+const encode = (event, payload) => (
+  codecs[event] ? codecs[event].encode(payload) : payload
+);
+
+// Decode binary payloads; JSON payloads are returned as they are
+const decode = (event, data) => {
+  const codec = codecs[event];
+  if (!codec || !codec.isEncoded(data)) return data;
+  return codec.decode(data);
+};
+
+module.exports = {
+  BINARY_EVENTS,
+  isBinary,
+  negotiateEncoding,
+  encode,
+  decode
+};